@@ -0,0 +1,176 @@
+/**
+ * controllers/attachmentController.js
+ *
+ * Controllers for task attachments: files uploaded to a task and kept in attachment storage.
+ * Uses Prisma Client to interact with PostgreSQL and utils/storage.js for the file contents.
+ *
+ * Endpoints handled:
+ * - GET /api/tasks/:id/attachments
+ * - POST /api/tasks/:id/attachments
+ * - GET /api/tasks/:id/attachments/:attachmentId
+ * - DELETE /api/tasks/:id/attachments/:attachmentId
+ *
+ * Notes:
+ * - Uploads are multipart/form-data with the file in the "file" field, streamed to storage as they arrive
+ *   (see utils/upload.js for the size and type limits); the JSON body parser never sees them.
+ * - Downloads stream the stored file with its recorded type, always as a download (Content-Disposition:
+ *   attachment) so uploaded HTML or scripts are never rendered by the API's origin.
+ * - Trashing a task or board keeps its files, so restoring brings them back; they are removed when
+ *   the trash is purged (jobs/purgeTrash.js).
+ * - Changes are broadcast to the board's real-time subscribers as attachment.created / attachment.deleted.
+ * - Access: board VIEWERs can list and download attachments, EDITORs and OWNERs can upload and delete them.
+ *   Tasks on boards the caller is not a member of are reported as not found.
+ */
+
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { loadTaskWithRole } = require('../utils/boardAccess');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { getFile, removeFiles } = require('../utils/storage');
+const { receiveFile } = require('../utils/upload');
+const { NotFoundError } = require('../utils/errors');
+
+// Attachment fields in responses; the storage key stays internal
+const attachmentSelect = {
+  id: true,
+  taskId: true,
+  uploaderId: true,
+  filename: true,
+  mime: true,
+  size: true,
+  checksum: true,
+  createdAt: true,
+};
+
+/**
+ * Helper: load an attachment and check it belongs to the task in the path.
+ */
+async function findTaskAttachment(taskId, attachmentId) {
+  const attachment = await prisma.attachment.findUnique({ where: { id: attachmentId } });
+  if (!attachment || attachment.taskId !== taskId) {
+    throw new NotFoundError('Attachment not found');
+  }
+  return attachment;
+}
+
+/**
+ * List a task's attachments, oldest first.
+ * Response: { data: Attachment[] }
+ */
+const getAttachments = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const attachments = await prisma.attachment.findMany({
+      where: { taskId },
+      select: attachmentSelect,
+      orderBy: { id: 'asc' },
+    });
+
+    return res.status(200).json({ data: attachments });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Upload a file to a task (multipart/form-data, field "file").
+ * Returns 201 with the attachment; 400 without exactly one file, 413 if it is too large,
+ * 415 if its type is not accepted.
+ */
+const uploadAttachment = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    // Checked before reading the body, so rejected requests never reach storage
+    const { task } = await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+
+    const storageKey = crypto.randomUUID();
+    const file = await receiveFile(req, storageKey);
+
+    let attachment;
+    try {
+      attachment = await prisma.attachment.create({
+        data: {
+          taskId, uploaderId: req.user.id, storageKey, ...file,
+        },
+        select: attachmentSelect,
+      });
+    } catch (err) {
+      // e.g. the task was purged meanwhile: do not keep a file nothing points to
+      await removeFiles([storageKey]);
+      throw err;
+    }
+
+    publishBoardEvent(task.boardId, 'attachment.created', attachment);
+
+    return res.status(201).json(attachment);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download an attachment: the stored file, streamed with its type, size and filename.
+ */
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const { id: taskId, attachmentId } = req.params;
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+    const attachment = await findTaskAttachment(taskId, attachmentId);
+
+    let stream;
+    try {
+      stream = await getFile(attachment.storageKey);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      logger.error(`Stored file ${attachment.storageKey} of attachment ${attachment.id} is missing`);
+      throw new NotFoundError('Attachment file not found', { code: 'ATTACHMENT_FILE_MISSING' });
+    }
+
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.mime,
+      'Content-Length': String(attachment.size),
+      'Cache-Control': 'private, no-cache',
+    });
+    res.status(200);
+    pipeline(stream, res, (err) => {
+      // Headers are out by now; a client that went away is not an error worth logging
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.error(err);
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete an attachment and its stored file.
+ * Returns 404 if the attachment is not on this task.
+ */
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const { id: taskId, attachmentId } = req.params;
+    const { task } = await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+    const attachment = await findTaskAttachment(taskId, attachmentId);
+
+    // Row first: a file left behind by a failed removal is only wasted space, a row without its file is a broken download
+    await prisma.attachment.delete({ where: { id: attachmentId } });
+    await removeFiles([attachment.storageKey]);
+
+    publishBoardEvent(task.boardId, 'attachment.deleted', { id: attachmentId, taskId });
+
+    return res.status(200).json({ message: 'Attachment deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+};
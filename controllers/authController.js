@@ -0,0 +1,191 @@
+/**
+ * controllers/authController.js
+ *
+ * Controllers for user registration and session management.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - POST /api/auth/register
+ * - POST /api/auth/login
+ * - POST /api/auth/refresh
+ * - POST /api/auth/logout
+ *
+ * Notes:
+ * - register/login/refresh respond with { user, accessToken } and set a rotating refresh token cookie.
+ * - Presenting an already-rotated refresh token revokes every token of that login (token family).
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../utils/prisma');
+const {
+  REFRESH_COOKIE,
+  signAccessToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry,
+  refreshCookieOptions,
+} = require('../utils/auth');
+const { ConflictError, UnauthorizedError } = require('../utils/errors');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '10', 10);
+
+// Compared against when the email is unknown so login timing does not reveal registered emails
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+/**
+ * Helper: user fields safe to return to clients.
+ */
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, createdAt: user.createdAt };
+}
+
+/**
+ * Helper: store a new refresh token and set it as a cookie.
+ * `family` groups the tokens of one login; a new login starts a new family.
+ */
+async function issueRefreshToken(db, res, userId, family) {
+  const token = generateRefreshToken();
+  const expiresAt = refreshTokenExpiry();
+  await db.refreshToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      family: family || crypto.randomUUID(),
+      expiresAt,
+    },
+  });
+  res.cookie(REFRESH_COOKIE, token, { ...refreshCookieOptions(), expires: expiresAt });
+}
+
+/**
+ * Register a new user and start a session.
+ * Returns 409 if the email is already registered.
+ */
+const register = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) {
+      throw new ConflictError('Email is already registered', { code: 'ALREADY_EXISTS' });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name: name ? name.trim() : null,
+        passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      },
+    });
+
+    await issueRefreshToken(prisma, res, user.id);
+
+    return res.status(201).json({ user: publicUser(user), accessToken: signAccessToken(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Log in with email and password.
+ * Returns 401 on unknown email or wrong password (same message for both).
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    await issueRefreshToken(prisma, res, user.id);
+
+    return res.status(200).json({ user: publicUser(user), accessToken: signAccessToken(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Exchange the refresh token cookie for a new access token.
+ * The presented refresh token is revoked and replaced (rotation).
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const token = req.cookies[REFRESH_COOKIE];
+    if (!token) {
+      throw new UnauthorizedError('Refresh token missing');
+    }
+
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+    if (!stored) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    if (stored.revokedAt) {
+      // Reuse of a rotated token: assume it leaked and end the whole session family
+      await prisma.refreshToken.updateMany({
+        where: { family: stored.family, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+      throw new UnauthorizedError('Refresh token has been revoked');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+      throw new UnauthorizedError('Refresh token has expired');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional update so two concurrent refreshes cannot both rotate the same token
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new UnauthorizedError('Refresh token has been revoked');
+      }
+      await issueRefreshToken(tx, res, stored.userId, stored.family);
+    });
+
+    return res.status(200).json({ user: publicUser(stored.user), accessToken: signAccessToken(stored.user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * End the current session: revoke the refresh token (if any) and clear the cookie.
+ * Always succeeds so clients can call it unconditionally.
+ */
+const logout = async (req, res, next) => {
+  try {
+    const token = req.cookies[REFRESH_COOKIE];
+    if (token) {
+      await prisma.refreshToken.updateMany({
+        where: { tokenHash: hashToken(token), revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+    }
+
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+    return res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+};
@@ -6,29 +6,138 @@
  *
  * Endpoints handled:
  * - GET /api/boards
+ * - GET /api/boards/:id
  * - POST /api/boards
  * - PUT /api/boards/:id
  * - DELETE /api/boards/:id
+ * - POST /api/boards/:id/restore
+ * - POST /api/boards/:id/duplicate
+ * - POST /api/boards/from-template/:templateId
+ *
+ * Access: boards are only visible to their members. Any member can read (and duplicate);
+ * only OWNERs can rename, delete or restore a board. The creator becomes its OWNER.
+ * Deleting moves a board to the trash (deletedAt); names only need to be unique among live boards.
+ * Board responses carry the board's `version` as the ETag (GET only with include=none, since embedded
+ * tasks change independently); PUT with a stale If-Match or body `version` gets 412 with the current board.
+ * Duplicates and boards built from a template are created in one transaction (see utils/boardCopy.js).
+ */
+
+const { prisma } = require('../utils/prisma');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { defaultStatusesData } = require('../utils/workflow');
+const { assertBoardRole, memberOf } = require('../utils/boardAccess');
+const {
+  COPY_TRANSACTION_TIMEOUT_MS, assertBoardNameAvailable, readBlueprint, createBoardFromBlueprint,
+} = require('../utils/boardCopy');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const {
+  setETag, expectedVersions, assertVersion, updateIfUnchanged,
+} = require('../utils/concurrency');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Embedded task list for include=tasks (trashed tasks excluded)
+const liveTasks = { where: { deletedAt: null }, orderBy: { rank: 'asc' } };
+
+/**
+ * Helper: per-status task counts for the given boards, computed with a single groupBy.
+ * Returns a Map of boardId -> { total, byStatus: [{ statusId, statusName, count }] }.
+ * Tasks without a status are reported with statusId/statusName = null.
  */
+async function countTasksByStatus(boardIds) {
+  const counts = new Map(boardIds.map((id) => [id, { total: 0, byStatus: [] }]));
+  if (boardIds.length === 0) return counts;
+
+  const groups = await prisma.task.groupBy({
+    by: ['boardId', 'statusId'],
+    where: { boardId: { in: boardIds }, deletedAt: null },
+    _count: { _all: true },
+  });
+
+  const statusIds = [...new Set(groups.map((g) => g.statusId).filter((id) => id !== null))];
+  const statuses = await prisma.status.findMany({ where: { id: { in: statusIds } } });
+  const statusNames = new Map(statuses.map((s) => [s.id, s.name]));
+
+  for (const g of groups) {
+    const entry = counts.get(g.boardId);
+    entry.total += g._count._all;
+    entry.byStatus.push({
+      statusId: g.statusId,
+      statusName: g.statusId === null ? null : statusNames.get(g.statusId) || null,
+      count: g._count._all,
+    });
+  }
+
+  return counts;
+}
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+/**
+ * Helper: attach the requested task summary to already-loaded boards.
+ * include=tasks is handled by Prisma eager loading, so only counts need work here.
+ */
+async function withTaskSummary(boards, include) {
+  if (include !== 'counts') return boards;
+  const counts = await countTasksByStatus(boards.map((b) => b.id));
+  return boards.map((b) => ({ ...b, taskCounts: counts.get(b.id) }));
+}
 
 /**
- * List all boards with their tasks.
- * Uses eager loading (include: { tasks: true }) for optimized single-query fetch.
+ * List the caller's boards, newest first, with cursor pagination.
+ * include=tasks embeds task arrays, include=counts (default) embeds per-status counts,
+ * include=none returns board rows only.
+ * Response: { data: Board[], nextCursor: number|null }
  */
 const getBoards = async (req, res, next) => {
   try {
+    const { include, limit, cursor } = req.query;
+
     const boards = await prisma.board.findMany({
+      where: memberOf(req.user.id),
+      include: include === 'tasks' ? { tasks: liveTasks } : undefined,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    const page = toPage(boards, limit);
+    page.data = await withTaskSummary(page.data, include);
+
+    return res.status(200).json(page);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a single board with its ordered statuses.
+ * Same include options as the list; defaults to include=tasks.
+ * Returns 404 if board not found.
+ */
+const getBoardById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { include } = req.query;
+
+    const boardId = parseInt(id, 10);
+    if (Number.isNaN(boardId)) {
+      throw new ValidationError('Invalid board id');
+    }
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const board = await prisma.board.findUnique({
+      where: { id: boardId },
       include: {
-        tasks: true,
-      },
-      orderBy: {
-        createdAt: 'desc',
+        statuses: { orderBy: { position: 'asc' } },
+        tasks: include === 'tasks' ? liveTasks : false,
       },
     });
-    return res.status(200).json(boards);
+    if (!board) {
+      throw new NotFoundError('Board not found');
+    }
+
+    const [result] = await withTaskSummary([board], include);
+    if (include === 'none') setETag(res, board);
+    return res.status(200).json(result);
   } catch (err) {
     next(err);
   }
@@ -37,28 +146,30 @@ const getBoards = async (req, res, next) => {
 /**
  * Create a new board.
  * Validation: name must be provided.
+ * The board starts with the default workflow (TODO, IN_PROGRESS, DONE) and the caller as OWNER.
  */
 const createBoard = async (req, res, next) => {
   try {
     const { name } = req.body;
     if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({ error: 'Board name is required' });
+      throw new ValidationError('Board name is required');
     }
 
     const trimmedName = name.trim();
 
-    // Prevent duplicate board names (pre-check to return a clean 400)
-    const existingByName = await prisma.board.findUnique({ where: { name: trimmedName } });
-    if (existingByName) {
-      return res.status(400).json({ error: 'Board name already exists' });
-    }
+    // Prevent duplicate board names (pre-check to return a clean 409); trashed boards do not count
+    await assertBoardNameAvailable(prisma, trimmedName);
 
     const board = await prisma.board.create({
       data: {
         name: trimmedName,
+        statuses: { create: defaultStatusesData() },
+        members: { create: { userId: req.user.id, role: 'OWNER' } },
       },
+      include: { statuses: { orderBy: { position: 'asc' } } },
     });
 
+    setETag(res, board);
     return res.status(201).json(board);
   } catch (err) {
     next(err);
@@ -66,9 +177,9 @@ const createBoard = async (req, res, next) => {
 };
 
 /**
- * Update board name.
+ * Update board name (OWNER only).
  * Validation: name must be provided and id must be valid.
- * Returns 404 if board not found.
+ * Returns 404 if board not found, 412 if If-Match / body version is stale.
  */
 const updateBoard = async (req, res, next) => {
   try {
@@ -77,36 +188,46 @@ const updateBoard = async (req, res, next) => {
 
     const boardId = parseInt(id, 10);
     if (Number.isNaN(boardId)) {
-      return res.status(400).json({ error: 'Invalid board id' });
+      throw new ValidationError('Invalid board id');
     }
 
     if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({ error: 'Board name is required' });
+      throw new ValidationError('Board name is required');
     }
 
     const trimmedName = name.trim();
 
-    const existing = await prisma.board.findUnique({ where: { id: boardId } });
+    await assertBoardRole(prisma, req.user.id, boardId, 'OWNER');
+
+    const loadCurrent = () => prisma.board.findUnique({ where: { id: boardId } });
+    const existing = await loadCurrent();
     if (!existing) {
-      return res.status(404).json({ error: 'Board not found' });
+      throw new NotFoundError('Board not found');
     }
 
+    await assertVersion(expectedVersions(req), existing, loadCurrent);
+
     // Ensure new name does not conflict with other boards
     const conflict = await prisma.board.findFirst({
       where: {
         name: trimmedName,
+        deletedAt: null,
         NOT: { id: boardId },
       },
     });
     if (conflict) {
-      return res.status(400).json({ error: 'Another board with this name already exists' });
+      throw new ConflictError('Another board with this name already exists', { code: 'ALREADY_EXISTS' });
     }
 
-    const updated = await prisma.board.update({
-      where: { id: boardId },
-      data: { name: trimmedName },
-    });
+    const updated = await updateIfUnchanged(existing.version, () => prisma.board.update({
+      where: { id: boardId, version: existing.version },
+      data: { name: trimmedName, version: { increment: 1 } },
+    }), loadCurrent);
 
+    publishBoardEvent(boardId, 'board.updated', updated);
+    enqueueWebhookEvent(boardId, 'board.updated', updated);
+
+    setETag(res, updated);
     return res.status(200).json(updated);
   } catch (err) {
     next(err);
@@ -114,7 +235,9 @@ const updateBoard = async (req, res, next) => {
 };
 
 /**
- * Delete a board and all its tasks.
+ * Move a board to the trash (OWNER only).
+ * The board and its tasks disappear from every read until restored, and are purged
+ * after the retention period (see jobs/purgeTrash.js).
  * Returns 404 if board not found.
  */
 const deleteBoard = async (req, res, next) => {
@@ -122,20 +245,115 @@ const deleteBoard = async (req, res, next) => {
     const { id } = req.params;
     const boardId = parseInt(id, 10);
     if (Number.isNaN(boardId)) {
-      return res.status(400).json({ error: 'Invalid board id' });
+      throw new ValidationError('Invalid board id');
     }
 
+    await assertBoardRole(prisma, req.user.id, boardId, 'OWNER');
+
+    const trashed = await prisma.board.update({
+      where: { id: boardId },
+      data: { deletedAt: new Date(), version: { increment: 1 } },
+    });
+
+    publishBoardEvent(boardId, 'board.deleted', trashed);
+    enqueueWebhookEvent(boardId, 'board.deleted', trashed);
+
+    return res.status(200).json({ message: 'Board moved to trash' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Restore a board from the trash (OWNER only), with the tasks it had when it was deleted.
+ * Returns 409 if the board is not trashed or a live board has taken its name meanwhile.
+ */
+const restoreBoard = async (req, res, next) => {
+  try {
+    const boardId = req.params.id;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'OWNER', 'Board not found', { includeDeleted: true });
+
     const existing = await prisma.board.findUnique({ where: { id: boardId } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Board not found' });
+    if (!existing.deletedAt) {
+      throw new ConflictError('Board is not in the trash', { code: 'NOT_IN_TRASH' });
+    }
+
+    const conflict = await prisma.board.findFirst({ where: { name: existing.name, deletedAt: null } });
+    if (conflict) {
+      throw new ConflictError('Another board with this name already exists; rename it before restoring', { code: 'ALREADY_EXISTS' });
     }
 
-    // Delete tasks explicitly to ensure cascade-like behavior regardless of DB constraints
-    await prisma.task.deleteMany({ where: { boardId } });
+    const restored = await prisma.board.update({
+      where: { id: boardId },
+      data: { deletedAt: null, version: { increment: 1 } },
+      include: { statuses: { orderBy: { position: 'asc' } } },
+    });
+
+    publishBoardEvent(boardId, 'board.restored', restored);
+    enqueueWebhookEvent(boardId, 'board.restored', restored);
+
+    setETag(res, restored);
+    return res.status(200).json(restored);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Copy a board under a new name; the caller becomes the OWNER of the copy.
+ * Body: { name, includeTasks?, resetStatuses? }. Statuses, transitions and labels are always copied;
+ * with includeTasks the live tasks too (title, description, priority, due date, labels, order),
+ * all in the first column with resetStatuses. Members, assignees and comments are not copied.
+ * Returns 404 if the board is not found, 409 if the name is taken.
+ */
+const duplicateBoard = async (req, res, next) => {
+  try {
+    const boardId = req.params.id;
+    const { name, includeTasks, resetStatuses } = req.body;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
 
-    await prisma.board.delete({ where: { id: boardId } });
+    const board = await prisma.$transaction(async (tx) => {
+      await assertBoardNameAvailable(tx, name);
+      const blueprint = await readBlueprint(tx, boardId, { includeTasks, resetStatuses, keepDueDates: true });
+      return createBoardFromBlueprint(tx, { name, ownerId: req.user.id, blueprint });
+    }, { timeout: COPY_TRANSACTION_TIMEOUT_MS });
 
-    return res.status(200).json({ message: 'Board and its tasks deleted successfully' });
+    setETag(res, board);
+    return res.status(201).json(board);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create a board from one of the caller's templates; the caller becomes its OWNER.
+ * Body: { name }. Returns 404 if the template is not found, 409 if the name is taken.
+ */
+const createBoardFromTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+    const { name } = req.body;
+
+    const template = await prisma.boardTemplate.findUnique({ where: { id: templateId } });
+    if (!template || template.ownerId !== req.user.id) {
+      throw new NotFoundError('Template not found');
+    }
+
+    const blueprint = {
+      statuses: template.statuses,
+      transitions: template.transitions,
+      labels: template.labels,
+      tasks: template.tasks,
+    };
+    const board = await prisma.$transaction(async (tx) => {
+      await assertBoardNameAvailable(tx, name);
+      return createBoardFromBlueprint(tx, { name, ownerId: req.user.id, blueprint });
+    }, { timeout: COPY_TRANSACTION_TIMEOUT_MS });
+
+    setETag(res, board);
+    return res.status(201).json(board);
   } catch (err) {
     next(err);
   }
@@ -143,7 +361,11 @@ const deleteBoard = async (req, res, next) => {
 
 module.exports = {
   getBoards,
+  getBoardById,
   createBoard,
   updateBoard,
   deleteBoard,
+  restoreBoard,
+  duplicateBoard,
+  createBoardFromTemplate,
 };
@@ -0,0 +1,455 @@
+/**
+ * controllers/boardTransferController.js
+ *
+ * Board export and import as JSON or CSV.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/boards/:id/export?format=json|csv
+ * - POST /api/boards/import?format=json|csv&name=
+ *
+ * Notes:
+ * - JSON exports carry the whole board: statuses, transitions, labels and tasks (referenced by name).
+ *   CSV exports carry tasks only, one row per task: title, description, status, priority, dueDate,
+ *   labels (separated by ";") and assignee (email). Cells that a spreadsheet would run as a formula
+ *   (starting with =, +, -, @, tab or CR) are prefixed with an apostrophe, which CSV imports remove again.
+ * - Exports stream tasks in column order and leave out trashed tasks. Any member can export.
+ * - Imports always create a new board owned by the caller. The name comes from ?name=, else from the
+ *   JSON `board.name`; CSV imports need ?name=. Names follow the same rule as POST /api/boards.
+ * - Task status names are matched loosely (statusKey: "In progress" matches IN_PROGRESS); names that
+ *   still do not match become new columns at the end and are listed in `createdStatuses`.
+ * - Rows that fail validation are skipped and reported in `errors` as { row, error } (JSON: 1-based
+ *   index in `tasks`; CSV: the line the row starts on, the header being line 1). Assignees are not imported.
+ * - WIP limits are copied but not enforced while importing.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { assertBoardNameAvailable } = require('../utils/boardCopy');
+const { defaultStatusesData, statusKey } = require('../utils/workflow');
+const { rankBetween } = require('../utils/rank');
+const { activityInclude, taskChanges, statusChange } = require('../utils/activity');
+const { toCsvRow, parseCsv, unescapeFormula } = require('../utils/csv');
+const { ValidationError, joiFieldErrors } = require('../utils/errors');
+const {
+  MAX_IMPORT_TASKS,
+  boardImportSchema,
+  importTaskSchema,
+} = require('../validators/schemas');
+
+// Tasks read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+// Large imports run in one transaction; allow well beyond Prisma's 5s default
+const IMPORT_TRANSACTION_TIMEOUT_MS = 120000;
+
+const CSV_COLUMNS = ['title', 'description', 'status', 'priority', 'dueDate', 'labels', 'assignee'];
+const CSV_LABEL_SEPARATOR = ';';
+
+/**
+ * Helper: file name for the Content-Disposition header.
+ */
+function exportFileName(board, format) {
+  const slug = board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'board';
+  return `${slug}.${format}`;
+}
+
+/**
+ * Helper: iterate over the board's live tasks in column order, EXPORT_BATCH_SIZE at a time.
+ * Tasks without a status come last.
+ */
+async function* exportTasks(boardId) {
+  let cursor;
+  for (;;) {
+    const batch = await prisma.task.findMany({
+      where: { boardId, deletedAt: null },
+      orderBy: [{ status: { position: 'asc' } }, { rank: 'asc' }, { id: 'asc' }],
+      include: {
+        status: { select: { name: true } },
+        labels: { select: { name: true }, orderBy: { name: 'asc' } },
+        assignee: { select: { email: true } },
+      },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+    });
+    if (batch.length === 0) return;
+    yield batch;
+    if (batch.length < EXPORT_BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Helper: the exported form of a task (relations by name).
+ */
+function exportedTask(task) {
+  return {
+    title: task.title,
+    description: task.description,
+    status: task.status ? task.status.name : null,
+    priority: task.priority,
+    dueDate: task.dueDate,
+    labels: task.labels.map((l) => l.name),
+    assignee: task.assignee ? task.assignee.email : null,
+    createdAt: task.createdAt,
+  };
+}
+
+/**
+ * Helper: everything the JSON document carries but the tasks.
+ */
+async function jsonExportHead(board) {
+  const [transitions, labels] = await Promise.all([
+    prisma.statusTransition.findMany({
+      where: { from: { boardId: board.id } },
+      include: { from: { select: { name: true } }, to: { select: { name: true } } },
+      orderBy: { id: 'asc' },
+    }),
+    prisma.label.findMany({ where: { boardId: board.id }, orderBy: { name: 'asc' } }),
+  ]);
+
+  return {
+    format: 'task-manager-board',
+    version: 1,
+    exportedAt: new Date(),
+    board: { name: board.name },
+    statuses: board.statuses.map((s) => ({
+      name: s.name,
+      position: s.position,
+      color: s.color,
+      isDone: s.isDone,
+      wipLimit: s.wipLimit,
+    })),
+    transitions: transitions.map((t) => ({ from: t.from.name, to: t.to.name })),
+    labels: labels.map((l) => ({ name: l.name, color: l.color })),
+  };
+}
+
+/**
+ * Helper: the JSON document in chunks, `head` (see jsonExportHead) first.
+ */
+async function* jsonExport(board, head) {
+  // Open the tasks array by hand so rows can be appended as they are read
+  yield `${JSON.stringify(head).slice(0, -1)},"tasks":[`;
+  let first = true;
+  for await (const batch of exportTasks(board.id)) {
+    const chunk = batch.map((t) => JSON.stringify(exportedTask(t))).join(',');
+    yield first ? chunk : `,${chunk}`;
+    first = false;
+  }
+  yield ']}';
+}
+
+/**
+ * Helper: the CSV document in chunks (header row, then one row per task).
+ */
+async function* csvExport(board) {
+  yield toCsvRow(CSV_COLUMNS);
+  for await (const batch of exportTasks(board.id)) {
+    yield batch.map((t) => {
+      const row = exportedTask(t);
+      return toCsvRow(CSV_COLUMNS.map((col) => (
+        col === 'labels' ? row.labels.join(CSV_LABEL_SEPARATOR) : row[col]
+      )));
+    }).join('');
+  }
+}
+
+/**
+ * Export a board (any member).
+ * ?format=json (default) or csv. The response is streamed as an attachment; the next batch of tasks
+ * is only read once the client has taken the previous one, so a slow client does not buffer the board.
+ */
+const exportBoard = async (req, res, next) => {
+  try {
+    const boardId = req.params.id;
+    const { format } = req.query;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const board = await prisma.board.findUnique({
+      where: { id: boardId },
+      include: { statuses: { orderBy: [{ position: 'asc' }, { id: 'asc' }] } },
+    });
+
+    res.status(200);
+    res.attachment(exportFileName(board, format));
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+    const chunks = format === 'csv' ? csvExport(board) : jsonExport(board, await jsonExportHead(board));
+    // Byte mode buffers about one chunk ahead of the client instead of 16
+    await pipeline(Readable.from(chunks, { objectMode: false }), res);
+  } catch (err) {
+    // Once streaming has started the status line is gone; just drop the connection
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    next(err);
+  }
+};
+
+/**
+ * Helper: format of the import body, from ?format= or the Content-Type.
+ */
+function importFormat(req) {
+  if (req.query.format) return req.query.format;
+  return req.is('text/csv') ? 'csv' : 'json';
+}
+
+/**
+ * Helper: validate one task row; returns { value } or { error }.
+ * Empty strings become null; CSV label lists are split on ";".
+ */
+function parseImportTask(raw) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Task must be an object' };
+  }
+  const input = { ...raw };
+  if (typeof input.labels === 'string') {
+    input.labels = input.labels.split(CSV_LABEL_SEPARATOR).map((l) => l.trim()).filter(Boolean);
+  }
+
+  const { error, value } = importTaskSchema.validate(input, { abortEarly: true, convert: true, stripUnknown: true });
+  if (error) return { error: error.details[0].message };
+
+  return {
+    value: {
+      title: value.title,
+      description: value.description ? value.description.trim() : null,
+      status: value.status || null,
+      priority: value.priority || null,
+      dueDate: value.dueDate || null,
+      labels: [...new Set(value.labels || [])],
+    },
+  };
+}
+
+/**
+ * Helper: read a JSON import body into { name, statuses, transitions, labels, rows }.
+ * Each row is { row, raw } where row is the 1-based position in `tasks`.
+ */
+function readJsonImport(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Import body must be a board export object');
+  }
+  const { error, value } = boardImportSchema.validate(body, { abortEarly: true, convert: true });
+  if (error) throw new ValidationError(error.details[0].message, { errors: joiFieldErrors(error, 'body') });
+
+  const statuses = value.statuses && value.statuses.length > 0
+    ? [...value.statuses]
+      .map((s, i) => ({ ...s, order: s.position !== undefined ? s.position : i }))
+      .sort((a, b) => a.order - b.order)
+      .map((s) => ({
+        name: s.name,
+        color: s.color === undefined ? null : s.color,
+        isDone: s.isDone || false,
+        wipLimit: s.wipLimit === undefined ? null : s.wipLimit,
+      }))
+    : defaultStatusesData();
+
+  return {
+    name: value.board ? value.board.name : undefined,
+    statuses,
+    transitions: value.transitions || [],
+    labels: value.labels || [],
+    rows: value.tasks.map((raw, i) => ({ row: i + 1, raw })),
+  };
+}
+
+/**
+ * Helper: read a CSV import body into the same shape as readJsonImport.
+ * The header row names the columns (any order, case-insensitive); unknown columns are ignored.
+ */
+function readCsvImport(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError('CSV body is empty');
+  }
+
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    throw new ValidationError(`Invalid CSV: ${err.message}`);
+  }
+
+  const header = records[0].fields.map((h) => h.trim());
+  const columns = header.map((h) => CSV_COLUMNS.find((c) => c.toLowerCase() === h.toLowerCase()));
+  if (!columns.includes('title')) {
+    throw new ValidationError('CSV header must include a title column');
+  }
+  if (records.length - 1 > MAX_IMPORT_TASKS) {
+    throw new ValidationError(`CSV must not contain more than ${MAX_IMPORT_TASKS} tasks`);
+  }
+
+  const rows = records.slice(1).map(({ line, fields }) => {
+    const raw = {};
+    columns.forEach((col, c) => {
+      if (col && fields[c] !== undefined) raw[col] = unescapeFormula(fields[c]);
+    });
+    // The line the row starts on, as a text editor shows it (header is line 1)
+    return { row: line, raw };
+  });
+
+  return {
+    name: undefined,
+    statuses: defaultStatusesData(),
+    transitions: [],
+    labels: [],
+    rows,
+  };
+}
+
+/**
+ * Helper: work out the board's columns and labels from the document and its valid tasks.
+ * Returns { statuses, labels, createdStatuses } where task rows get `statusName` set to the
+ * column they land in (null for the first column).
+ */
+function planImport(doc, tasks) {
+  const statuses = [];
+  const byKey = new Map();
+  const addStatus = (status) => {
+    const key = statusKey(status.name);
+    if (byKey.has(key)) return byKey.get(key);
+    const entry = { ...status, position: statuses.length };
+    statuses.push(entry);
+    byKey.set(key, entry);
+    return entry;
+  };
+  doc.statuses.forEach(addStatus);
+
+  const createdStatuses = [];
+  tasks.forEach((task) => {
+    if (!task.status) {
+      task.statusName = statuses[0].name;
+      return;
+    }
+    const key = statusKey(task.status);
+    if (!byKey.has(key)) {
+      createdStatuses.push(task.status.trim());
+    }
+    task.statusName = addStatus({ name: task.status.trim(), color: null, isDone: false, wipLimit: null }).name;
+  });
+
+  const labels = new Map();
+  doc.labels.forEach((l) => {
+    if (!labels.has(l.name)) labels.set(l.name, { name: l.name, color: l.color === undefined ? null : l.color });
+  });
+  tasks.forEach((task) => task.labels.forEach((name) => {
+    if (!labels.has(name)) labels.set(name, { name, color: null });
+  }));
+
+  return { statuses, labels: [...labels.values()], createdStatuses };
+}
+
+/**
+ * Import a board from a JSON export or a CSV of tasks.
+ * Response: 201 { board, imported, skipped, createdStatuses, errors: [{ row, error }] }
+ */
+const importBoard = async (req, res, next) => {
+  try {
+    const format = importFormat(req);
+    const doc = format === 'csv' ? readCsvImport(req.body) : readJsonImport(req.body);
+
+    const name = (req.query.name || doc.name || '').trim();
+    if (!name) {
+      throw new ValidationError('Board name is required');
+    }
+
+    // Same rule as createBoard: names are unique among live boards
+    await assertBoardNameAvailable(prisma, name);
+
+    const errors = [];
+    const tasks = [];
+    doc.rows.forEach(({ row, raw }) => {
+      const { value, error } = parseImportTask(raw);
+      if (error) {
+        errors.push({ row, error });
+      } else {
+        tasks.push(value);
+      }
+    });
+
+    const plan = planImport(doc, tasks);
+
+    const statusByKey = new Map(plan.statuses.map((s) => [statusKey(s.name), s]));
+    for (const t of doc.transitions) {
+      if (!statusByKey.has(statusKey(t.from)) || !statusByKey.has(statusKey(t.to))) {
+        throw new ValidationError(`Transition ${t.from} -> ${t.to} references an unknown status`);
+      }
+    }
+
+    const userId = req.user.id;
+    const board = await prisma.$transaction(async (tx) => {
+      const created = await tx.board.create({
+        data: {
+          name,
+          statuses: { create: plan.statuses },
+          labels: { create: plan.labels },
+          members: { create: { userId, role: 'OWNER' } },
+        },
+        include: { statuses: { orderBy: { position: 'asc' } }, labels: true },
+      });
+
+      const statusIds = new Map(created.statuses.map((s) => [statusKey(s.name), s.id]));
+      const labelIds = new Map(created.labels.map((l) => [l.name, l.id]));
+
+      if (doc.transitions.length > 0) {
+        await tx.statusTransition.createMany({
+          data: doc.transitions.map((t) => ({
+            fromStatusId: statusIds.get(statusKey(t.from)),
+            toStatusId: statusIds.get(statusKey(t.to)),
+          })),
+          skipDuplicates: true,
+        });
+      }
+
+      // Rows keep their order within each column
+      const lastRank = new Map();
+      const activity = [];
+      const statusChanges = [];
+      for (const task of tasks) {
+        const statusId = statusIds.get(statusKey(task.statusName));
+        const rank = rankBetween(lastRank.get(statusId), null);
+        lastRank.set(statusId, rank);
+
+        const row = await tx.task.create({
+          data: {
+            title: task.title,
+            description: task.description,
+            priority: task.priority || undefined,
+            dueDate: task.dueDate,
+            rank,
+            board: { connect: { id: created.id } },
+            status: { connect: { id: statusId } },
+            labels: { connect: task.labels.map((l) => ({ id: labelIds.get(l) })) },
+          },
+          include: activityInclude,
+        });
+        activity.push({ taskId: row.id, actorId: userId, action: 'CREATED', changes: taskChanges({}, row) });
+        statusChanges.push(statusChange({}, row));
+      }
+      if (activity.length > 0) {
+        await tx.taskActivity.createMany({ data: activity });
+        await tx.taskStatusChange.createMany({ data: statusChanges });
+      }
+
+      return created;
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS });
+
+    return res.status(201).json({
+      board: { id: board.id, name: board.name, statuses: board.statuses },
+      imported: tasks.length,
+      skipped: errors.length,
+      createdStatuses: plan.createdStatuses,
+      errors,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  exportBoard,
+  importBoard,
+};
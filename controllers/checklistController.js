@@ -0,0 +1,120 @@
+/**
+ * controllers/checklistController.js
+ *
+ * Controllers for task checklist items.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/tasks/:id/checklist
+ * - POST /api/tasks/:id/checklist
+ * - PUT /api/tasks/:id/checklist/:itemId
+ * - DELETE /api/tasks/:id/checklist/:itemId
+ *
+ * Notes:
+ * - Items are listed in creation order; their roll-up is also part of GET /api/tasks/:id (`progress.checklist`).
+ * - Access: board VIEWERs can read a checklist, EDITORs and OWNERs can change it.
+ *   Tasks on boards the caller is not a member of are reported as not found.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { loadTaskWithRole } = require('../utils/boardAccess');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Helper: load a checklist item and check it belongs to the task in the path.
+ */
+async function findTaskItem(taskId, itemId) {
+  const item = await prisma.checklistItem.findUnique({ where: { id: itemId } });
+  if (!item || item.taskId !== taskId) {
+    throw new NotFoundError('Checklist item not found');
+  }
+  return item;
+}
+
+/**
+ * List a task's checklist.
+ * Response: { data: ChecklistItem[], progress: { total, done } }
+ */
+const getChecklist = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const items = await prisma.checklistItem.findMany({ where: { taskId }, orderBy: { id: 'asc' } });
+
+    const done = items.filter((item) => item.done).length;
+    return res.status(200).json({ data: items, progress: { total: items.length, done } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Add an item to the bottom of a task's checklist.
+ * Body: { text, done? }
+ */
+const createChecklistItem = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { text, done } = req.body;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+
+    const item = await prisma.checklistItem.create({ data: { taskId, text, done } });
+
+    return res.status(201).json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Change an item's text or check/uncheck it.
+ * Returns 404 if the item is not on this task.
+ */
+const updateChecklistItem = async (req, res, next) => {
+  try {
+    const { id: taskId, itemId } = req.params;
+    const { text, done } = req.body;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+    await findTaskItem(taskId, itemId);
+
+    const data = {};
+    if (text !== undefined) data.text = text;
+    if (done !== undefined) data.done = done;
+
+    const updated = await prisma.checklistItem.update({ where: { id: itemId }, data });
+
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove an item from a task's checklist.
+ * Returns 404 if the item is not on this task.
+ */
+const deleteChecklistItem = async (req, res, next) => {
+  try {
+    const { id: taskId, itemId } = req.params;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+    await findTaskItem(taskId, itemId);
+
+    await prisma.checklistItem.delete({ where: { id: itemId } });
+
+    return res.status(200).json({ message: 'Checklist item deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+};
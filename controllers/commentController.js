@@ -0,0 +1,139 @@
+/**
+ * controllers/commentController.js
+ *
+ * Controllers for task comments.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/tasks/:id/comments
+ * - POST /api/tasks/:id/comments
+ * - PUT /api/tasks/:id/comments/:commentId
+ * - DELETE /api/tasks/:id/comments/:commentId
+ *
+ * Notes:
+ * - Access: board VIEWERs can read comments, EDITORs and OWNERs can post them.
+ * - Only the author can edit a comment; the author or a board OWNER can delete it.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { loadTaskWithRole } = require('../utils/boardAccess');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const commentInclude = {
+  author: { select: { id: true, email: true, name: true } },
+};
+
+/**
+ * Helper: load a comment and check it belongs to the task in the path.
+ */
+async function findTaskComment(taskId, commentId) {
+  const comment = await prisma.comment.findUnique({ where: { id: commentId } });
+  if (!comment || comment.taskId !== taskId) {
+    throw new NotFoundError('Comment not found');
+  }
+  return comment;
+}
+
+/**
+ * List a task's comments, oldest first, with cursor pagination.
+ * Response: { data: Comment[], nextCursor: number|null }
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { limit, cursor } = req.query;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const comments = await prisma.comment.findMany({
+      where: { taskId },
+      orderBy: { id: 'asc' },
+      include: commentInclude,
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(comments, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Post a comment on a task as the current user.
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { body } = req.body;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+
+    const comment = await prisma.comment.create({
+      data: { taskId, authorId: req.user.id, body },
+      include: commentInclude,
+    });
+
+    return res.status(201).json(comment);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Edit a comment (author only).
+ * Returns 404 if the comment is not on this task, 403 if the caller is not its author.
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { id: taskId, commentId } = req.params;
+    const { body } = req.body;
+
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const comment = await findTaskComment(taskId, commentId);
+    if (comment.authorId !== req.user.id) {
+      throw new ForbiddenError('Only the author can edit a comment');
+    }
+
+    const updated = await prisma.comment.update({
+      where: { id: commentId },
+      data: { body },
+      include: commentInclude,
+    });
+
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a comment (author or board OWNER).
+ * Returns 404 if the comment is not on this task.
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id: taskId, commentId } = req.params;
+
+    const { member } = await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const comment = await findTaskComment(taskId, commentId);
+    if (comment.authorId !== req.user.id && member.role !== 'OWNER') {
+      throw new ForbiddenError('Only the author or a board owner can delete a comment');
+    }
+
+    await prisma.comment.delete({ where: { id: commentId } });
+
+    return res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,142 @@
+/**
+ * controllers/dependencyController.js
+ *
+ * Controllers for task dependencies ("blocks / blocked-by" links between tasks of a board).
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/tasks/:id/dependencies
+ * - POST /api/tasks/:id/dependencies
+ * - DELETE /api/tasks/:id/dependencies/:blockerId
+ *
+ * Notes:
+ * - The task in the path is the blocked one; it cannot enter a done status while a blocker is open
+ *   (enforced by the task routes, see utils/taskLinks.js).
+ * - Links that would create a cycle are rejected with 409 DEPENDENCY_CYCLE.
+ * - Changes are broadcast to the board's real-time subscribers as dependency.created / dependency.deleted.
+ * - Access: board VIEWERs can read dependencies, EDITORs and OWNERs can change them.
+ *   Tasks on boards the caller is not a member of are reported as not found.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { loadTaskWithRole } = require('../utils/boardAccess');
+const { assertNoDependencyCycle } = require('../utils/taskLinks');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Fields of the linked tasks in dependency responses
+const linkedTaskSelect = {
+  id: true,
+  title: true,
+  boardId: true,
+  statusId: true,
+  status: { select: { id: true, name: true, isDone: true } },
+};
+
+/**
+ * List the live tasks blocking a task and the ones it blocks, oldest first.
+ * Response: { blockedBy: Task[], blocks: Task[] } with { id, title, boardId, statusId, status }
+ */
+const getDependencies = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    await loadTaskWithRole(prisma, req.user.id, taskId, 'VIEWER');
+
+    const [blockedBy, blocks] = await Promise.all([
+      prisma.task.findMany({
+        where: { blocks: { some: { blockedId: taskId } }, deletedAt: null },
+        select: linkedTaskSelect,
+        orderBy: { id: 'asc' },
+      }),
+      prisma.task.findMany({
+        where: { blockedBy: { some: { blockerId: taskId } }, deletedAt: null },
+        select: linkedTaskSelect,
+        orderBy: { id: 'asc' },
+      }),
+    ]);
+
+    return res.status(200).json({ blockedBy, blocks });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Record that the task is blocked by another task of its board.
+ * Body: { blockerId }. Returns 404 if the blocker is not found, 400 if it is the task itself or on
+ * another board, 409 if the link exists or would create a cycle.
+ */
+const createDependency = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { blockerId } = req.body;
+
+    const { task } = await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+
+    if (blockerId === taskId) {
+      throw new ValidationError('A task cannot block itself');
+    }
+    const blocker = await prisma.task.findUnique({ where: { id: blockerId, deletedAt: null } });
+    if (!blocker) {
+      throw new NotFoundError('Blocking task not found');
+    }
+    if (blocker.boardId !== task.boardId) {
+      throw new ValidationError('Dependencies must link tasks of the same board');
+    }
+
+    const dependency = await prisma.$transaction(async (tx) => {
+      // Serialize dependency changes per board so two concurrent links cannot close a cycle together
+      await tx.$queryRaw`SELECT id FROM "Board" WHERE id = ${task.boardId} FOR UPDATE`;
+
+      const existing = await tx.taskDependency.findUnique({
+        where: { blockerId_blockedId: { blockerId, blockedId: taskId } },
+      });
+      if (existing) {
+        throw new ConflictError('Dependency already exists', { code: 'ALREADY_EXISTS' });
+      }
+      await assertNoDependencyCycle(tx, blockerId, taskId);
+
+      return tx.taskDependency.create({
+        data: { blockerId, blockedId: taskId },
+        include: { blocker: { select: linkedTaskSelect } },
+      });
+    });
+
+    publishBoardEvent(task.boardId, 'dependency.created', dependency);
+
+    return res.status(201).json(dependency);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove a dependency: the task is no longer blocked by blockerId.
+ * Returns 404 if there is no such link.
+ */
+const deleteDependency = async (req, res, next) => {
+  try {
+    const { id: taskId, blockerId } = req.params;
+    const { task } = await loadTaskWithRole(prisma, req.user.id, taskId, 'EDITOR');
+
+    const where = { blockerId_blockedId: { blockerId, blockedId: taskId } };
+    const existing = await prisma.taskDependency.findUnique({ where });
+    if (!existing) {
+      throw new NotFoundError('Dependency not found');
+    }
+
+    await prisma.taskDependency.delete({ where });
+
+    publishBoardEvent(task.boardId, 'dependency.deleted', { blockerId, blockedId: taskId });
+
+    return res.status(200).json({ message: 'Dependency deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getDependencies,
+  createDependency,
+  deleteDependency,
+};
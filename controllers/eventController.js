@@ -0,0 +1,83 @@
+/**
+ * controllers/eventController.js
+ *
+ * Real-time board updates over Server-Sent Events.
+ *
+ * Endpoints handled:
+ * - GET /api/boards/:id/events
+ *
+ * Notes:
+ * - Any board member can subscribe. Authentication uses the usual Authorization header, so browsers
+ *   need a fetch-based EventSource client (the native EventSource cannot send headers).
+ * - Each event is sent as `event: <type>` with the JSON envelope { type, boardId, data, occurredAt }.
+ *   Types: task.created, task.updated, task.moved, task.deleted, task.restored, board.updated,
+ *   board.deleted, board.restored, status.created, status.updated, status.deleted, statuses.reordered,
+ *   transition.created, transition.deleted, member.removed ({ boardId, userId }).
+ * - Access is checked when the stream opens and the stream ends when it is lost: after board.deleted
+ *   (the board went to the trash) and after member.removed for the subscriber.
+ * - A comment line is sent every SSE_HEARTBEAT_SECONDS (default 25) to keep proxies from closing the stream.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { subscribeBoard } = require('../utils/eventBus');
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_SECONDS || '25', 10) * 1000;
+
+/**
+ * Helper: whether the subscriber can no longer see the board once `event` has been sent.
+ */
+function endsAccess(event, userId) {
+  if (event.type === 'board.deleted') return true;
+  return event.type === 'member.removed' && event.data.userId === userId;
+}
+
+/**
+ * Stream a board's events until the client disconnects.
+ */
+const streamBoardEvents = async (req, res, next) => {
+  const boardId = req.params.id;
+
+  try {
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+  } catch (err) {
+    return next(err);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (chunk) => {
+    res.write(chunk);
+    // compression() buffers output until flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+  let unsubscribe = () => {};
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  unsubscribe = subscribeBoard(boardId, (event) => {
+    send(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (endsAccess(event, req.user.id)) {
+      stop();
+      res.end();
+    }
+  });
+  req.on('close', stop);
+
+  send(`event: ready\ndata: ${JSON.stringify({ boardId })}\n\n`);
+};
+
+module.exports = {
+  streamBoardEvents,
+};
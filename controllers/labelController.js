@@ -0,0 +1,144 @@
+/**
+ * controllers/labelController.js
+ *
+ * Controllers for board-scoped Label CRUD operations.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/boards/:id/labels
+ * - POST /api/boards/:id/labels
+ * - PUT /api/boards/:id/labels/:labelId
+ * - DELETE /api/boards/:id/labels/:labelId
+ *
+ * Notes:
+ * - Label names are unique per board. Deleting a label removes it from its tasks.
+ * - Access: members can list labels; EDITORs and OWNERs can manage them.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Helper: load a label and check it belongs to the board in the path.
+ * Returns null if not found.
+ */
+async function findBoardLabel(boardId, labelId) {
+  const label = await prisma.label.findUnique({ where: { id: labelId } });
+  if (!label || label.boardId !== boardId) return null;
+  return label;
+}
+
+/**
+ * List a board's labels, alphabetically.
+ */
+const getLabels = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const labels = await prisma.label.findMany({
+      where: { boardId },
+      orderBy: { name: 'asc' },
+    });
+    return res.status(200).json(labels);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create a label on a board.
+ * Returns 409 if the name is already used on the board.
+ */
+const createLabel = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const { name, color } = req.body;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'EDITOR');
+
+    const existing = await prisma.label.findUnique({ where: { boardId_name: { boardId, name } } });
+    if (existing) {
+      throw new ConflictError('Label name already exists on this board', { code: 'ALREADY_EXISTS' });
+    }
+
+    const label = await prisma.label.create({
+      data: { boardId, name, color: color === undefined ? null : color },
+    });
+
+    return res.status(201).json(label);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Rename or recolor a label.
+ * Returns 404 if the label is not on this board.
+ */
+const updateLabel = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const labelId = parseInt(req.params.labelId, 10);
+    const { name, color } = req.body;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'EDITOR');
+
+    const existing = await findBoardLabel(boardId, labelId);
+    if (!existing) {
+      throw new NotFoundError('Label not found');
+    }
+
+    const data = {};
+    if (name !== undefined) {
+      const conflict = await prisma.label.findUnique({ where: { boardId_name: { boardId, name } } });
+      if (conflict && conflict.id !== labelId) {
+        throw new ConflictError('Another label with this name already exists on this board', { code: 'ALREADY_EXISTS' });
+      }
+      data.name = name;
+    }
+    if (color !== undefined) data.color = color;
+
+    const updated = await prisma.label.update({
+      where: { id: labelId },
+      data,
+    });
+
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a label (tasks keep everything else).
+ * Returns 404 if the label is not on this board.
+ */
+const deleteLabel = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const labelId = parseInt(req.params.labelId, 10);
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'EDITOR');
+
+    const existing = await findBoardLabel(boardId, labelId);
+    if (!existing) {
+      throw new NotFoundError('Label not found');
+    }
+
+    await prisma.label.delete({ where: { id: labelId } });
+
+    return res.status(200).json({ message: 'Label deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+};
@@ -0,0 +1,206 @@
+/**
+ * controllers/memberController.js
+ *
+ * Controllers for board membership (OWNER / EDITOR / VIEWER).
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/boards/:id/members
+ * - POST /api/boards/:id/members
+ * - PUT /api/boards/:id/members/:userId
+ * - DELETE /api/boards/:id/members/:userId
+ *
+ * Notes:
+ * - Any member can list members; only OWNERs can invite, change roles or remove others.
+ * - Any member may remove themselves (leave the board).
+ * - A board always keeps at least one OWNER.
+ * - Removing a member unassigns them from the board's tasks (trashed ones included), recorded in each
+ *   task's activity; the live ones are announced as task.updated.
+ * - Removals are announced as member.removed on the board's event stream, which ends the removed
+ *   member's own streams (see controllers/eventController.js).
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const { activityInclude } = require('../utils/activity');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+const memberSelect = {
+  boardId: true,
+  userId: true,
+  role: true,
+  createdAt: true,
+  user: { select: { id: true, email: true, name: true } },
+};
+
+// Relations returned with a task in task.updated events (as in controllers/taskController.js)
+const taskInclude = {
+  status: true,
+  labels: true,
+  assignee: { select: { id: true, email: true, name: true } },
+  series: true,
+};
+
+/**
+ * Helper: reject a change that would leave the board without an OWNER.
+ */
+async function assertKeepsOwner(db, member) {
+  if (member.role !== 'OWNER') return;
+  const owners = await db.boardMember.count({ where: { boardId: member.boardId, role: 'OWNER' } });
+  if (owners <= 1) {
+    throw new ConflictError('A board must keep at least one owner', { code: 'LAST_OWNER' });
+  }
+}
+
+/**
+ * List the members of a board with their user details.
+ */
+const getMembers = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const members = await prisma.boardMember.findMany({
+      where: { boardId },
+      select: memberSelect,
+      orderBy: { createdAt: 'asc' },
+    });
+    return res.status(200).json(members);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Invite a registered user (by email) to the board with a role.
+ * Returns 404 if no user has that email, 409 if they are already a member.
+ */
+const addMember = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const { email, role } = req.body;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'OWNER');
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const existing = await prisma.boardMember.findUnique({
+      where: { boardId_userId: { boardId, userId: user.id } },
+    });
+    if (existing) {
+      throw new ConflictError('User is already a member of this board', { code: 'ALREADY_EXISTS' });
+    }
+
+    const member = await prisma.boardMember.create({
+      data: { boardId, userId: user.id, role },
+      select: memberSelect,
+    });
+
+    return res.status(201).json(member);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Change a member's role.
+ * Returns 404 if the user is not a member; 409 if it would remove the last OWNER.
+ */
+const updateMember = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const userId = parseInt(req.params.userId, 10);
+    const { role } = req.body;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await assertBoardRole(tx, req.user.id, boardId, 'OWNER');
+
+      const member = await tx.boardMember.findUnique({ where: { boardId_userId: { boardId, userId } } });
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+      if (role !== 'OWNER') {
+        await assertKeepsOwner(tx, member);
+      }
+
+      return tx.boardMember.update({
+        where: { boardId_userId: { boardId, userId } },
+        data: { role },
+        select: memberSelect,
+      });
+    });
+
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove a member from the board (OWNER), or leave the board (any member removing themselves).
+ * Their tasks on the board are unassigned in the same transaction, so no reminders reach them;
+ * each gets an activity entry, and the live ones are published as task.updated.
+ * Returns 404 if the user is not a member; 409 if it would remove the last OWNER.
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+    const userId = parseInt(req.params.userId, 10);
+
+    const unassigned = await prisma.$transaction(async (tx) => {
+      const minRole = userId === req.user.id ? 'VIEWER' : 'OWNER';
+      await assertBoardRole(tx, req.user.id, boardId, minRole);
+
+      const member = await tx.boardMember.findUnique({ where: { boardId_userId: { boardId, userId } } });
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+      await assertKeepsOwner(tx, member);
+
+      await tx.boardMember.delete({ where: { boardId_userId: { boardId, userId } } });
+
+      const assigned = await tx.task.findMany({ where: { boardId, assigneeId: userId }, select: { id: true } });
+      if (assigned.length === 0) return [];
+      const ids = assigned.map((task) => task.id);
+      await tx.task.updateMany({
+        where: { id: { in: ids } },
+        data: { assigneeId: null, version: { increment: 1 } },
+      });
+      await tx.taskActivity.createMany({
+        data: ids.map((taskId) => ({
+          taskId,
+          actorId: req.user.id,
+          action: 'UPDATED',
+          changes: { assigneeId: { from: userId, to: null } },
+        })),
+      });
+      return tx.task.findMany({
+        where: { id: { in: ids }, deletedAt: null },
+        include: { ...activityInclude, ...taskInclude },
+      });
+    });
+
+    for (const task of unassigned) {
+      publishBoardEvent(boardId, 'task.updated', task);
+      enqueueWebhookEvent(boardId, 'task.updated', task);
+    }
+    publishBoardEvent(boardId, 'member.removed', { boardId, userId });
+
+    return res.status(200).json({ message: 'Member removed successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+};
@@ -0,0 +1,59 @@
+/**
+ * controllers/metricsController.js
+ *
+ * Board flow metrics: cumulative flow, lead and cycle time, throughput and time per status.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/boards/:id/metrics
+ *
+ * Notes:
+ * - Computed from the status history (TaskStatusChange), recorded whenever a task is created on a board,
+ *   changes status or moves between boards; see utils/metrics.js for the definitions.
+ * - Any board member can read the metrics. Trashed tasks are left out.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { metricsRange, boardMetrics } = require('../utils/metrics');
+
+/**
+ * Metrics of a board.
+ * Query: from, to (ISO dates; default the last 30 days, at most 366), granularity (day or week) of the
+ * cumulative flow series. Throughput is always weekly.
+ */
+const getBoardMetrics = async (req, res, next) => {
+  try {
+    const boardId = req.params.id;
+    const { granularity } = req.query;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+    const { from, to } = metricsRange(req.query.from, req.query.to);
+
+    const [statuses, tasks, changes] = await Promise.all([
+      prisma.status.findMany({ where: { boardId }, orderBy: { position: 'asc' } }),
+      prisma.task.findMany({
+        where: { boardId, deletedAt: null },
+        select: { id: true, statusId: true, createdAt: true },
+      }),
+      prisma.taskStatusChange.findMany({
+        where: { boardId, changedAt: { lte: to }, task: { boardId, deletedAt: null } },
+        select: { taskId: true, toStatusId: true, changedAt: true },
+        orderBy: [{ changedAt: 'asc' }, { id: 'asc' }],
+      }),
+    ]);
+
+    return res.status(200).json({
+      boardId,
+      ...boardMetrics({
+        statuses, tasks, changes, from, to, granularity,
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getBoardMetrics,
+};
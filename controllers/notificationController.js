@@ -0,0 +1,91 @@
+/**
+ * controllers/notificationController.js
+ *
+ * Controllers for the caller's in-app notifications (due-date reminders).
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/notifications
+ * - POST /api/notifications/:id/read
+ * - POST /api/notifications/read-all
+ *
+ * Notes:
+ * - Notifications are created by jobs/sendDueReminders.js; callers only ever see their own.
+ * - Notifications of boards or tasks the caller can no longer see are still listed; they are removed
+ *   when the task or board is purged from the trash.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * List the caller's notifications, newest first, with cursor pagination.
+ * `unread=true` lists only unread ones.
+ * Response: { data: Notification[], nextCursor: number|null, unreadCount: number }
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, limit, cursor } = req.query;
+    const where = { userId: req.user.id };
+    if (unread) where.readAt = null;
+
+    const [rows, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { id: 'desc' },
+        ...cursorArgs({ cursor, limit }),
+      }),
+      prisma.notification.count({ where: { userId: req.user.id, readAt: null } }),
+    ]);
+
+    return res.status(200).json({ ...toPage(rows, limit), unreadCount });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Mark one notification as read. Marking it again keeps the original readAt.
+ * Returns 404 if it does not exist or belongs to someone else.
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const notificationId = req.params.id;
+
+    const existing = await prisma.notification.findUnique({ where: { id: notificationId } });
+    if (!existing || existing.userId !== req.user.id) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    const notification = existing.readAt
+      ? existing
+      : await prisma.notification.update({ where: { id: notificationId }, data: { readAt: new Date() } });
+
+    return res.status(200).json(notification);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Mark all of the caller's unread notifications as read.
+ * Response: { updated: number }
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+    return res.status(200).json({ updated: count });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead,
+};
@@ -0,0 +1,100 @@
+/**
+ * controllers/recurrenceController.js
+ *
+ * Controllers for the recurrence (series) of a recurring task.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/tasks/:id/recurrence
+ * - PUT /api/tasks/:id/recurrence
+ * - DELETE /api/tasks/:id/recurrence
+ *
+ * Notes:
+ * - A series is shared by all of its occurrences, so it can be read, edited or stopped through any of them.
+ * - Rules are validated and normalized by validators/schemas.js (see utils/recurrence.js for the syntax).
+ * - Stopping a series keeps its existing occurrences; only the generation of new ones ends.
+ * - Access: board VIEWERs can read a series, EDITORs and OWNERs can change or stop it.
+ *   Tasks on boards the caller is not a member of are reported as not found.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { loadTaskWithRole } = require('../utils/boardAccess');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Get the series of a task.
+ * Returns 404 if the task is not recurring.
+ */
+const getRecurrence = async (req, res, next) => {
+  try {
+    const { task } = await loadTaskWithRole(prisma, req.user.id, req.params.id, 'VIEWER', { include: { series: true } });
+    if (!task.series) {
+      throw new NotFoundError('Task is not recurring');
+    }
+
+    return res.status(200).json(task.series);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Make a task recurring, or change the rule of its series.
+ * Body: { rule }. The rule counts from the task's due date, which a task needs to become recurring.
+ * Changing the rule of a stopped series resumes it.
+ * Returns 201 with the new series, or 200 with the updated one.
+ */
+const setRecurrence = async (req, res, next) => {
+  try {
+    const { rule } = req.body;
+    const { task } = await loadTaskWithRole(prisma, req.user.id, req.params.id, 'EDITOR', { include: { series: true } });
+
+    if (task.series) {
+      const series = await prisma.taskSeries.update({
+        where: { id: task.series.id },
+        data: { rule, startsAt: task.dueDate || task.series.startsAt, stoppedAt: null },
+      });
+      return res.status(200).json(series);
+    }
+
+    if (!task.dueDate) {
+      throw new ValidationError('A recurring task needs a dueDate');
+    }
+
+    const { series } = await prisma.task.update({
+      where: { id: task.id },
+      data: { series: { create: { rule, startsAt: task.dueDate } } },
+      include: { series: true },
+    });
+    return res.status(201).json(series);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Stop the series of a task: no further occurrences are generated.
+ * Stopping a stopped series keeps its original stoppedAt. Returns 404 if the task is not recurring.
+ */
+const stopRecurrence = async (req, res, next) => {
+  try {
+    const { task } = await loadTaskWithRole(prisma, req.user.id, req.params.id, 'EDITOR', { include: { series: true } });
+    if (!task.series) {
+      throw new NotFoundError('Task is not recurring');
+    }
+
+    const series = task.series.stoppedAt
+      ? task.series
+      : await prisma.taskSeries.update({ where: { id: task.series.id }, data: { stoppedAt: new Date() } });
+
+    return res.status(200).json(series);
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getRecurrence,
+  setRecurrence,
+  stopRecurrence,
+};
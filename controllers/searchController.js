@@ -0,0 +1,188 @@
+/**
+ * controllers/searchController.js
+ *
+ * Full-text search over boards and tasks.
+ * Uses PostgreSQL full-text search through raw queries (Prisma cannot express tsvector operators).
+ *
+ * Endpoints handled:
+ * - GET /api/search?q=&boardId=&statusId=&limit=
+ *
+ * Notes:
+ * - Matches Task.title (weighted above) and Task.description, and Board.name, through the generated
+ *   "searchVector" columns (migration 20261018173000_add_full_text_search).
+ * - q uses web search syntax: words are ANDed, "quoted phrases", `or`, and -excluded words.
+ * - Only live boards and tasks the caller is a member of are searched.
+ * - Results are grouped by board, best match first. A board matched by name is listed even without
+ *   matching tasks, unless a statusId filter is given.
+ * - Highlights are HTML-escaped with matches wrapped in <mark></mark>.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../utils/prisma');
+
+// Must match the configuration of the generated columns
+const SEARCH_CONFIG = 'english';
+
+// Private-use characters mark the matches, so highlights can be escaped before adding <mark>
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+const TITLE_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+const TEXT_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxFragments=2, MaxWords=20, MinWords=5`;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Helper: turn a ts_headline result into escaped HTML with <mark> around matches.
+ */
+function toHighlight(text) {
+  if (text === null) return null;
+  return text
+    .replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Helper: tsquery of the search text.
+ */
+function tsQueryOf(q) {
+  return Prisma.sql`websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${q})`;
+}
+
+/**
+ * Helper: FROM and WHERE clauses selecting the live tasks that match and that the caller can see,
+ * as `t` (with its board as `b` and the tsquery as `query`).
+ */
+function matchingTasks({ q, userId, boardId, statusId }) {
+  return Prisma.sql`
+      FROM "Task" t
+      JOIN "Board" b ON b."id" = t."boardId"
+      CROSS JOIN ${tsQueryOf(q)} query
+      WHERE t."searchVector" @@ query
+        AND t."deletedAt" IS NULL
+        AND b."deletedAt" IS NULL
+        AND EXISTS (SELECT 1 FROM "BoardMember" m WHERE m."boardId" = t."boardId" AND m."userId" = ${userId})
+        ${boardId ? Prisma.sql`AND t."boardId" = ${boardId}` : Prisma.empty}
+        ${statusId ? Prisma.sql`AND t."statusId" = ${statusId}` : Prisma.empty}`;
+}
+
+/**
+ * Helper: matching tasks, best first, with their board and status names and raw headlines.
+ * Headlines are only computed for the rows that are returned.
+ */
+function searchTasks({ q, userId, boardId, statusId, limit }) {
+  return prisma.$queryRaw`
+    WITH hits AS (
+      SELECT t."id", t."boardId", t."statusId", t."title", t."description",
+             ts_rank(t."searchVector", query) AS "score"
+      ${matchingTasks({ q, userId, boardId, statusId })}
+      ORDER BY "score" DESC, t."id" DESC
+      LIMIT ${limit}
+    )
+    SELECT h."id", h."boardId", b."name" AS "boardName", h."statusId", s."name" AS "statusName",
+           h."title", h."score",
+           ts_headline(${SEARCH_CONFIG}::regconfig, h."title", query, ${TITLE_HEADLINE}) AS "titleHeadline",
+           CASE WHEN h."description" IS NULL THEN NULL
+                ELSE ts_headline(${SEARCH_CONFIG}::regconfig, h."description", query, ${TEXT_HEADLINE})
+           END AS "descriptionHeadline"
+    FROM hits h
+    JOIN "Board" b ON b."id" = h."boardId"
+    LEFT JOIN "Status" s ON s."id" = h."statusId"
+    CROSS JOIN ${tsQueryOf(q)} query
+    ORDER BY h."score" DESC, h."id" DESC
+  `;
+}
+
+/**
+ * Helper: number of matching tasks, regardless of the limit.
+ */
+async function countTasks({ q, userId, boardId, statusId }) {
+  const [{ total }] = await prisma.$queryRaw`
+    SELECT count(*)::int AS "total"
+    ${matchingTasks({ q, userId, boardId, statusId })}
+  `;
+  return total;
+}
+
+/**
+ * Helper: boards whose name matches, best first.
+ */
+function searchBoards({ q, userId, boardId, limit }) {
+  return prisma.$queryRaw`
+    SELECT b."id", b."name", ts_rank(b."searchVector", query) AS "score",
+           ts_headline(${SEARCH_CONFIG}::regconfig, b."name", query, ${TITLE_HEADLINE}) AS "nameHeadline"
+    FROM "Board" b
+    CROSS JOIN ${tsQueryOf(q)} query
+    WHERE b."searchVector" @@ query
+      AND b."deletedAt" IS NULL
+      AND EXISTS (SELECT 1 FROM "BoardMember" m WHERE m."boardId" = b."id" AND m."userId" = ${userId})
+      ${boardId ? Prisma.sql`AND b."id" = ${boardId}` : Prisma.empty}
+    ORDER BY "score" DESC, b."id" DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * Search boards and tasks.
+ * Response: { query, total, data: [{ board: { id, name, highlight, score }, score, tasks: [...] }] }
+ * where `total` counts all matching tasks (`data` holds at most `limit` of them)
+ * and the group `score` is the best relevance score in it.
+ */
+const search = async (req, res, next) => {
+  try {
+    const { q, boardId, statusId, limit } = req.query;
+    const userId = req.user.id;
+
+    const [tasks, total, boards] = await Promise.all([
+      searchTasks({ q, userId, boardId, statusId, limit }),
+      countTasks({ q, userId, boardId, statusId }),
+      statusId ? [] : searchBoards({ q, userId, boardId, limit }),
+    ]);
+
+    const groups = new Map();
+    const groupFor = (id, name) => {
+      if (!groups.has(id)) {
+        groups.set(id, { board: { id, name, highlight: null, score: null }, score: 0, tasks: [] });
+      }
+      return groups.get(id);
+    };
+
+    boards.forEach((b) => {
+      const group = groupFor(b.id, b.name);
+      group.board.highlight = toHighlight(b.nameHeadline);
+      group.board.score = b.score;
+      group.score = Math.max(group.score, b.score);
+    });
+
+    tasks.forEach((t) => {
+      const group = groupFor(t.boardId, t.boardName);
+      group.tasks.push({
+        id: t.id,
+        title: t.title,
+        status: t.statusId === null ? null : { id: t.statusId, name: t.statusName },
+        score: t.score,
+        highlights: {
+          title: toHighlight(t.titleHeadline),
+          description: toHighlight(t.descriptionHeadline),
+        },
+      });
+      group.score = Math.max(group.score, t.score);
+    });
+
+    const data = [...groups.values()].sort((a, b) => b.score - a.score || b.board.id - a.board.id);
+
+    return res.status(200).json({ query: q, total, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  search,
+};
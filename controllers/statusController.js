@@ -1,10 +1,118 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+/**
+ * controllers/statusController.js
+ *
+ * Controllers for board-scoped Status (workflow column) CRUD operations.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/statuses (optionally ?boardId=)
+ * - POST /api/statuses (boardId in body)
+ * - PUT /api/statuses/:id
+ * - DELETE /api/statuses/:id
+ * - GET /api/boards/:id/statuses
+ * - POST /api/boards/:id/statuses
+ * - PUT /api/boards/:id/statuses/:statusId
+ * - DELETE /api/boards/:id/statuses/:statusId
+ * - GET /api/statuses/transitions (optionally ?boardId=)
+ * - POST /api/statuses/transitions
+ * - DELETE /api/statuses/transitions/:id
+ *
+ * Notes:
+ * - Each board owns an ordered list of statuses; names are unique per board.
+ * - `position` is 0-based and kept contiguous: creating, moving or deleting a status shifts its siblings.
+ * - Transitions form a per-board graph of allowed status changes, enforced by taskController.
+ * - Access: board members can read statuses and transitions; only OWNERs can change the workflow.
+ * - Create and update return the status's `version` as the ETag; PUT with a stale If-Match or body
+ *   `version` gets 412 with the current status (see utils/concurrency.js).
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole, memberOf } = require('../utils/boardAccess');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const {
+  setETag, expectedVersions, assertVersion, updateIfUnchanged,
+} = require('../utils/concurrency');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Helper: read the status id (and the board it must belong to, if any) from the route params.
+ * /api/statuses/:id -> { statusId: id, boardId: null }
+ * /api/boards/:id/statuses/:statusId -> { statusId, boardId: id }
+ */
+function statusRef(params) {
+  if (params.statusId !== undefined) {
+    return { statusId: parseInt(params.statusId, 10), boardId: parseInt(params.id, 10) };
+  }
+  return { statusId: parseInt(params.id, 10), boardId: null };
+}
 
+/**
+ * Helper: load a status, optionally checking it belongs to the given board.
+ */
+async function findStatus(db, { statusId, boardId }) {
+  const status = await db.status.findUnique({ where: { id: statusId } });
+  if (!status || (boardId !== null && status.boardId !== boardId)) {
+    throw new NotFoundError('Status not found');
+  }
+  return status;
+}
+
+/**
+ * Helper: rewrite positions so the `ordered` statuses become 0..n-1.
+ * Only rows whose position actually changes are updated (and their version bumped).
+ * Returns true if any row changed.
+ */
+async function writePositions(tx, ordered) {
+  let changed = false;
+  for (let i = 0; i < ordered.length; i += 1) {
+    if (ordered[i].position !== i) {
+      await tx.status.update({
+        where: { id: ordered[i].id },
+        data: { position: i, version: { increment: 1 } },
+      });
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Helper: the board's statuses in column order.
+ */
+function boardStatuses(db, boardId) {
+  return db.status.findMany({
+    where: { boardId },
+    orderBy: [{ position: 'asc' }, { id: 'asc' }],
+  });
+}
+
+/**
+ * Helper: broadcast a status event, followed by the new column order when other statuses moved.
+ * Webhooks get the status event only.
+ */
+function publishStatusChange(type, boardId, data, reordered) {
+  publishBoardEvent(boardId, type, data);
+  enqueueWebhookEvent(boardId, type, data);
+  if (reordered) {
+    publishBoardEvent(boardId, 'statuses.reordered', reordered);
+  }
+}
+
+/**
+ * List statuses across the caller's boards, ordered by board then position.
+ * Optional ?boardId= narrows the list to one board.
+ */
 const getStatuses = async (req, res, next) => {
   try {
+    const { boardId } = req.query;
+
+    const where = { board: memberOf(req.user.id) };
+    if (boardId) where.boardId = boardId;
+
     const statuses = await prisma.status.findMany({
-      orderBy: { createdAt: 'asc' },
+      where,
+      orderBy: [{ boardId: 'asc' }, { position: 'asc' }],
     });
     return res.status(200).json(statuses);
   } catch (err) {
@@ -12,62 +120,147 @@ const getStatuses = async (req, res, next) => {
   }
 };
 
+/**
+ * List a board's statuses in column order.
+ * Returns 404 if board not found.
+ */
+const getBoardStatuses = async (req, res, next) => {
+  try {
+    const boardId = parseInt(req.params.id, 10);
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const board = await prisma.board.findUnique({ where: { id: boardId } });
+    if (!board) {
+      throw new NotFoundError('Board not found');
+    }
 
+    const statuses = await boardStatuses(prisma, boardId);
+    return res.status(200).json(statuses);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create a status on a board.
+ * Board comes from /boards/:id/statuses or from body.boardId on /statuses.
+ * Without a position the status is appended as the last column.
+ */
 const createStatus = async (req, res, next) => {
   try {
-    const { name } = req.body;
+    const boardId = parseInt(req.params.id !== undefined ? req.params.id : req.body.boardId, 10);
+    const { name, position, color, isDone, wipLimit } = req.body;
+
     if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({ error: 'Status name is required' });
+      throw new ValidationError('Status name is required');
     }
 
     const trimmed = name.trim();
 
-    const existing = await prisma.status.findUnique({ where: { name: trimmed } });
-    if (existing) {
-      return res.status(400).json({ error: 'Status name already exists' });
-    }
+    const { status, reordered } = await prisma.$transaction(async (tx) => {
+      await assertBoardRole(tx, req.user.id, boardId, 'OWNER');
+      const board = await tx.board.findUnique({ where: { id: boardId } });
+      if (!board) {
+        throw new NotFoundError('Board not found');
+      }
 
-    const status = await prisma.status.create({
-      data: { name: trimmed },
+      const existing = await tx.status.findUnique({ where: { boardId_name: { boardId, name: trimmed } } });
+      if (existing) {
+        throw new ConflictError('Status name already exists on this board', { code: 'ALREADY_EXISTS' });
+      }
+
+      const siblings = await boardStatuses(tx, boardId);
+      const index = position === undefined ? siblings.length : Math.min(position, siblings.length);
+
+      const created = await tx.status.create({
+        data: {
+          boardId,
+          name: trimmed,
+          position: index,
+          color: color === undefined ? null : color,
+          isDone: Boolean(isDone),
+          wipLimit: wipLimit === undefined ? null : wipLimit,
+        },
+      });
+
+      siblings.splice(index, 0, created);
+      const moved = await writePositions(tx, siblings);
+      return { status: created, reordered: moved ? await boardStatuses(tx, boardId) : null };
     });
 
+    publishStatusChange('status.created', boardId, status, reordered);
+
+    setETag(res, status);
     return res.status(201).json(status);
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * Update a status (name, position, color, isDone, wipLimit).
+ * Returns 404 if status not found (or not on the board given in the path),
+ * 412 if If-Match / body version is stale.
+ */
 const updateStatus = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { name } = req.body;
+    const ref = statusRef(req.params);
+    const { name, position, color, isDone, wipLimit } = req.body;
 
-    const statusId = parseInt(id, 10);
-    if (Number.isNaN(statusId)) {
-      return res.status(400).json({ error: 'Invalid status id' });
+    if (Number.isNaN(ref.statusId)) {
+      throw new ValidationError('Invalid status id');
     }
 
-    if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({ error: 'Status name is required' });
+    if (name !== undefined && (!name || typeof name !== 'string' || name.trim() === '')) {
+      throw new ValidationError('Status name, if provided, must be a non-empty string');
     }
 
-    const trimmed = name.trim();
+    const versions = expectedVersions(req);
 
-    const existing = await prisma.status.findUnique({ where: { id: statusId } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Status not found' });
-    }
+    const { updated, reordered } = await prisma.$transaction(async (tx) => {
+      const existing = await findStatus(tx, ref);
+      await assertBoardRole(tx, req.user.id, existing.boardId, 'OWNER', 'Status not found');
 
-    const conflict = await prisma.status.findUnique({ where: { name: trimmed } });
-    if (conflict && conflict.id !== statusId) {
-      return res.status(400).json({ error: 'Another status with this name already exists' });
-    }
+      const loadCurrent = () => tx.status.findUnique({ where: { id: existing.id } });
+      await assertVersion(versions, existing, loadCurrent);
+
+      const data = {};
+      if (name !== undefined) {
+        const trimmed = name.trim();
+        const conflict = await tx.status.findUnique({
+          where: { boardId_name: { boardId: existing.boardId, name: trimmed } },
+        });
+        if (conflict && conflict.id !== existing.id) {
+          throw new ConflictError('Another status with this name already exists on this board', { code: 'ALREADY_EXISTS' });
+        }
+        data.name = trimmed;
+      }
+      if (color !== undefined) data.color = color;
+      if (isDone !== undefined) data.isDone = isDone;
+      if (wipLimit !== undefined) data.wipLimit = wipLimit;
+
+      // Pinned to the version read above, so a concurrent update is detected before anything moves
+      let result = await updateIfUnchanged(existing.version, () => tx.status.update({
+        where: { id: existing.id, version: existing.version },
+        data: { ...data, version: { increment: 1 } },
+      }), loadCurrent);
+
+      let moved = false;
+      if (position !== undefined) {
+        const siblings = (await boardStatuses(tx, existing.boardId)).filter((s) => s.id !== existing.id);
+        const index = Math.min(position, siblings.length);
+        siblings.splice(index, 0, result);
+        moved = await writePositions(tx, siblings);
+        if (moved) result = await loadCurrent();
+      }
 
-    const updated = await prisma.status.update({
-      where: { id: statusId },
-      data: { name: trimmed },
+      return { updated: result, reordered: moved ? await boardStatuses(tx, existing.boardId) : null };
     });
 
+    publishStatusChange('status.updated', updated.boardId, updated, reordered);
+
+    setETag(res, updated);
     return res.status(200).json(updated);
   } catch (err) {
     next(err);
@@ -77,28 +270,38 @@ const updateStatus = async (req, res, next) => {
 /**
  * Delete a status.
  * Behavior: set statusId = null on tasks that reference this status (non-destructive),
- * then delete the status. Returns 404 if status not found.
+ * then delete the status and close the gap in the board's positions.
+ * Returns 404 if status not found.
  */
 const deleteStatus = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const statusId = parseInt(id, 10);
-    if (Number.isNaN(statusId)) {
-      return res.status(400).json({ error: 'Invalid status id' });
+    const ref = statusRef(req.params);
+    if (Number.isNaN(ref.statusId)) {
+      throw new ValidationError('Invalid status id');
     }
 
-    const existing = await prisma.status.findUnique({ where: { id: statusId } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Status not found' });
-    }
+    const { deleted, reordered } = await prisma.$transaction(async (tx) => {
+      const existing = await findStatus(tx, ref);
+      await assertBoardRole(tx, req.user.id, existing.boardId, 'OWNER', 'Status not found');
+
+      // Unlink tasks referencing this status (set statusId to null), recording it for the board metrics
+      const unlinked = await tx.task.findMany({ where: { statusId: existing.id }, select: { id: true, boardId: true } });
+      await tx.taskStatusChange.createMany({
+        data: unlinked.map((task) => ({ taskId: task.id, boardId: task.boardId, toStatusId: null })),
+      });
+      await tx.task.updateMany({
+        where: { statusId: existing.id },
+        data: { statusId: null, version: { increment: 1 } },
+      });
 
-    // Unlink tasks referencing this status (set statusId to null)
-    await prisma.task.updateMany({
-      where: { statusId },
-      data: { statusId: null },
+      await tx.status.delete({ where: { id: existing.id } });
+
+      const moved = await writePositions(tx, await boardStatuses(tx, existing.boardId));
+      return { deleted: existing, reordered: moved ? await boardStatuses(tx, existing.boardId) : null };
     });
 
-    await prisma.status.delete({ where: { id: statusId } });
+    // Subscribers unlink the status from their tasks
+    publishStatusChange('status.deleted', deleted.boardId, { id: deleted.id, boardId: deleted.boardId }, reordered);
 
     return res.status(200).json({ message: 'Status deleted and tasks unlinked' });
   } catch (err) {
@@ -106,9 +309,118 @@ const deleteStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * List transitions (on the caller's boards) with their from/to statuses.
+ * Optional ?boardId= narrows the list to one board's workflow.
+ */
+const getTransitions = async (req, res, next) => {
+  try {
+    const { boardId } = req.query;
+
+    const from = { board: memberOf(req.user.id) };
+    if (boardId) from.boardId = boardId;
+
+    const transitions = await prisma.statusTransition.findMany({
+      where: { from },
+      include: { from: true, to: true },
+      orderBy: [{ from: { boardId: 'asc' } }, { from: { position: 'asc' } }, { to: { position: 'asc' } }],
+    });
+    return res.status(200).json(transitions);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Allow moving tasks from one status to another.
+ * Both statuses must exist and belong to the same board; statuses the caller cannot see are reported as 404.
+ */
+const createTransition = async (req, res, next) => {
+  try {
+    const { fromStatusId, toStatusId } = req.body;
+
+    if (fromStatusId === toStatusId) {
+      throw new ValidationError('fromStatusId and toStatusId must differ');
+    }
+
+    // Access is checked before anything about the target status is revealed
+    const from = await prisma.status.findUnique({ where: { id: fromStatusId } });
+    if (!from) {
+      throw new NotFoundError('Status not found');
+    }
+    await assertBoardRole(prisma, req.user.id, from.boardId, 'OWNER', 'Status not found');
+
+    const to = await prisma.status.findUnique({ where: { id: toStatusId } });
+    if (!to) {
+      throw new NotFoundError('Status not found');
+    }
+    if (to.boardId !== from.boardId) {
+      await assertBoardRole(prisma, req.user.id, to.boardId, 'VIEWER', 'Status not found');
+      throw new ValidationError('Transitions must connect statuses of the same board');
+    }
+
+    const existing = await prisma.statusTransition.findUnique({
+      where: { fromStatusId_toStatusId: { fromStatusId, toStatusId } },
+    });
+    if (existing) {
+      throw new ConflictError('Transition already exists', { code: 'ALREADY_EXISTS' });
+    }
+
+    const transition = await prisma.statusTransition.create({
+      data: { fromStatusId, toStatusId },
+      include: { from: true, to: true },
+    });
+
+    publishBoardEvent(from.boardId, 'transition.created', transition);
+
+    return res.status(201).json(transition);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Remove an allowed transition.
+ * Returns 404 if transition not found.
+ */
+const deleteTransition = async (req, res, next) => {
+  try {
+    const transitionId = parseInt(req.params.id, 10);
+    if (Number.isNaN(transitionId)) {
+      throw new ValidationError('Invalid transition id');
+    }
+
+    const existing = await prisma.statusTransition.findUnique({
+      where: { id: transitionId },
+      include: { from: true },
+    });
+    if (!existing) {
+      throw new NotFoundError('Transition not found');
+    }
+
+    await assertBoardRole(prisma, req.user.id, existing.from.boardId, 'OWNER', 'Transition not found');
+
+    await prisma.statusTransition.delete({ where: { id: transitionId } });
+
+    publishBoardEvent(existing.from.boardId, 'transition.deleted', {
+      id: existing.id,
+      fromStatusId: existing.fromStatusId,
+      toStatusId: existing.toStatusId,
+    });
+
+    return res.status(200).json({ message: 'Transition deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getStatuses,
+  getBoardStatuses,
   createStatus,
   updateStatus,
   deleteStatus,
+  getTransitions,
+  createTransition,
+  deleteTransition,
 };
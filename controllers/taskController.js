@@ -5,199 +5,1083 @@
  * Uses Prisma Client to interact with PostgreSQL.
  *
  * Endpoints handled:
+ * - GET /api/tasks
+ * - GET /api/tasks/:id
  * - POST /api/tasks
  * - PUT /api/tasks/:id
+ * - PUT /api/tasks/:id/move
+ * - POST /api/tasks/bulk
  * - DELETE /api/tasks/:id
+ * - POST /api/tasks/:id/restore
+ * - GET /api/tasks/:id/activity
+ * - GET /api/tasks/:id/subtasks
+ * - GET /api/boards/:id/overdue
  *
  * Notes:
- * - Status is a separate model (Status). API accepts either statusId (integer) or statusName (string)
- *   when creating/updating a task. If neither is provided the default status "TODO" will be used if it exists.
+ * - Status is a separate, board-scoped model (Status). API accepts either statusId (integer) or statusName (string)
+ *   when creating/updating a task; the status must belong to the task's board. If neither is provided on create,
+ *   the board's first status is used.
+ * - Entering a status whose WIP limit is reached is rejected with 409.
+ * - Status changes must follow the board's transition graph (see utils/workflow.js), and tasks enter a board
+ *   with a graph in its first status; otherwise 409 with the legal next statuses.
+ * - assigneeId must be a board member and labelIds must be labels of the task's board. When a task changes
+ *   board its labels are dropped and the assignee is kept only if they are a member of the new board.
+ * - Creates, updates, moves, deletes and restores append a TaskActivity entry (field-level diff)
+ *   in the same transaction.
+ * - DELETE moves a task to the trash (deletedAt); trashed tasks are excluded from every read.
+ * - Update, move and delete share transaction-scoped apply* helpers, so POST /api/tasks/bulk behaves exactly
+ *   like the single-task routes, all-or-nothing.
+ * - Subtasks and dependencies (see utils/taskLinks.js): `parentId` makes a task a subtask of another task on its
+ *   board, and GET /api/tasks/:id returns a `progress` roll-up of its subtasks and checklist. A task cannot enter
+ *   a done status while it has open blockers (409 OPEN_BLOCKERS). Changing board drops the task's parent link,
+ *   subtasks and dependencies.
+ * - Recurring tasks (see utils/recurrence.js): POST accepts a `recurrence` rule, and moving an occurrence to a done
+ *   status (update, move or bulk) generates the next occurrence in the same transaction, announced as task.created.
+ * - Committed changes are broadcast to the board's real-time subscribers (see utils/eventBus.js).
+ * - Single-task reads and writes return the task's `version` as the ETag. PUT routes (and bulk operations)
+ *   with a stale If-Match or body `version` get 412 with the current task (see utils/concurrency.js).
+ * - Access: board VIEWERs can read tasks, EDITORs and OWNERs can create, change, move and delete them.
+ *   Tasks on boards the caller is not a member of are reported as not found.
  */
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../utils/prisma');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { rankBetween } = require('../utils/rank');
+const { assertTransitionAllowed } = require('../utils/workflow');
+const { createNextOccurrence } = require('../utils/recurrence');
+const { assertBoardRole, memberOf } = require('../utils/boardAccess');
+const {
+  assertValidParent, assertNoOpenBlockers, unlinkForBoardChange,
+} = require('../utils/taskLinks');
+const {
+  activityInclude, taskChanges, recordActivity, recordStatusChange,
+} = require('../utils/activity');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const {
+  setETag, expectedVersions, assertVersion, updateIfUnchanged,
+} = require('../utils/concurrency');
+const {
+  HttpError, ValidationError, NotFoundError, ConflictError, toHttpError,
+} = require('../utils/errors');
 
 /**
- * Helper: resolve status by id or name.
- * Returns the status record or null if not provided/found.
+ * Helper: resolve a status on the given board by id or name.
+ * statusId wins when both are supplied. With neither, the board's first column is used
+ * (null if the board has no statuses). A status that belongs to another board is rejected.
+ * `db` may be the Prisma client or a transaction client.
  */
-async function resolveStatus({ statusId, statusName }) {
-  // Prefer statusId when provided and ignore statusName if both are supplied.
-  if (statusId == undefined || statusId == null) {
-    const err = new Error('Status not found');
-    err.status = 404;
-    throw err;
+async function resolveStatus(db, boardId, { statusId, statusName }) {
+  if (statusId !== undefined && statusId !== null) {
+    const parsed = parseInt(statusId, 10);
+    if (Number.isNaN(parsed)) {
+      throw new ValidationError('statusId must be a valid integer');
+    }
+    const s = await db.status.findUnique({ where: { id: parsed } });
+    if (!s) {
+      throw new NotFoundError('Status not found');
+    }
+    if (s.boardId !== boardId) {
+      throw new ValidationError('Status does not belong to this board');
+    }
+    return s;
   }
-  const parsed = parseInt(statusId, 10);
-  if (Number.isNaN(parsed)) {
-    const err = new Error('statusId must be a valid integer');
-    err.status = 400;
-    throw err;
+
+  if (statusName !== undefined && statusName !== null) {
+    const s = await db.status.findUnique({ where: { boardId_name: { boardId, name: statusName } } });
+    if (!s) {
+      throw new NotFoundError('Status not found on this board');
+    }
+    return s;
   }
-  const s = await prisma.status.findUnique({ where: { id: parsed } });
-  if (!s) {
-    const err = new Error('Status not found');
-    err.status = 404;
-    throw err;
+
+  return db.status.findFirst({ where: { boardId }, orderBy: { position: 'asc' } });
+}
+
+/**
+ * Helper: pick the status a task lands in when it changes board without an explicit status.
+ * Uses the status with the same name on the target board, else the target board's first column.
+ */
+async function statusForBoardChange(db, currentStatusId, boardId) {
+  if (currentStatusId === null) return null;
+  const current = await db.status.findUnique({ where: { id: currentStatusId } });
+  if (current) {
+    const sameName = await db.status.findUnique({ where: { boardId_name: { boardId, name: current.name } } });
+    if (sameName) return sameName;
   }
-  return s;
+  return db.status.findFirst({ where: { boardId }, orderBy: { position: 'asc' } });
+}
 
+// Related records returned with a task
+const taskInclude = {
+  status: true,
+  labels: true,
+  assignee: { select: { id: true, email: true, name: true } },
+  series: true,
+};
 
+/**
+ * Helper: assignees must be members of the task's board.
+ */
+async function assertAssignable(db, boardId, assigneeId) {
+  const member = await db.boardMember.findUnique({
+    where: { boardId_userId: { boardId, userId: assigneeId } },
+  });
+  if (!member) {
+    throw new ValidationError("Assignee must be a member of the task's board");
+  }
+}
 
+/**
+ * Helper: labels are board-scoped; all of them must belong to the task's board.
+ */
+async function assertBoardLabels(db, boardId, labelIds) {
+  if (labelIds.length === 0) return;
+  const count = await db.label.count({ where: { id: { in: labelIds }, boardId } });
+  if (count !== labelIds.length) {
+    throw new ValidationError("Labels must belong to the task's board");
+  }
 }
 
 /**
- * Create a new task.
- * Validation: title and valid boardId required.
- * Returns 404 if referenced board not found.
+ * Helper: reject a task entering a status whose WIP limit is already reached.
  */
-const createTask = async (req, res, next) => {
+async function assertWipLimit(db, status, taskId) {
+  if (!status || !status.wipLimit) return;
+  const count = await db.task.count({
+    where: { statusId: status.id, deletedAt: null, NOT: taskId ? { id: taskId } : undefined },
+  });
+  if (count >= status.wipLimit) {
+    throw new ConflictError(`WIP limit of ${status.wipLimit} reached for status "${status.name}"`, {
+      code: 'WIP_LIMIT_REACHED',
+    });
+  }
+}
+
+/**
+ * Helper: rank that places a task at the bottom of a (board, status) column.
+ * `db` may be the Prisma client or a transaction client.
+ */
+async function rankAtEnd(db, boardId, statusId, excludeTaskId) {
+  const last = await db.task.findFirst({
+    where: {
+      boardId,
+      statusId,
+      deletedAt: null,
+      NOT: excludeTaskId ? { id: excludeTaskId } : undefined,
+    },
+    orderBy: { rank: 'desc' },
+    select: { rank: true },
+  });
+  return rankBetween(last ? last.rank : null, null);
+}
+
+/**
+ * Helper: load a move neighbour and check it sits in the target column.
+ * Returns the neighbour's rank.
+ */
+async function neighbourRank(tx, neighbourId, taskId, column, label) {
+  if (neighbourId === taskId) {
+    throw new ValidationError(`${label} cannot be the task being moved`);
+  }
+  const neighbour = await tx.task.findUnique({ where: { id: neighbourId, deletedAt: null } });
+  if (!neighbour) {
+    throw new NotFoundError(`${label} task not found`);
+  }
+  if (neighbour.boardId !== column.boardId || neighbour.statusId !== column.statusId) {
+    throw new ValidationError(`${label} task is not in the target board/status column`);
+  }
+  return neighbour.rank;
+}
+
+/**
+ * Helper: compute the new rank for a move.
+ * beforeId is the task that ends up directly above the moved task, afterId the one directly below.
+ * With only one neighbour the other is looked up; with neither the task goes to the bottom.
+ */
+async function rankForMove(tx, taskId, column, { beforeId, afterId }) {
+  if (!beforeId && !afterId) {
+    return rankAtEnd(tx, column.boardId, column.statusId, taskId);
+  }
+
+  const siblings = { boardId: column.boardId, statusId: column.statusId, deletedAt: null, NOT: { id: taskId } };
+  let before = beforeId ? await neighbourRank(tx, beforeId, taskId, column, 'beforeId') : null;
+  let after = afterId ? await neighbourRank(tx, afterId, taskId, column, 'afterId') : null;
+
+  if (before !== null && after === null) {
+    const next = await tx.task.findFirst({
+      where: { ...siblings, rank: { gt: before } },
+      orderBy: { rank: 'asc' },
+      select: { rank: true },
+    });
+    after = next ? next.rank : null;
+  } else if (after !== null && before === null) {
+    const prev = await tx.task.findFirst({
+      where: { ...siblings, rank: { lt: after } },
+      orderBy: { rank: 'desc' },
+      select: { rank: true },
+    });
+    before = prev ? prev.rank : null;
+  }
+
+  if (before !== null && after !== null && before >= after) {
+    throw new ValidationError('beforeId must be ordered above afterId in the column');
+  }
+
+  return rankBetween(before, after);
+}
+
+/**
+ * Helper: broadcast a task event and queue its webhooks on the task's board, and on the board it
+ * came from if it changed boards (subscribers there see the new boardId and drop the task).
+ * When `previousStatus` ({ id, name } or null) is given and differs, webhooks also get
+ * task.status_changed with { task, from, to }.
+ */
+function publishTask(type, task, { previousBoardId = task.boardId, previousStatus } = {}) {
+  const boardIds = previousBoardId !== task.boardId ? [task.boardId, previousBoardId] : [task.boardId];
+  const nextStatus = task.status ? { id: task.status.id, name: task.status.name } : null;
+  const statusChanged = previousStatus !== undefined
+    && (previousStatus ? previousStatus.id : null) !== (nextStatus ? nextStatus.id : null);
+
+  for (const boardId of boardIds) {
+    publishBoardEvent(boardId, type, task);
+    enqueueWebhookEvent(boardId, type, task);
+    if (statusChanged) {
+      enqueueWebhookEvent(boardId, 'task.status_changed', { task, from: previousStatus, to: nextStatus });
+    }
+  }
+}
+
+/**
+ * Helper: generate the next occurrence of a recurring task that has just entered a done status.
+ * Returns the new task, or null (not recurring, status unchanged or not done, or already generated).
+ */
+function nextOccurrenceOnDone(ctx, existing, task) {
+  if (task.statusId === existing.statusId || !task.status || !task.status.isDone) return null;
+  return createNextOccurrence(ctx.tx, task, { actorId: ctx.userId, include: taskInclude });
+}
+
+/**
+ * Helper: completion roll-up of a task: its live subtasks (done = in a done status) and checklist items.
+ */
+async function taskProgress(db, taskId) {
+  const [subtasks, subtasksDone, checklist, checklistDone] = await Promise.all([
+    db.task.count({ where: { parentId: taskId, deletedAt: null } }),
+    db.task.count({ where: { parentId: taskId, deletedAt: null, status: { isDone: true } } }),
+    db.checklistItem.count({ where: { taskId } }),
+    db.checklistItem.count({ where: { taskId, done: true } }),
+  ]);
+  return {
+    subtasks: { total: subtasks, done: subtasksDone },
+    checklist: { total: checklist, done: checklistDone },
+  };
+}
+
+/**
+ * Helper: build a Prisma date range filter from optional bounds.
+ * Returns undefined when neither bound is provided.
+ */
+function dateRange(from, to) {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.gte = from;
+  if (to) range.lte = to;
+  return range;
+}
+
+/**
+ * List tasks with filtering, sorting and cursor pagination.
+ * Query params are validated (and defaulted) by taskListQuery.
+ * Response: { data: Task[], nextCursor: number|null }
+ */
+const getTasks = async (req, res, next) => {
   try {
-    const { title, description, boardId, statusId, statusName } = req.body;
+    const {
+      boardId, statusId, statusName, seriesId, q,
+      createdFrom, createdTo, updatedFrom, updatedTo,
+      sortBy, order, limit, cursor,
+    } = req.query;
 
-    if (!title || typeof title !== 'string' || title.trim() === '') {
-      return res.status(400).json({ error: 'Task title is required' });
+    // Only live tasks on the caller's boards
+    const where = { deletedAt: null, board: memberOf(req.user.id) };
+    if (boardId) where.boardId = boardId;
+    // Prefer statusId when both are supplied (same rule as create/update)
+    if (statusId) {
+      where.statusId = statusId;
+    } else if (statusName) {
+      where.status = { name: statusName };
     }
+    if (seriesId) where.seriesId = seriesId;
+    if (q) {
+      where.OR = [
+        { title: { contains: q, mode: 'insensitive' } },
+        { description: { contains: q, mode: 'insensitive' } },
+      ];
+    }
+    const createdAt = dateRange(createdFrom, createdTo);
+    if (createdAt) where.createdAt = createdAt;
+    const updatedAt = dateRange(updatedFrom, updatedTo);
+    if (updatedAt) where.updatedAt = updatedAt;
 
-    const parsedBoardId = parseInt(boardId, 10);
-    if (Number.isNaN(parsedBoardId)) {
-      return res.status(400).json({ error: 'Valid boardId is required' });
+    // Tie-break on id so the cursor position is stable for non-unique sort fields
+    const orderBy = sortBy === 'id' ? [{ id: order }] : [{ [sortBy]: order }, { id: order }];
+
+    const tasks = await prisma.task.findMany({
+      where,
+      orderBy,
+      include: taskInclude,
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(tasks, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List a board's overdue tasks: live tasks past their due date that are not in a done status.
+ * Most overdue first, with cursor pagination (query validated by pageQuery).
+ * Response: { data: Task[], nextCursor: number|null }
+ */
+const getOverdueTasks = async (req, res, next) => {
+  try {
+    const boardId = req.params.id;
+    const { limit, cursor } = req.query;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        boardId,
+        deletedAt: null,
+        dueDate: { lt: new Date() },
+        OR: [{ statusId: null }, { status: { isDone: false } }],
+      },
+      orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+      include: taskInclude,
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(tasks, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a single task with its board and status, plus `progress` ({ subtasks, checklist }, each { total, done }).
+ * Returns 404 if task not found.
+ */
+const getTaskById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const taskId = parseInt(id, 10);
+    if (Number.isNaN(taskId)) {
+      throw new ValidationError('Invalid task id');
     }
 
-    const board = await prisma.board.findUnique({ where: { id: parsedBoardId } });
-    if (!board) {
-      return res.status(404).json({ error: 'Board not found' });
+    const task = await prisma.task.findUnique({
+      where: { id: taskId, deletedAt: null },
+      include: { board: true, ...taskInclude },
+    });
+    if (!task) {
+      throw new NotFoundError('Task not found');
     }
 
-    // Resolve status (can throw typed errors)
-    let status = null;
-    try {
-      status = await resolveStatus({ statusId, statusName });
-    } catch (e) {
-      return res.status(e.status || 400).json({ error: e.message });
+    await assertBoardRole(prisma, req.user.id, task.boardId, 'VIEWER', 'Task not found');
+
+    const progress = await taskProgress(prisma, taskId);
+
+    setETag(res, task);
+    return res.status(200).json({ ...task, progress });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List a task's live subtasks, oldest first.
+ * Response: { data: Task[], progress: { total, done } } (done = in a done status)
+ */
+const getSubtasks = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+
+    const task = await prisma.task.findUnique({ where: { id: taskId, deletedAt: null } });
+    if (!task) {
+      throw new NotFoundError('Task not found');
     }
 
-    const data = {
-      title: title.trim(),
-      description: description ? String(description).trim() : null,
-      board: { connect: { id: parsedBoardId } },
-    };
+    await assertBoardRole(prisma, req.user.id, task.boardId, 'VIEWER', 'Task not found');
+
+    const subtasks = await prisma.task.findMany({
+      where: { parentId: taskId, deletedAt: null },
+      orderBy: { id: 'asc' },
+      include: taskInclude,
+    });
+
+    const done = subtasks.filter((t) => t.status && t.status.isDone).length;
+    return res.status(200).json({ data: subtasks, progress: { total: subtasks.length, done } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List a task's activity history, oldest first, with cursor pagination.
+ * Response: { data: TaskActivity[], nextCursor: number|null }
+ */
+const getTaskActivity = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+    const { limit, cursor } = req.query;
 
-    if (status) {
-      data.status = { connect: { id: status.id } };
+    const task = await prisma.task.findUnique({ where: { id: taskId, deletedAt: null } });
+    if (!task) {
+      throw new NotFoundError('Task not found');
     }
 
-    const task = await prisma.task.create({ data });
+    await assertBoardRole(prisma, req.user.id, task.boardId, 'VIEWER', 'Task not found');
 
-    return res.status(201).json(task);
+    const entries = await prisma.taskActivity.findMany({
+      where: { taskId },
+      orderBy: { id: 'asc' },
+      include: { actor: { select: { id: true, email: true, name: true } } },
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(entries, limit));
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * Update a task (title, description, status, or boardId).
- * Validation: id must be valid; 404 if task not found.
+ * Create a new task.
+ * Validation: title and valid boardId required.
+ * Returns 404 if referenced board not found.
  */
-const updateTask = async (req, res, next) => {
+const createTask = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { title, description, statusId, statusName, boardId } = req.body;
+    const {
+      title, description, boardId, statusId, statusName,
+      assigneeId, dueDate, priority, labelIds, recurrence, parentId,
+    } = req.body;
 
-    const taskId = parseInt(id, 10);
-    if (Number.isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task id' });
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      throw new ValidationError('Task title is required');
     }
 
-    const existing = await prisma.task.findUnique({ where: { id: taskId } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Task not found' });
+    const parsedBoardId = parseInt(boardId, 10);
+    if (Number.isNaN(parsedBoardId)) {
+      throw new ValidationError('Valid boardId is required');
+    }
+    if (recurrence && !dueDate) {
+      throw new ValidationError('A recurring task needs a dueDate');
     }
 
-    const data = {};
+    const task = await prisma.$transaction(async (tx) => {
+      await assertBoardRole(tx, req.user.id, parsedBoardId, 'EDITOR');
 
-    if (title !== undefined) {
-      if (!title || typeof title !== 'string' || title.trim() === '') {
-        return res.status(400).json({ error: 'Task title, if provided, must be a non-empty string' });
+      const board = await tx.board.findUnique({ where: { id: parsedBoardId } });
+      if (!board) {
+        throw new NotFoundError('Board not found');
       }
-      data.title = title.trim();
-    }
 
-    if (description !== undefined) {
-      data.description = description === null ? null : String(description).trim();
-    }
+      // Resolve status on the task's board (throws typed errors)
+      const status = await resolveStatus(tx, parsedBoardId, { statusId, statusName });
 
-    if (boardId !== undefined) {
-      const parsedBoardId = parseInt(boardId, 10);
-      if (Number.isNaN(parsedBoardId)) {
-        return res.status(400).json({ error: 'boardId must be a valid integer' });
+      await assertTransitionAllowed(tx, null, parsedBoardId, status);
+      await assertWipLimit(tx, status);
+
+      const data = {
+        title: title.trim(),
+        description: description ? String(description).trim() : null,
+        board: { connect: { id: parsedBoardId } },
+      };
+
+      if (status) {
+        data.status = { connect: { id: status.id } };
       }
-      const board = await prisma.board.findUnique({ where: { id: parsedBoardId } });
-      if (!board) {
-        return res.status(404).json({ error: 'Board not found' });
+
+      if (assigneeId) {
+        await assertAssignable(tx, parsedBoardId, assigneeId);
+        data.assignee = { connect: { id: assigneeId } };
+      }
+      if (dueDate) data.dueDate = dueDate;
+      if (priority) data.priority = priority;
+      if (labelIds && labelIds.length > 0) {
+        await assertBoardLabels(tx, parsedBoardId, labelIds);
+        data.labels = { connect: labelIds.map((labelId) => ({ id: labelId })) };
       }
-      data.board = { connect: { id: parsedBoardId } };
+      if (recurrence) {
+        data.series = { create: { rule: recurrence, startsAt: dueDate } };
+      }
+      if (parentId) {
+        await assertValidParent(tx, parentId, parsedBoardId);
+        data.parent = { connect: { id: parentId } };
+      }
+
+      // New tasks go to the bottom of their column
+      data.rank = await rankAtEnd(tx, parsedBoardId, status ? status.id : null);
+
+      const created = await tx.task.create({ data, include: { ...activityInclude, ...taskInclude } });
+
+      await recordActivity(tx, {
+        taskId: created.id,
+        actorId: req.user.id,
+        action: 'CREATED',
+        changes: taskChanges({}, created),
+      });
+      await recordStatusChange(tx, {}, created);
+
+      return created;
+    });
+
+    publishTask('task.created', task);
+
+    setETag(res, task);
+    return res.status(201).json(task);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Helper: per-transaction context for task mutations.
+ * Board role checks are memoized, so a bulk request touching one board checks membership once.
+ */
+function mutationContext(tx, userId) {
+  const roles = new Map();
+  return {
+    tx,
+    userId,
+    assertRole(boardId, minRole, notFoundMessage) {
+      const key = `${boardId}:${minRole}:${notFoundMessage}`;
+      if (!roles.has(key)) {
+        roles.set(key, assertBoardRole(tx, userId, boardId, minRole, notFoundMessage));
+      }
+      return roles.get(key);
+    },
+  };
+}
+
+/**
+ * Helper: the task as returned by the mutation routes (also the `current` copy of a 412).
+ */
+function loadTask(db, taskId) {
+  return db.task.findUnique({ where: { id: taskId }, include: { ...activityInclude, ...taskInclude } });
+}
+
+/**
+ * Apply an update to a task and record its activity, inside the caller's transaction.
+ * `changes` has the taskUpdateSchema fields; `version` (a number or the list from expectedVersions)
+ * makes the update conditional. Returns { task, previousBoardId, previousStatus, nextOccurrence }
+ * (nextOccurrence is the generated occurrence of a recurring task that became done, otherwise null).
+ */
+async function applyTaskUpdate(ctx, taskId, changes) {
+  const { tx } = ctx;
+  const {
+    title, description, statusId, statusName, boardId,
+    assigneeId, dueDate, priority, labelIds, parentId, version,
+  } = changes;
+
+  const existing = await tx.task.findUnique({ where: { id: taskId, deletedAt: null }, include: activityInclude });
+  if (!existing) {
+    throw new NotFoundError('Task not found');
+  }
+
+  await ctx.assertRole(existing.boardId, 'EDITOR', 'Task not found');
+  await assertVersion(version, existing, () => loadTask(tx, taskId));
+
+  const data = {};
+
+  if (title !== undefined) {
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      throw new ValidationError('Task title, if provided, must be a non-empty string');
     }
+    data.title = title.trim();
+  }
 
-    // Handle status update:
-    if (statusId !== undefined || statusName !== undefined) {
-      // If explicit null provided, unlink status
-      if (statusId === null || statusName === null) {
-        data.status = { disconnect: true };
+  if (description !== undefined) {
+    data.description = description === null ? null : String(description).trim();
+  }
+
+  // Track the target column so the task can be re-ranked if it changes
+  let nextBoardId = existing.boardId;
+  let nextStatusId = existing.statusId;
+
+  if (boardId !== undefined) {
+    const parsedBoardId = parseInt(boardId, 10);
+    if (Number.isNaN(parsedBoardId)) {
+      throw new ValidationError('boardId must be a valid integer');
+    }
+    // Moving to another board requires edit rights there too
+    await ctx.assertRole(parsedBoardId, 'EDITOR');
+    const board = await tx.board.findUnique({ where: { id: parsedBoardId } });
+    if (!board) {
+      throw new NotFoundError('Board not found');
+    }
+    data.board = { connect: { id: parsedBoardId } };
+    nextBoardId = parsedBoardId;
+  }
+
+  // Handle status update (the status must belong to the task's target board):
+  let nextStatus = null;
+  if (statusId !== undefined || statusName !== undefined) {
+    // If explicit null provided, unlink status
+    if (statusId === null || statusName === null) {
+      data.status = { disconnect: true };
+      nextStatusId = null;
+    } else {
+      nextStatus = await resolveStatus(tx, nextBoardId, { statusId, statusName });
+      if (nextStatus) {
+        data.status = { connect: { id: nextStatus.id } };
+        nextStatusId = nextStatus.id;
       } else {
-        let status = null;
-        try {
-          status = await resolveStatus({ statusId, statusName });
-        } catch (e) {
-          return res.status(e.status || 400).json({ error: e.message });
-        }
-        if (status) {
-          data.status = { connect: { id: status.id } };
-        } else {
-          // If resolved to null, set status to null
-          data.status = { disconnect: true };
-        }
+        // If resolved to null, set status to null
+        data.status = { disconnect: true };
+        nextStatusId = null;
       }
     }
+  } else if (nextBoardId !== existing.boardId && existing.statusId !== null) {
+    // Board changed without a status: the old status belongs to the old board
+    nextStatus = await statusForBoardChange(tx, existing.statusId, nextBoardId);
+    data.status = nextStatus ? { connect: { id: nextStatus.id } } : { disconnect: true };
+    nextStatusId = nextStatus ? nextStatus.id : null;
+  }
+
+  if (nextBoardId !== existing.boardId || nextStatusId !== existing.statusId) {
+    await assertTransitionAllowed(tx, existing, nextBoardId, nextStatus);
+  }
+  if (nextStatusId !== existing.statusId) {
+    await assertWipLimit(tx, nextStatus, taskId);
+    // Dependencies do not follow the task to another board
+    if (nextBoardId === existing.boardId) await assertNoOpenBlockers(tx, taskId, nextStatus);
+  }
 
-    const updated = await prisma.task.update({
-      where: { id: taskId },
-      data,
+  // Assignee, due date, priority and labels (null clears them)
+  if (assigneeId !== undefined) {
+    if (assigneeId === null) {
+      data.assignee = { disconnect: true };
+    } else {
+      await assertAssignable(tx, nextBoardId, assigneeId);
+      data.assignee = { connect: { id: assigneeId } };
+    }
+  } else if (nextBoardId !== existing.boardId && existing.assigneeId !== null) {
+    // Keep the assignee only if they are also a member of the new board
+    const member = await tx.boardMember.findUnique({
+      where: { boardId_userId: { boardId: nextBoardId, userId: existing.assigneeId } },
     });
+    if (!member) data.assignee = { disconnect: true };
+  }
+
+  if (dueDate !== undefined) data.dueDate = dueDate;
+  if (priority !== undefined) data.priority = priority;
+
+  if (labelIds !== undefined) {
+    const ids = labelIds || [];
+    await assertBoardLabels(tx, nextBoardId, ids);
+    data.labels = { set: ids.map((labelId) => ({ id: labelId })) };
+  } else if (nextBoardId !== existing.boardId) {
+    // Labels are board-scoped and do not follow the task to another board
+    data.labels = { set: [] };
+  }
+
+  // Subtasks live on their parent's board (null detaches the task from its parent)
+  if (parentId !== undefined) {
+    if (parentId === null) {
+      data.parent = { disconnect: true };
+    } else {
+      await assertValidParent(tx, parentId, nextBoardId, taskId);
+      data.parent = { connect: { id: parentId } };
+    }
+  } else if (nextBoardId !== existing.boardId && existing.parentId !== null) {
+    data.parent = { disconnect: true };
+  }
+  if (nextBoardId !== existing.boardId) {
+    await unlinkForBoardChange(tx, taskId);
+  }
+
+  // Moving to another column through a plain update appends the task to the bottom of it
+  if (nextBoardId !== existing.boardId || nextStatusId !== existing.statusId) {
+    data.rank = await rankAtEnd(tx, nextBoardId, nextStatusId, taskId);
+  }
+
+  const task = await updateIfUnchanged(existing.version, () => tx.task.update({
+    where: { id: taskId, version: existing.version },
+    data: { ...data, version: { increment: 1 } },
+    include: { ...activityInclude, ...taskInclude },
+  }), () => loadTask(tx, taskId));
+
+  await recordActivity(tx, {
+    taskId,
+    actorId: ctx.userId,
+    action: 'UPDATED',
+    changes: taskChanges(existing, task),
+  });
+  await recordStatusChange(tx, existing, task);
+
+  return {
+    task,
+    previousBoardId: existing.boardId,
+    previousStatus: existing.status,
+    nextOccurrence: await nextOccurrenceOnDone(ctx, existing, task),
+  };
+}
+
+/**
+ * Move a task to a position in a (board, status) column and record its activity,
+ * inside the caller's transaction. `version` works as in applyTaskUpdate.
+ * Returns { task, previousBoardId, previousStatus, nextOccurrence } like applyTaskUpdate.
+ */
+async function applyTaskMove(ctx, taskId, {
+  boardId, statusId, beforeId, afterId, version,
+}) {
+  const { tx } = ctx;
+
+  const existing = await tx.task.findUnique({ where: { id: taskId, deletedAt: null }, include: activityInclude });
+  if (!existing) {
+    throw new NotFoundError('Task not found');
+  }
+  await ctx.assertRole(existing.boardId, 'EDITOR', 'Task not found');
+  await assertVersion(version, existing, () => loadTask(tx, taskId));
+
+  const column = {
+    boardId: boardId !== undefined ? boardId : existing.boardId,
+    statusId: existing.statusId,
+  };
+
+  if (column.boardId !== existing.boardId) {
+    await ctx.assertRole(column.boardId, 'EDITOR');
+    const board = await tx.board.findUnique({ where: { id: column.boardId } });
+    if (!board) {
+      throw new NotFoundError('Board not found');
+    }
+  }
+
+  // Target status must belong to the target board
+  let status = null;
+  if (statusId !== undefined) {
+    status = statusId === null ? null : await resolveStatus(tx, column.boardId, { statusId });
+    column.statusId = status ? status.id : null;
+  } else if (column.boardId !== existing.boardId) {
+    status = await statusForBoardChange(tx, existing.statusId, column.boardId);
+    column.statusId = status ? status.id : null;
+  }
+
+  if (column.boardId !== existing.boardId || column.statusId !== existing.statusId) {
+    await assertTransitionAllowed(tx, existing, column.boardId, status);
+  }
+  if (column.statusId !== existing.statusId) {
+    await assertWipLimit(tx, status, taskId);
+    if (column.boardId === existing.boardId) await assertNoOpenBlockers(tx, taskId, status);
+  }
+
+  const rank = await rankForMove(tx, taskId, column, { beforeId, afterId });
+  const data = { boardId: column.boardId, statusId: column.statusId, rank };
+
+  if (column.boardId !== existing.boardId) {
+    // Labels, the parent link, subtasks and dependencies do not follow the task;
+    // the assignee stays only if they are a member of the new board
+    data.labels = { set: [] };
+    data.parentId = null;
+    await unlinkForBoardChange(tx, taskId);
+    if (existing.assigneeId !== null) {
+      const member = await tx.boardMember.findUnique({
+        where: { boardId_userId: { boardId: column.boardId, userId: existing.assigneeId } },
+      });
+      if (!member) data.assigneeId = null;
+    }
+  }
+
+  const task = await updateIfUnchanged(existing.version, () => tx.task.update({
+    where: { id: taskId, version: existing.version },
+    data: { ...data, version: { increment: 1 } },
+    include: { ...activityInclude, ...taskInclude },
+  }), () => loadTask(tx, taskId));
+
+  // Reordering within a column changes no tracked field and is not recorded
+  await recordActivity(tx, {
+    taskId,
+    actorId: ctx.userId,
+    action: 'MOVED',
+    changes: taskChanges(existing, task),
+  });
+  await recordStatusChange(tx, existing, task);
+
+  return {
+    task,
+    previousBoardId: existing.boardId,
+    previousStatus: existing.status,
+    nextOccurrence: await nextOccurrenceOnDone(ctx, existing, task),
+  };
+}
 
-    return res.status(200).json(updated);
+/**
+ * Move a task to the trash and record its activity, inside the caller's transaction.
+ * Returns the trashed task.
+ */
+async function applyTaskDelete(ctx, taskId) {
+  const { tx } = ctx;
+
+  const existing = await tx.task.findUnique({ where: { id: taskId, deletedAt: null }, include: activityInclude });
+  if (!existing) {
+    throw new NotFoundError('Task not found');
+  }
+
+  await ctx.assertRole(existing.boardId, 'EDITOR', 'Task not found');
+
+  const task = await tx.task.update({
+    where: { id: taskId },
+    data: { deletedAt: new Date(), version: { increment: 1 } },
+    include: activityInclude,
+  });
+
+  await recordActivity(tx, {
+    taskId,
+    actorId: ctx.userId,
+    action: 'DELETED',
+    changes: taskChanges(existing, task),
+  });
+
+  return task;
+}
+
+/**
+ * Helper: broadcast a task deletion and queue its webhooks (only the ids are sent).
+ */
+function publishTaskDeleted(task) {
+  const data = { id: task.id, boardId: task.boardId };
+  publishBoardEvent(task.boardId, 'task.deleted', data);
+  enqueueWebhookEvent(task.boardId, 'task.deleted', data);
+}
+
+/**
+ * Update a task (title, description, status, boardId, assignee, dueDate, priority, labels or parent).
+ * Validation: id must be valid; 404 if task not found; 412 if If-Match / body version is stale.
+ * The change and its activity entry are written in a single transaction.
+ */
+const updateTask = async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+    if (Number.isNaN(taskId)) {
+      throw new ValidationError('Invalid task id');
+    }
+
+    const { task, nextOccurrence, ...previous } = await prisma.$transaction(
+      (tx) => applyTaskUpdate(mutationContext(tx, req.user.id), taskId, {
+        ...req.body,
+        version: expectedVersions(req),
+      }),
+    );
+
+    publishTask('task.updated', task, previous);
+    if (nextOccurrence) publishTask('task.created', nextOccurrence);
+
+    setETag(res, task);
+    return res.status(200).json(task);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Move a task within its column or to another board/status column.
+ * Body: { boardId?, statusId?, beforeId?, afterId?, version? } (see rankForMove for neighbour semantics).
+ * The rank, any board/status change and its activity entry are written in a single transaction;
+ * only the moved row changes.
+ */
+const moveTask = async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+    if (Number.isNaN(taskId)) {
+      throw new ValidationError('Invalid task id');
+    }
+
+    const { task, nextOccurrence, ...previous } = await prisma.$transaction(
+      (tx) => applyTaskMove(mutationContext(tx, req.user.id), taskId, {
+        ...req.body,
+        version: expectedVersions(req),
+      }),
+    );
+
+    publishTask('task.moved', task, previous);
+    if (nextOccurrence) publishTask('task.created', nextOccurrence);
+
+    setETag(res, task);
+    return res.status(200).json(task);
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * Delete a task.
+ * Move a task to the trash (soft delete).
+ * Trashed tasks are hidden from every read until restored, and purged after the retention period.
  * Returns 404 if task not found.
  */
 const deleteTask = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const taskId = parseInt(id, 10);
+    const taskId = parseInt(req.params.id, 10);
     if (Number.isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task id' });
+      throw new ValidationError('Invalid task id');
     }
 
-    const existing = await prisma.task.findUnique({ where: { id: taskId } });
-    if (!existing) {
-      return res.status(404).json({ error: 'Task not found' });
+    const trashed = await prisma.$transaction(
+      (tx) => applyTaskDelete(mutationContext(tx, req.user.id), taskId),
+    );
+
+    publishTaskDeleted(trashed);
+
+    return res.status(200).json({ message: 'Task moved to trash' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Interactive transactions default to a 5s timeout; a full batch of operations can take longer
+const BULK_TRANSACTION_TIMEOUT_MS = 30000;
+
+/**
+ * Apply several update / move / delete operations in one transaction (all-or-nothing).
+ * Body: { operations: [{ op: 'update' | 'move' | 'delete', id, ...fields }] } (validated by taskBulkSchema).
+ * Operations run in order, so later ones see the effect of earlier ones.
+ * Response: { results: [{ index, op, id, outcome, task? }] } with outcome 'applied'.
+ * If an operation fails nothing is saved: the problem response carries that operation's status and code,
+ * plus failedIndex and results with the failed item's outcome 'failed', earlier items 'rolled_back'
+ * and later ones 'skipped'.
+ */
+const bulkTasks = async (req, res, next) => {
+  const { operations } = req.body;
+  let failedIndex = -1;
+
+  try {
+    const applied = await prisma.$transaction(async (tx) => {
+      const ctx = mutationContext(tx, req.user.id);
+      const results = [];
+      for (let index = 0; index < operations.length; index += 1) {
+        const { op, id, ...fields } = operations[index];
+        failedIndex = index;
+        if (op === 'update') {
+          results.push({ op, ...(await applyTaskUpdate(ctx, id, fields)) });
+        } else if (op === 'move') {
+          results.push({ op, ...(await applyTaskMove(ctx, id, fields)) });
+        } else {
+          results.push({ op, task: await applyTaskDelete(ctx, id) });
+        }
+      }
+      failedIndex = -1;
+      return results;
+    }, { timeout: BULK_TRANSACTION_TIMEOUT_MS });
+
+    for (const {
+      op, task, nextOccurrence, ...previous
+    } of applied) {
+      if (op === 'delete') {
+        publishTaskDeleted(task);
+      } else {
+        publishTask(op === 'move' ? 'task.moved' : 'task.updated', task, previous);
+        if (nextOccurrence) publishTask('task.created', nextOccurrence);
+      }
+    }
+
+    return res.status(200).json({
+      results: applied.map(({ op, task }, index) => ({
+        index,
+        op,
+        id: task.id,
+        outcome: 'applied',
+        task: op === 'delete' ? undefined : task,
+      })),
+    });
+  } catch (err) {
+    const failure = toHttpError(err);
+    if (!failure || failedIndex < 0) {
+      return next(err);
     }
 
-    await prisma.task.delete({ where: { id: taskId } });
+    const results = operations.map(({ op, id }, index) => {
+      if (index < failedIndex) return { index, op, id, outcome: 'rolled_back' };
+      if (index > failedIndex) return { index, op, id, outcome: 'skipped' };
+      return {
+        index, op, id, outcome: 'failed', error: failure.message, code: failure.code, ...failure.details,
+      };
+    });
+
+    return next(new HttpError(failure.status, `Operation ${failedIndex} failed: ${failure.message}`, {
+      code: failure.code,
+      details: { failedIndex, results },
+    }));
+  }
+};
+
+/**
+ * Restore a task from the trash to the bottom of its column.
+ * Returns 404 if the task is not found (or its board is in the trash), 409 if it is not trashed
+ * or its column's WIP limit has been reached in the meantime.
+ */
+const restoreTask = async (req, res, next) => {
+  try {
+    const taskId = req.params.id;
+
+    const restored = await prisma.$transaction(async (tx) => {
+      const existing = await tx.task.findUnique({ where: { id: taskId }, include: activityInclude });
+      if (!existing) {
+        throw new NotFoundError('Task not found');
+      }
+
+      await assertBoardRole(tx, req.user.id, existing.boardId, 'EDITOR', 'Task not found');
+
+      if (!existing.deletedAt) {
+        throw new ConflictError('Task is not in the trash', { code: 'NOT_IN_TRASH' });
+      }
+
+      const status = existing.statusId === null
+        ? null
+        : await tx.status.findUnique({ where: { id: existing.statusId } });
+      await assertWipLimit(tx, status, taskId);
+
+      const result = await tx.task.update({
+        where: { id: taskId },
+        data: {
+          deletedAt: null,
+          rank: await rankAtEnd(tx, existing.boardId, existing.statusId, taskId),
+          version: { increment: 1 },
+        },
+        include: { ...activityInclude, ...taskInclude },
+      });
+
+      await recordActivity(tx, {
+        taskId,
+        actorId: req.user.id,
+        action: 'RESTORED',
+        changes: taskChanges(existing, result),
+      });
+
+      return result;
+    });
+
+    publishTask('task.restored', restored);
 
-    return res.status(200).json({ message: 'Task deleted successfully' });
+    setETag(res, restored);
+    return res.status(200).json(restored);
   } catch (err) {
     next(err);
   }
 };
 
 module.exports = {
+  getTasks,
+  getTaskById,
+  getTaskActivity,
+  getSubtasks,
+  getOverdueTasks,
   createTask,
   updateTask,
+  moveTask,
   deleteTask,
+  restoreTask,
+  bulkTasks,
 };
@@ -0,0 +1,162 @@
+/**
+ * controllers/templateController.js
+ *
+ * Controllers for board templates: reusable statuses, transitions, labels and starter tasks.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/templates
+ * - POST /api/templates
+ * - GET /api/templates/:id
+ * - PUT /api/templates/:id
+ * - DELETE /api/templates/:id
+ *
+ * Notes:
+ * - Templates are private to the user who created them; other users' templates are reported as not found.
+ * - A template is either a snapshot of a board the caller can see (boardId, optionally with its tasks)
+ *   or given explicitly; see utils/boardCopy.js for the format. Snapshots never include due dates.
+ * - Template names are unique per user (409 ALREADY_EXISTS).
+ * - Boards are created from a template by POST /api/boards/from-template/:templateId (boardController).
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { readBlueprint, assertValidBlueprint } = require('../utils/boardCopy');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Helper: load one of the caller's templates. Throws 404 otherwise.
+ */
+async function findOwnTemplate(userId, templateId) {
+  const template = await prisma.boardTemplate.findUnique({ where: { id: templateId } });
+  if (!template || template.ownerId !== userId) {
+    throw new NotFoundError('Template not found');
+  }
+  return template;
+}
+
+/**
+ * List the caller's templates, oldest first, with cursor pagination.
+ * Response: { data: BoardTemplate[], nextCursor: number|null }
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const rows = await prisma.boardTemplate.findMany({
+      where: { ownerId: req.user.id },
+      orderBy: { id: 'asc' },
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(rows, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get one of the caller's templates.
+ */
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req.user.id, req.params.id);
+    return res.status(200).json(template);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create a template.
+ * Body: { name, description?, boardId, includeTasks? } to snapshot a board (any member can),
+ * or { name, description?, statuses, transitions?, labels?, tasks? }.
+ * Returns 404 if the board is not found, 400 if names are duplicated or references do not resolve.
+ */
+const createTemplate = async (req, res, next) => {
+  try {
+    const {
+      name, description, boardId, includeTasks,
+    } = req.body;
+
+    let blueprint;
+    if (boardId) {
+      await assertBoardRole(prisma, req.user.id, boardId, 'VIEWER');
+      blueprint = await readBlueprint(prisma, boardId, { includeTasks });
+    } else {
+      const {
+        statuses, transitions = [], labels = [], tasks = [],
+      } = req.body;
+      blueprint = {
+        statuses, transitions, labels, tasks,
+      };
+      assertValidBlueprint(blueprint);
+    }
+
+    const template = await prisma.boardTemplate.create({
+      data: {
+        ownerId: req.user.id,
+        name,
+        description: description || null,
+        ...blueprint,
+      },
+    });
+
+    return res.status(201).json(template);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Update a template's name, description or board parts. Parts not given are kept;
+ * the result must still be consistent (e.g. replacing statuses that tasks or transitions refer to gives 400).
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const templateId = req.params.id;
+    const existing = await findOwnTemplate(req.user.id, templateId);
+
+    const data = {};
+    for (const key of ['name', 'description', 'statuses', 'transitions', 'labels', 'tasks']) {
+      if (req.body[key] !== undefined) data[key] = req.body[key];
+    }
+    if (data.description === '') data.description = null;
+
+    assertValidBlueprint({
+      statuses: data.statuses || existing.statuses,
+      transitions: data.transitions || existing.transitions,
+      labels: data.labels || existing.labels,
+      tasks: data.tasks || existing.tasks,
+    });
+
+    const updated = await prisma.boardTemplate.update({ where: { id: templateId }, data });
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a template. Boards created from it are not affected.
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const templateId = req.params.id;
+    await findOwnTemplate(req.user.id, templateId);
+
+    await prisma.boardTemplate.delete({ where: { id: templateId } });
+    return res.status(200).json({ message: 'Template deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,64 @@
+/**
+ * controllers/trashController.js
+ *
+ * Lists the caller's trashed boards and tasks.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/trash
+ *
+ * Notes:
+ * - Boards are listed for their OWNERs (only OWNERs can restore them).
+ * - Tasks are listed when their board is live and the caller is a member; tasks of a trashed
+ *   board come back with the board.
+ * - Each item carries `purgeAt`, when jobs/purgeTrash.js will delete it for good.
+ * - Restoring goes through POST /api/boards/:id/restore and POST /api/tasks/:id/restore.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { memberOf } = require('../utils/boardAccess');
+const { TRASH_RETENTION_DAYS, purgeDate } = require('../jobs/purgeTrash');
+
+/**
+ * Helper: add the purge date to a trashed row.
+ */
+function withPurgeDate(row) {
+  return { ...row, purgeAt: purgeDate(row.deletedAt) };
+}
+
+/**
+ * List trashed boards and tasks, most recently deleted first.
+ * Response: { retentionDays, boards: Board[], tasks: Task[] }
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const [boards, tasks] = await Promise.all([
+      prisma.board.findMany({
+        where: { deletedAt: { not: null }, members: { some: { userId, role: 'OWNER' } } },
+        orderBy: { deletedAt: 'desc' },
+      }),
+      prisma.task.findMany({
+        where: { deletedAt: { not: null }, board: memberOf(userId) },
+        orderBy: { deletedAt: 'desc' },
+        include: {
+          board: { select: { id: true, name: true } },
+          status: { select: { id: true, name: true } },
+        },
+      }),
+    ]);
+
+    return res.status(200).json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      boards: boards.map(withPurgeDate),
+      tasks: tasks.map(withPurgeDate),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getTrash,
+};
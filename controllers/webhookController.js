@@ -0,0 +1,232 @@
+/**
+ * controllers/webhookController.js
+ *
+ * Controllers for board webhooks and their delivery log.
+ * Uses Prisma Client to interact with PostgreSQL.
+ *
+ * Endpoints handled:
+ * - GET /api/webhooks (optionally ?boardId=)
+ * - POST /api/webhooks (boardId in body)
+ * - GET /api/webhooks/:id
+ * - PUT /api/webhooks/:id
+ * - DELETE /api/webhooks/:id
+ * - GET /api/webhooks/:id/deliveries
+ * - POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ *
+ * Notes:
+ * - Only board OWNERs can see and manage a board's webhooks.
+ * - The secret is returned once, by POST; pass `secret` to PUT to rotate it.
+ * - Urls whose host resolves to a loopback, private or link-local address are rejected (utils/webhooks.js).
+ * - Deliveries are queued by the board, status and task controllers and sent by jobs/deliverWebhooks.js
+ *   (signing and payload format: utils/webhooks.js).
+ * - Redelivering queues a copy of the delivery with the same payload; the original stays in the log.
+ */
+
+const { prisma } = require('../utils/prisma');
+const { assertBoardRole } = require('../utils/boardAccess');
+const { cursorArgs, toPage } = require('../utils/pagination');
+const { generateSecret, assertWebhookUrlAllowed } = require('../utils/webhooks');
+const { NotFoundError } = require('../utils/errors');
+
+// Everything but the secret
+const webhookSelect = {
+  id: true,
+  boardId: true,
+  url: true,
+  events: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Helper: load a webhook and check the caller owns its board.
+ * Throws 404 if the webhook does not exist or its board is not visible to the caller.
+ */
+async function findOwnedWebhook(userId, webhookId) {
+  const webhook = await prisma.webhook.findUnique({ where: { id: webhookId }, select: webhookSelect });
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+  await assertBoardRole(prisma, userId, webhook.boardId, 'OWNER', 'Webhook not found');
+  return webhook;
+}
+
+/**
+ * List webhooks of the live boards the caller owns.
+ * Optional ?boardId= narrows the list to one board.
+ */
+const getWebhooks = async (req, res, next) => {
+  try {
+    const { boardId } = req.query;
+
+    const where = { board: { deletedAt: null, members: { some: { userId: req.user.id, role: 'OWNER' } } } };
+    if (boardId) where.boardId = boardId;
+
+    const webhooks = await prisma.webhook.findMany({
+      where,
+      select: webhookSelect,
+      orderBy: [{ boardId: 'asc' }, { id: 'asc' }],
+    });
+    return res.status(200).json(webhooks);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get a webhook by id.
+ */
+const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await findOwnedWebhook(req.user.id, req.params.id);
+    return res.status(200).json(webhook);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create a webhook on a board (OWNER only).
+ * The response includes the secret (generated when not provided); it is not returned again.
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const {
+      boardId, url, events, secret, active,
+    } = req.body;
+
+    await assertBoardRole(prisma, req.user.id, boardId, 'OWNER');
+    await assertWebhookUrlAllowed(url);
+
+    const webhook = await prisma.webhook.create({
+      data: {
+        boardId,
+        url,
+        events,
+        secret: secret || generateSecret(),
+        active: active === undefined ? true : active,
+      },
+    });
+
+    return res.status(201).json(webhook);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Update a webhook's url, events, secret or active flag.
+ * Deactivating stops new deliveries; queued ones fail on their next attempt.
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const webhookId = req.params.id;
+    const {
+      url, events, secret, active,
+    } = req.body;
+
+    await findOwnedWebhook(req.user.id, webhookId);
+    if (url !== undefined) await assertWebhookUrlAllowed(url);
+
+    const data = {};
+    if (url !== undefined) data.url = url;
+    if (events !== undefined) data.events = events;
+    if (secret !== undefined) data.secret = secret;
+    if (active !== undefined) data.active = active;
+
+    const updated = await prisma.webhook.update({
+      where: { id: webhookId },
+      data,
+      select: webhookSelect,
+    });
+
+    return res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log.
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhookId = req.params.id;
+
+    await findOwnedWebhook(req.user.id, webhookId);
+
+    await prisma.webhook.delete({ where: { id: webhookId } });
+
+    return res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List a webhook's deliveries, newest first: { data, nextCursor }.
+ * Optional ?status= (PENDING, SUCCEEDED, FAILED).
+ */
+const getDeliveries = async (req, res, next) => {
+  try {
+    const webhookId = req.params.id;
+    const { limit, cursor, status } = req.query;
+
+    await findOwnedWebhook(req.user.id, webhookId);
+
+    const where = { webhookId };
+    if (status) where.status = status;
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      ...cursorArgs({ cursor, limit }),
+    });
+
+    return res.status(200).json(toPage(deliveries, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Queue a new delivery with the same event and payload as an earlier one.
+ * Responds 202 with the queued delivery; 404 if the delivery is not this webhook's.
+ */
+const redeliver = async (req, res, next) => {
+  try {
+    const webhookId = req.params.id;
+    const deliveryId = req.params.deliveryId;
+
+    await findOwnedWebhook(req.user.id, webhookId);
+
+    const original = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+    if (!original || original.webhookId !== webhookId) {
+      throw new NotFoundError('Delivery not found');
+    }
+
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        webhookId,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOfId: original.id,
+      },
+    });
+
+    return res.status(202).json(delivery);
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  redeliver,
+};
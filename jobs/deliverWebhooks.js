@@ -0,0 +1,196 @@
+/**
+ * jobs/deliverWebhooks.js
+ *
+ * Sends queued webhook deliveries and retries failed ones with exponential backoff.
+ * Scheduled inside the API process by server.js, or run once from the command line:
+ *   npm run deliver-webhooks
+ *
+ * A delivery succeeds on any 2xx response. Anything else (including timeouts and redirects)
+ * is retried after 30s, 1m, 2m, ... (capped at 6h) until WEBHOOK_MAX_ATTEMPTS is reached,
+ * then marked FAILED. Deliveries for a disabled webhook are marked FAILED without a request.
+ * The host is resolved before every attempt and the request connects to the checked address only,
+ * so a url cannot be pointed at a private address later (utils/webhooks.js).
+ * The delivery log keeps the response status or a short error, never the response body.
+ *
+ * Environment:
+ * - WEBHOOK_POLL_SECONDS (default 5; 0 disables the in-process schedule)
+ * - WEBHOOK_TIMEOUT_SECONDS (default 10)
+ * - WEBHOOK_MAX_ATTEMPTS (default 8)
+ */
+
+const http = require('http');
+const https = require('https');
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { signPayload, resolveWebhookAddresses } = require('../utils/webhooks');
+
+const POLL_SECONDS = parseInt(process.env.WEBHOOK_POLL_SECONDS || '5', 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10', 10) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// Deliveries sent per run
+const BATCH_SIZE = 20;
+// A claimed delivery is not picked up again until this long after the claim
+const CLAIM_MS = TIMEOUT_MS + 30 * 1000;
+
+/**
+ * Delay before the next attempt, after `attempts` failed attempts.
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS) * 1000;
+}
+
+/**
+ * Helper: POST `body` to `url`, connecting only to `addresses` (checked by resolveWebhookAddresses).
+ * The Host header and TLS server name stay those of the url. Resolves with the response status;
+ * the response body is discarded.
+ */
+function post(url, headers, body, addresses) {
+  const { protocol } = new URL(url);
+  const transport = protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => {
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+      },
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST one delivery to its webhook. Never throws.
+ * Returns { ok, responseStatus, error }.
+ */
+async function sendDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const addresses = await resolveWebhookAddresses(delivery.webhook.url);
+    const status = await post(delivery.webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'task-manager-webhooks/1',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(delivery.webhook.secret, timestamp, body),
+    }, body, addresses);
+
+    const ok = status >= 200 && status < 300;
+    return { ok, responseStatus: status, error: ok ? null : `HTTP ${status}` };
+  } catch (err) {
+    let error = err.code ? `Request failed (${err.code})` : 'Request failed';
+    if (err.code === 'WEBHOOK_URL_NOT_ALLOWED') error = err.message;
+    if (err.name === 'AbortError') error = `Timed out after ${TIMEOUT_MS / 1000}s`;
+    return { ok: false, responseStatus: null, error };
+  }
+}
+
+/**
+ * Send a claimed delivery and record the outcome.
+ * Returns the new status: SUCCEEDED, PENDING (retry scheduled) or FAILED.
+ */
+async function attemptDelivery(delivery) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const data = { attempts, lastAttemptAt: now };
+
+  if (!delivery.webhook.active) {
+    Object.assign(data, { status: 'FAILED', responseStatus: null, error: 'Webhook is disabled' });
+  } else {
+    const { ok, responseStatus, error } = await sendDelivery(delivery);
+    Object.assign(data, { responseStatus, error });
+    if (ok) {
+      data.status = 'SUCCEEDED';
+    } else if (attempts >= MAX_ATTEMPTS) {
+      data.status = 'FAILED';
+    } else {
+      data.nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+    }
+  }
+
+  await prisma.webhookDelivery.update({ where: { id: delivery.id }, data });
+  return data.status || 'PENDING';
+}
+
+/**
+ * Send up to BATCH_SIZE due deliveries.
+ * Each delivery is claimed first, so overlapping runs (or several API instances) never send it twice.
+ * Returns { succeeded, retrying, failed } counts.
+ */
+async function processDueDeliveries(now = new Date()) {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    orderBy: [{ nextAttemptAt: 'asc' }, { id: 'asc' }],
+    take: BATCH_SIZE,
+    include: { webhook: true },
+  });
+
+  const outcomes = await Promise.all(due.map(async (delivery) => {
+    const claimed = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + CLAIM_MS) },
+    });
+    if (claimed.count === 0) return null;
+    return attemptDelivery(delivery);
+  }));
+
+  return {
+    succeeded: outcomes.filter((o) => o === 'SUCCEEDED').length,
+    retrying: outcomes.filter((o) => o === 'PENDING').length,
+    failed: outcomes.filter((o) => o === 'FAILED').length,
+  };
+}
+
+let running = false;
+
+/**
+ * Run processDueDeliveries unless a run is already in progress; errors are logged, never thrown.
+ */
+async function runDeliveries() {
+  if (running) return;
+  running = true;
+  try {
+    const { succeeded, retrying, failed } = await processDueDeliveries();
+    if (retrying > 0 || failed > 0) {
+      logger.warn(`Webhook deliveries: ${succeeded} succeeded, ${retrying} will be retried, ${failed} failed`);
+    }
+  } catch (err) {
+    logger.error(err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling for due deliveries. Returns the timer, or null when disabled.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function scheduleWebhookDelivery() {
+  if (POLL_SECONDS <= 0) return null;
+  const timer = setInterval(runDeliveries, POLL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  runDeliveries().finally(() => prisma.$disconnect());
+}
+
+module.exports = {
+  retryDelay,
+  processDueDeliveries,
+  scheduleWebhookDelivery,
+};
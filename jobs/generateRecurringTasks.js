@@ -0,0 +1,103 @@
+/**
+ * jobs/generateRecurringTasks.js
+ *
+ * Generates the next occurrence of recurring tasks whose latest occurrence is past its due date,
+ * whether or not it was completed (completing one generates its successor right away, see utils/recurrence.js).
+ * Scheduled inside the API process by server.js, or run once from the command line:
+ *   npm run generate-recurring-tasks
+ *
+ * Occurrences in the trash, or on trashed boards, do not generate successors. Each occurrence has at most
+ * one successor, so overlapping runs (or several API instances) never create duplicates.
+ *
+ * Environment:
+ * - RECURRENCE_INTERVAL_MINUTES (default 15; 0 disables the in-process schedule)
+ */
+
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { createNextOccurrence } = require('../utils/recurrence');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+
+const INTERVAL_MINUTES = parseInt(process.env.RECURRENCE_INTERVAL_MINUTES || '15', 10);
+
+// Occurrences generated per run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+
+// Relations of the generated task, as returned by the task routes
+const taskInclude = {
+  status: true,
+  labels: true,
+  assignee: { select: { id: true, email: true, name: true } },
+  series: true,
+};
+
+/**
+ * Generate successors for up to BATCH_SIZE past-due occurrences of running series.
+ * Returns the number of tasks created.
+ */
+async function generateRecurringTasks(now = new Date()) {
+  const due = await prisma.task.findMany({
+    where: {
+      series: { stoppedAt: null },
+      nextOccurrence: { is: null },
+      dueDate: { lte: now },
+      deletedAt: null,
+      board: { deletedAt: null },
+    },
+    orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+    take: BATCH_SIZE,
+    include: { labels: true },
+  });
+
+  let created = 0;
+  for (const task of due) {
+    const next = await prisma.$transaction((tx) => createNextOccurrence(tx, task, { include: taskInclude, now }));
+    if (next) {
+      created += 1;
+      publishBoardEvent(next.boardId, 'task.created', next);
+      enqueueWebhookEvent(next.boardId, 'task.created', next);
+    }
+  }
+  return created;
+}
+
+let running = false;
+
+/**
+ * Run generateRecurringTasks unless a run is already in progress; errors are logged, never thrown.
+ */
+async function runGeneration() {
+  if (running) return;
+  running = true;
+  try {
+    const created = await generateRecurringTasks();
+    if (created > 0) {
+      logger.info(`Recurring tasks: generated ${created} occurrence(s)`);
+    }
+  } catch (err) {
+    logger.error(err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start checking for due occurrences. Returns the timer, or null when disabled.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function scheduleRecurringTasks() {
+  if (INTERVAL_MINUTES <= 0) return null;
+  const timer = setInterval(runGeneration, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  runGeneration().finally(() => prisma.$disconnect());
+}
+
+module.exports = {
+  generateRecurringTasks,
+  scheduleRecurringTasks,
+};
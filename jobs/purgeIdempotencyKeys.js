@@ -0,0 +1,58 @@
+/**
+ * jobs/purgeIdempotencyKeys.js
+ *
+ * Deletes stored Idempotency-Key responses once they have expired (see middleware/idempotency.js).
+ * Scheduled inside the API process by server.js, or run once from the command line:
+ *   npm run purge-idempotency-keys
+ *
+ * Environment:
+ * - IDEMPOTENCY_TTL_HOURS (default 24; read by the middleware when a key is stored)
+ * - IDEMPOTENCY_PURGE_INTERVAL_MINUTES (default 60; 0 disables the in-process schedule)
+ */
+
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MINUTES || '60', 10);
+
+/**
+ * Delete every expired key. Returns the number of rows deleted.
+ */
+async function purgeIdempotencyKeys(now = new Date()) {
+  const { count } = await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lte: now } } });
+  return count;
+}
+
+/**
+ * Run purgeIdempotencyKeys and log the outcome; errors are logged, never thrown.
+ */
+async function runPurge() {
+  try {
+    const count = await purgeIdempotencyKeys();
+    if (count > 0) {
+      logger.info(`Idempotency key purge removed ${count} expired key(s)`);
+    }
+  } catch (err) {
+    logger.error(err);
+  }
+}
+
+/**
+ * Start the periodic purge. Returns the timer, or null when disabled.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function scheduleIdempotencyKeyPurge() {
+  if (PURGE_INTERVAL_MINUTES <= 0) return null;
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  runPurge().finally(() => prisma.$disconnect());
+}
+
+module.exports = {
+  purgeIdempotencyKeys,
+  scheduleIdempotencyKeyPurge,
+};
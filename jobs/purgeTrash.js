@@ -0,0 +1,98 @@
+/**
+ * jobs/purgeTrash.js
+ *
+ * Hard-deletes boards and tasks that have been in the trash longer than the retention period.
+ * Scheduled inside the API process by server.js, or run once from the command line:
+ *   npm run purge-trash
+ *
+ * Environment:
+ * - TRASH_RETENTION_DAYS (default 30)
+ * - TRASH_PURGE_INTERVAL_MINUTES (default 60; 0 disables the in-process schedule)
+ */
+
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { removeFiles } = require('../utils/storage');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60', 10);
+
+/**
+ * Date after which an item trashed at `deletedAt` is purged.
+ */
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Delete everything trashed before the retention cutoff.
+ * Tasks of purged boards go with them (Task has no cascade from Board); comments,
+ * activity, attachments, statuses, labels and memberships are removed by their cascades.
+ * The purged tasks' attachment files are removed from storage once the rows are gone.
+ * Returns { boards, tasks, files } with the number of rows deleted and stored files removed.
+ */
+async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { boards, tasks, storageKeys } = await prisma.$transaction(async (tx) => {
+    const trashedBoards = await tx.board.findMany({
+      where: { deletedAt: { lte: cutoff } },
+      select: { id: true },
+    });
+    const boardIds = trashedBoards.map((b) => b.id);
+
+    const attachments = await tx.attachment.findMany({
+      where: { task: { OR: [{ boardId: { in: boardIds } }, { deletedAt: { lte: cutoff } }] } },
+      select: { storageKey: true },
+    });
+
+    const boardTasks = await tx.task.deleteMany({ where: { boardId: { in: boardIds } } });
+    await tx.board.deleteMany({ where: { id: { in: boardIds } } });
+    const trashedTasks = await tx.task.deleteMany({ where: { deletedAt: { lte: cutoff } } });
+
+    return {
+      boards: boardIds.length,
+      tasks: boardTasks.count + trashedTasks.count,
+      storageKeys: attachments.map((a) => a.storageKey),
+    };
+  });
+
+  const files = await removeFiles(storageKeys);
+  return { boards, tasks, files };
+}
+
+/**
+ * Run purgeTrash and log the outcome; errors are logged, never thrown.
+ */
+async function runPurge() {
+  try {
+    const { boards, tasks, files } = await purgeTrash();
+    if (boards > 0 || tasks > 0) {
+      logger.info(`Trash purge removed ${boards} board(s), ${tasks} task(s) and ${files} attachment file(s)`);
+    }
+  } catch (err) {
+    logger.error(err);
+  }
+}
+
+/**
+ * Start the periodic purge. Returns the timer, or null when disabled.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function scheduleTrashPurge() {
+  if (PURGE_INTERVAL_MINUTES <= 0) return null;
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  runPurge().finally(() => prisma.$disconnect());
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeTrash,
+  scheduleTrashPurge,
+};
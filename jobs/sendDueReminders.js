@@ -0,0 +1,242 @@
+/**
+ * jobs/sendDueReminders.js
+ *
+ * Finds tasks that are due soon or overdue and notifies the people responsible for them.
+ * Scheduled inside the API process by server.js, or run once from the command line:
+ *   npm run send-due-reminders
+ *
+ * A live, not-done task with a due date gets:
+ * - a TASK_DUE_SOON reminder once the due date is less than DUE_SOON_HOURS away
+ * - a TASK_OVERDUE reminder once the due date has passed
+ * Each reminder creates a Notification for the task's assignee (or, if unassigned, the board's
+ * OWNERs), publishes task.due_soon / task.overdue to the board's real-time subscribers and webhooks,
+ * and emails the recipients (see utils/mailer.js).
+ *
+ * Every reminder is recorded in TaskReminder, keyed by (task, type, due date) and claimed in the same
+ * transaction as its notifications, so it fires once even across restarts, overlapping runs or several
+ * API instances. Moving the due date arms the reminders again for the new date.
+ * A reminder that fails is logged and retried on the next run; the others in the batch still fire.
+ * Emails are sent after the commit; a failed email is retried on later runs for EMAIL_RETRY_HOURS.
+ *
+ * Environment:
+ * - DUE_REMINDER_INTERVAL_MINUTES (default 5; 0 disables the in-process schedule)
+ * - DUE_SOON_HOURS (default 24)
+ */
+
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { publishBoardEvent } = require('../utils/eventBus');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const { sendMail } = require('../utils/mailer');
+
+const INTERVAL_MINUTES = parseInt(process.env.DUE_REMINDER_INTERVAL_MINUTES || '5', 10);
+const DUE_SOON_HOURS = parseInt(process.env.DUE_SOON_HOURS || '24', 10);
+
+// Reminders (and emails) handled per run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+// Notifications whose email failed are retried until they are this old
+const EMAIL_RETRY_HOURS = 24;
+
+const EVENT_TYPES = { TASK_DUE_SOON: 'task.due_soon', TASK_OVERDUE: 'task.overdue' };
+
+/**
+ * Helper: live, not-done tasks on live boards that have a reminder due and not yet sent,
+ * earliest due date first. Each row carries the reminder `type` that applies now.
+ */
+function findDueTasks(now) {
+  const dueSoonUntil = new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000);
+
+  return prisma.$queryRaw`
+    SELECT "id", "boardId", "statusId", "assigneeId", "title", "dueDate", "type"
+    FROM (
+      SELECT t."id", t."boardId", t."statusId", t."assigneeId", t."title", t."dueDate",
+             CASE WHEN t."dueDate" <= ${now} THEN 'TASK_OVERDUE' ELSE 'TASK_DUE_SOON' END AS "type"
+      FROM "Task" t
+      JOIN "Board" b ON b."id" = t."boardId"
+      LEFT JOIN "Status" s ON s."id" = t."statusId"
+      WHERE t."dueDate" <= ${dueSoonUntil}
+        AND t."deletedAt" IS NULL
+        AND b."deletedAt" IS NULL
+        AND s."isDone" IS NOT TRUE
+    ) due
+    WHERE NOT EXISTS (
+      SELECT 1 FROM "TaskReminder" r
+      WHERE r."taskId" = due."id" AND r."dueDate" = due."dueDate" AND r."type"::text = due."type"
+    )
+    ORDER BY "dueDate" ASC, "id" ASC
+    LIMIT ${BATCH_SIZE}
+  `;
+}
+
+/**
+ * Helper: users to notify about a task: its assignee, or the board's OWNERs when unassigned.
+ */
+async function recipientsFor(task) {
+  if (task.assigneeId) return [task.assigneeId];
+  const owners = await prisma.boardMember.findMany({
+    where: { boardId: task.boardId, role: 'OWNER' },
+    select: { userId: true },
+  });
+  return owners.map((o) => o.userId);
+}
+
+/**
+ * Claim the reminder and create its notifications, all-or-nothing.
+ * Returns false if the reminder was already sent (by an earlier or concurrent run).
+ */
+async function fireReminder(task) {
+  const userIds = await recipientsFor(task);
+
+  try {
+    await prisma.$transaction([
+      prisma.taskReminder.create({ data: { taskId: task.id, type: task.type, dueDate: task.dueDate } }),
+      prisma.notification.createMany({
+        data: userIds.map((userId) => ({
+          userId,
+          type: task.type,
+          boardId: task.boardId,
+          taskId: task.id,
+          title: task.title,
+          dueDate: task.dueDate,
+        })),
+      }),
+    ]);
+  } catch (err) {
+    if (err.code === 'P2002') return false;
+    throw err;
+  }
+
+  const data = {
+    id: task.id,
+    boardId: task.boardId,
+    statusId: task.statusId,
+    assigneeId: task.assigneeId,
+    title: task.title,
+    dueDate: task.dueDate,
+  };
+  publishBoardEvent(task.boardId, EVENT_TYPES[task.type], data);
+  enqueueWebhookEvent(task.boardId, EVENT_TYPES[task.type], data);
+  return true;
+}
+
+/**
+ * Helper: subject and text of a notification email.
+ */
+function formatEmail(notification) {
+  const due = notification.dueDate.toISOString();
+  const board = notification.board.name;
+  if (notification.type === 'TASK_OVERDUE') {
+    return {
+      subject: `Overdue: ${notification.title}`,
+      text: `The task "${notification.title}" on board "${board}" was due ${due} and is not done yet.`,
+    };
+  }
+  return {
+    subject: `Due soon: ${notification.title}`,
+    text: `The task "${notification.title}" on board "${board}" is due ${due}.`,
+  };
+}
+
+/**
+ * Email notifications that have not been emailed yet.
+ * Each one is claimed (emailedAt set) before sending and released again if sending fails.
+ * Returns { sent, failed } counts.
+ */
+async function sendPendingEmails(now = new Date()) {
+  const pending = await prisma.notification.findMany({
+    where: { emailedAt: null, createdAt: { gte: new Date(now.getTime() - EMAIL_RETRY_HOURS * 60 * 60 * 1000) } },
+    orderBy: { id: 'asc' },
+    take: BATCH_SIZE,
+    include: { user: { select: { email: true, name: true } }, board: { select: { name: true } } },
+  });
+
+  let sent = 0;
+  let failed = 0;
+  for (const notification of pending) {
+    const claimed = await prisma.notification.updateMany({
+      where: { id: notification.id, emailedAt: null },
+      data: { emailedAt: new Date() },
+    });
+    if (claimed.count === 0) continue;
+
+    const { user } = notification;
+    try {
+      await sendMail({ to: user.name ? `${user.name} <${user.email}>` : user.email, ...formatEmail(notification) });
+      sent += 1;
+    } catch (err) {
+      logger.warn(`Reminder email for notification ${notification.id} failed: ${err.message}`);
+      await prisma.notification.update({ where: { id: notification.id }, data: { emailedAt: null } });
+      failed += 1;
+    }
+  }
+  return { sent, failed };
+}
+
+/**
+ * Fire every reminder that is due (up to BATCH_SIZE), then send the emails.
+ * A reminder that fails is logged and retried on the next run; it does not hold up the others.
+ * Returns { fired, failed, emailed, emailFailed } counts.
+ */
+async function processDueReminders(now = new Date()) {
+  const tasks = await findDueTasks(now);
+
+  let fired = 0;
+  let failed = 0;
+  for (const task of tasks) {
+    try {
+      if (await fireReminder(task)) fired += 1;
+    } catch (err) {
+      logger.warn(`Reminder ${task.type} for task ${task.id} failed: ${err.message}`);
+      failed += 1;
+    }
+  }
+
+  const emails = await sendPendingEmails(now);
+  return {
+    fired, failed, emailed: emails.sent, emailFailed: emails.failed,
+  };
+}
+
+let running = false;
+
+/**
+ * Run processDueReminders unless a run is already in progress; errors are logged, never thrown.
+ */
+async function runReminders() {
+  if (running) return;
+  running = true;
+  try {
+    const {
+      fired, failed, emailed, emailFailed,
+    } = await processDueReminders();
+    if (fired > 0 || failed > 0 || emailFailed > 0) {
+      logger.info(
+        `Due reminders: ${fired} fired, ${failed} failed, ${emailed} email(s) sent, ${emailFailed} email(s) failed`,
+      );
+    }
+  } catch (err) {
+    logger.error(err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start checking for due reminders. Returns the timer, or null when disabled.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function scheduleDueReminders() {
+  if (INTERVAL_MINUTES <= 0) return null;
+  const timer = setInterval(runReminders, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+if (require.main === module) {
+  runReminders().finally(() => prisma.$disconnect());
+}
+
+module.exports = {
+  processDueReminders,
+  scheduleDueReminders,
+};
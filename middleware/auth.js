@@ -0,0 +1,26 @@
+const { verifyAccessToken } = require('../utils/auth');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Middleware that requires a valid access token in the Authorization header.
+ * On success sets req.user = { id, email }; otherwise fails with a 401 UnauthorizedError.
+ * Usage:
+ *   router.use(requireAuth);
+ */
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    return next();
+  } catch (err) {
+    return next(new UnauthorizedError('Invalid or expired access token', { code: 'INVALID_TOKEN' }));
+  }
+}
+
+module.exports = { requireAuth };
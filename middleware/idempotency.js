@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../utils/prisma');
+const logger = require('../utils/logger');
+const { HttpError, ValidationError, ConflictError } = require('../utils/errors');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+const MAX_KEY_LENGTH = 255;
+// A key whose first request has not responded after this long (e.g. the process died) can be claimed again
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+// Response headers replayed along with the stored body
+const REPLAYED_HEADERS = ['Content-Type', 'ETag'];
+
+/**
+ * Helper: hash of everything that makes two requests "the same": method, URL (with query) and body.
+ */
+function fingerprint(req) {
+  const body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body === undefined ? null : req.body);
+  return crypto.createHash('sha256').update(`${req.method} ${req.originalUrl}\n${body}`).digest('hex');
+}
+
+/**
+ * Helper: claim the key for this request.
+ * Returns null when claimed, or the record stored by an earlier request with the same key.
+ * Expired and abandoned records are taken over.
+ */
+async function claimKey(userId, key, requestFingerprint) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+  try {
+    await prisma.idempotencyKey.create({ data: { userId, key, fingerprint: requestFingerprint, expiresAt } });
+    return null;
+  } catch (err) {
+    if (err.code !== 'P2002') throw err;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } });
+  if (!existing) return claimKey(userId, key, requestFingerprint);
+
+  const abandoned = existing.responseStatus === null
+    && existing.createdAt.getTime() < now.getTime() - IN_PROGRESS_TIMEOUT_MS;
+  if (existing.expiresAt > now && !abandoned) return existing;
+
+  // Only one of several concurrent retries gets the key
+  const { count } = await prisma.idempotencyKey.updateMany({
+    where: { id: existing.id, createdAt: existing.createdAt },
+    data: {
+      fingerprint: requestFingerprint,
+      responseStatus: null,
+      responseBody: Prisma.DbNull,
+      responseHeaders: Prisma.DbNull,
+      createdAt: now,
+      expiresAt,
+    },
+  });
+  return count === 1 ? null : claimKey(userId, key, requestFingerprint);
+}
+
+/**
+ * Middleware that makes POST requests with an Idempotency-Key header safe to retry.
+ * The first request with a key runs normally and its response is stored for IDEMPOTENCY_TTL_HOURS;
+ * later requests with the same key get the stored response back (with Idempotent-Replayed: true)
+ * instead of running again. Keys are scoped to the caller, so it must run after requireAuth.
+ *
+ * - 422 if the key is reused with a different method, URL or body
+ * - 409 while the first request with the key is still being handled
+ * - 5xx responses are not stored, so the request can be retried with the same key
+ * - multipart requests (attachment uploads) ignore the key: their body is streamed to storage, not parsed,
+ *   so a retry could not be told apart from a different upload
+ *
+ * Usage:
+ *   router.use(idempotency);
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (req.method !== 'POST' || key === undefined || req.is('multipart/*')) return next();
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return next(new ValidationError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, {
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    }));
+  }
+
+  try {
+    const userId = req.user.id;
+    const requestFingerprint = fingerprint(req);
+    const existing = await claimKey(userId, key, requestFingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        throw new HttpError(422, 'Idempotency-Key was already used for a different request', {
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+      if (existing.responseStatus === null) {
+        throw new ConflictError('A request with this Idempotency-Key is still in progress; retry later', {
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+        });
+      }
+      res.set(existing.responseHeaders || {});
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store whatever JSON response the route sends; release the key if it fails or never responds
+    const where = { userId_key: { userId, key } };
+    let responded = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responded = true;
+      const save = res.statusCode >= 500
+        ? prisma.idempotencyKey.delete({ where })
+        : prisma.idempotencyKey.update({
+          where,
+          data: {
+            responseStatus: res.statusCode,
+            responseBody: body === undefined ? Prisma.DbNull : JSON.parse(JSON.stringify(body)),
+            responseHeaders: Object.fromEntries(
+              REPLAYED_HEADERS.filter((h) => res.get(h) !== undefined).map((h) => [h, res.get(h)]),
+            ),
+          },
+        });
+      save.catch((err) => logger.error(err));
+      return json(body);
+    };
+    res.on('close', () => {
+      if (!responded) prisma.idempotencyKey.delete({ where }).catch((err) => logger.error(err));
+    });
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { IDEMPOTENCY_TTL_HOURS, idempotency };
@@ -0,0 +1,18 @@
+-- AlterTable
+-- Ranks are compared byte-wise, so pin the column to the "C" collation.
+ALTER TABLE "Task" ADD COLUMN "rank" TEXT COLLATE "C";
+
+-- Backfill: keep the current creation order within each (board, status) column.
+-- Zero-padded positions are valid ranks; the trailing 'i' keeps them from ending in '0'.
+UPDATE "Task" t
+SET "rank" = lpad(r.position::text, 6, '0') || 'i'
+FROM (
+    SELECT "id", row_number() OVER (PARTITION BY "boardId", "statusId" ORDER BY "createdAt", "id") AS position
+    FROM "Task"
+) r
+WHERE t."id" = r."id";
+
+ALTER TABLE "Task" ALTER COLUMN "rank" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Task_boardId_statusId_rank_idx" ON "Task"("boardId", "statusId", "rank");
@@ -0,0 +1,51 @@
+/*
+  Statuses become board-scoped.
+
+  - Every existing (global) status is copied into every board, keeping its creation order as the column position.
+  - Tasks are re-pointed to the copy of their status on their own board.
+  - The global rows are then removed and "Status"."name" is only unique per board.
+*/
+-- DropIndex
+DROP INDEX "Status_name_key";
+
+-- AlterTable
+ALTER TABLE "Status" ADD COLUMN     "boardId" INTEGER,
+ADD COLUMN     "color" TEXT,
+ADD COLUMN     "isDone" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "wipLimit" INTEGER;
+
+-- Copy global statuses into every board
+INSERT INTO "Status" ("boardId", "name", "position", "isDone", "createdAt", "updatedAt")
+SELECT b."id",
+       s."name",
+       (row_number() OVER (PARTITION BY b."id" ORDER BY s."createdAt", s."id")) - 1,
+       s."name" = 'DONE',
+       CURRENT_TIMESTAMP,
+       CURRENT_TIMESTAMP
+FROM "Status" s
+CROSS JOIN "Board" b
+WHERE s."boardId" IS NULL;
+
+-- Re-point tasks to their board's copy
+UPDATE "Task" t
+SET "statusId" = scoped."id"
+FROM "Status" global, "Status" scoped
+WHERE t."statusId" = global."id"
+  AND global."boardId" IS NULL
+  AND scoped."boardId" = t."boardId"
+  AND scoped."name" = global."name";
+
+-- Remove the global rows
+DELETE FROM "Status" WHERE "boardId" IS NULL;
+
+ALTER TABLE "Status" ALTER COLUMN "boardId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Status_boardId_position_idx" ON "Status"("boardId", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Status_boardId_name_key" ON "Status"("boardId", "name");
+
+-- AddForeignKey
+ALTER TABLE "Status" ADD CONSTRAINT "Status_boardId_fkey" FOREIGN KEY ("boardId") REFERENCES "Board"("id") ON DELETE CASCADE ON UPDATE CASCADE;
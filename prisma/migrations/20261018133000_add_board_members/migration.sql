@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "BoardRole" AS ENUM ('OWNER', 'EDITOR', 'VIEWER');
+
+-- CreateTable
+CREATE TABLE "BoardMember" (
+    "boardId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "BoardRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BoardMember_pkey" PRIMARY KEY ("boardId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "BoardMember_userId_idx" ON "BoardMember"("userId");
+
+-- AddForeignKey
+ALTER TABLE "BoardMember" ADD CONSTRAINT "BoardMember_boardId_fkey" FOREIGN KEY ("boardId") REFERENCES "Board"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BoardMember" ADD CONSTRAINT "BoardMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Boards created before membership existed have no members and would be unreachable.
+-- Hand them to the first registered user (if any) as OWNER; they can invite others from there.
+INSERT INTO "BoardMember" ("boardId", "userId", "role", "createdAt", "updatedAt")
+SELECT b."id", u."id", 'OWNER', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "Board" b
+CROSS JOIN (SELECT "id" FROM "User" ORDER BY "id" LIMIT 1) u;
@@ -0,0 +1,22 @@
+-- AlterEnum
+ALTER TYPE "TaskActivityAction" ADD VALUE 'DELETED';
+ALTER TYPE "TaskActivityAction" ADD VALUE 'RESTORED';
+
+-- AlterTable
+ALTER TABLE "Board" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- DropIndex
+DROP INDEX "Board_name_key";
+
+-- CreateIndex
+-- Board names only need to be unique among boards that are not in the trash (not expressible in schema.prisma)
+CREATE UNIQUE INDEX "Board_name_active_key" ON "Board"("name") WHERE "deletedAt" IS NULL;
+
+-- CreateIndex
+CREATE INDEX "Board_deletedAt_idx" ON "Board"("deletedAt");
+
+-- CreateIndex
+CREATE INDEX "Task_deletedAt_idx" ON "Task"("deletedAt");
@@ -0,0 +1,18 @@
+-- AlterTable
+-- Generated columns (not expressible in schema.prisma): PostgreSQL keeps them in sync with the source columns.
+-- The 'english' configuration must match the one used by controllers/searchController.js.
+ALTER TABLE "Board" ADD COLUMN     "searchVector" tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce("name", ''))) STORED;
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "searchVector" tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+  ) STORED;
+
+-- CreateIndex
+CREATE INDEX "Board_searchVector_idx" ON "Board" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Task_searchVector_idx" ON "Task" USING GIN ("searchVector");
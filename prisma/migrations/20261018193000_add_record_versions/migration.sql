@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Board" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Status" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "previousOccurrenceId" INTEGER,
+ADD COLUMN     "seriesId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "TaskSeries" (
+    "id" SERIAL NOT NULL,
+    "rule" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "stoppedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaskSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Task_previousOccurrenceId_key" ON "Task"("previousOccurrenceId");
+
+-- CreateIndex
+CREATE INDEX "Task_seriesId_idx" ON "Task"("seriesId");
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "TaskSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_previousOccurrenceId_fkey" FOREIGN KEY ("previousOccurrenceId") REFERENCES "Task"("id") ON DELETE SET NULL ON UPDATE CASCADE;
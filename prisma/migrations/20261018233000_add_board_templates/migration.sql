@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "BoardTemplate" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "statuses" JSONB NOT NULL,
+    "transitions" JSONB NOT NULL,
+    "labels" JSONB NOT NULL,
+    "tasks" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BoardTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BoardTemplate_ownerId_name_key" ON "BoardTemplate"("ownerId", "name");
+
+-- AddForeignKey
+ALTER TABLE "BoardTemplate" ADD CONSTRAINT "BoardTemplate_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
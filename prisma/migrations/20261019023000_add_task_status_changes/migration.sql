@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "TaskStatusChange" (
+    "id" SERIAL NOT NULL,
+    "taskId" INTEGER NOT NULL,
+    "boardId" INTEGER NOT NULL,
+    "fromStatusId" INTEGER,
+    "toStatusId" INTEGER,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaskStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TaskStatusChange_boardId_changedAt_idx" ON "TaskStatusChange"("boardId", "changedAt");
+
+-- CreateIndex
+CREATE INDEX "TaskStatusChange_taskId_idx" ON "TaskStatusChange"("taskId");
+
+-- AddForeignKey
+ALTER TABLE "TaskStatusChange" ADD CONSTRAINT "TaskStatusChange_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskStatusChange" ADD CONSTRAINT "TaskStatusChange_boardId_fkey" FOREIGN KEY ("boardId") REFERENCES "Board"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskStatusChange" ADD CONSTRAINT "TaskStatusChange_fromStatusId_fkey" FOREIGN KEY ("fromStatusId") REFERENCES "Status"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskStatusChange" ADD CONSTRAINT "TaskStatusChange_toStatusId_fkey" FOREIGN KEY ("toStatusId") REFERENCES "Status"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill from the task history (TaskActivity): creations and every recorded status or board change.
+-- Status-only changes are attributed to the task's current board; statuses deleted since read as null.
+INSERT INTO "TaskStatusChange" ("taskId", "boardId", "fromStatusId", "toStatusId", "changedAt")
+SELECT h."taskId", h."boardId", fs."id", ts."id", h."changedAt"
+FROM (
+    SELECT a."taskId",
+           COALESCE((a."changes"->'board'->'to'->>'id')::int, t."boardId") AS "boardId",
+           CASE WHEN a."changes" ? 'board' THEN NULL ELSE (a."changes"->'status'->'from'->>'id')::int END AS "fromStatusId",
+           (a."changes"->'status'->'to'->>'id')::int AS "toStatusId",
+           a."createdAt" AS "changedAt"
+    FROM "TaskActivity" a
+    JOIN "Task" t ON t."id" = a."taskId"
+    WHERE a."action" = 'CREATED' OR a."changes" ? 'status' OR a."changes" ? 'board'
+) h
+JOIN "Board" b ON b."id" = h."boardId"
+LEFT JOIN "Status" fs ON fs."id" = h."fromStatusId"
+LEFT JOIN "Status" ts ON ts."id" = h."toStatusId";
+
+-- Tasks created before their history was recorded start in the status they left first, or their current one
+INSERT INTO "TaskStatusChange" ("taskId", "boardId", "fromStatusId", "toStatusId", "changedAt")
+SELECT t."id", t."boardId", NULL, s."id", t."createdAt"
+FROM "Task" t
+LEFT JOIN LATERAL (
+    SELECT (a."changes"->'status'->'from'->>'id')::int AS "statusId", true AS "found"
+    FROM "TaskActivity" a
+    WHERE a."taskId" = t."id" AND a."changes" ? 'status'
+    ORDER BY a."id" ASC
+    LIMIT 1
+) first_change ON true
+LEFT JOIN "Status" s ON s."id" = CASE WHEN first_change."found" IS NULL THEN t."statusId" ELSE first_change."statusId" END
+WHERE NOT EXISTS (
+    SELECT 1 FROM "TaskActivity" a WHERE a."taskId" = t."id" AND a."action" = 'CREATED'
+);
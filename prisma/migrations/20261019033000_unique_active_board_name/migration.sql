@@ -0,0 +1,12 @@
+-- AlterTable
+-- Generated column (not expressible in schema.prisma): the board name while the board is live, NULL while it is
+-- in the trash. A plain unique index on it replaces the partial index "Board_name_active_key", which
+-- schema.prisma cannot express and `prisma migrate dev` would therefore drop.
+ALTER TABLE "Board" ADD COLUMN     "activeName" TEXT
+  GENERATED ALWAYS AS (CASE WHEN "deletedAt" IS NULL THEN "name" END) STORED;
+
+-- DropIndex
+DROP INDEX "Board_name_active_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Board_activeName_key" ON "Board"("activeName");
@@ -1,34 +1,253 @@
 const express = require('express');
 const router = express.Router();
 
+const authController = require('../controllers/authController');
 const boardController = require('../controllers/boardController');
 const taskController = require('../controllers/taskController');
 const statusController = require('../controllers/statusController');
+const memberController = require('../controllers/memberController');
+const labelController = require('../controllers/labelController');
+const commentController = require('../controllers/commentController');
+const trashController = require('../controllers/trashController');
+const eventController = require('../controllers/eventController');
+const boardTransferController = require('../controllers/boardTransferController');
+const searchController = require('../controllers/searchController');
+const webhookController = require('../controllers/webhookController');
+const notificationController = require('../controllers/notificationController');
+const recurrenceController = require('../controllers/recurrenceController');
+const templateController = require('../controllers/templateController');
+const checklistController = require('../controllers/checklistController');
+const dependencyController = require('../controllers/dependencyController');
+const attachmentController = require('../controllers/attachmentController');
+const metricsController = require('../controllers/metricsController');
 
+const { requireAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { validate } = require('../validators/validate');
-const { idParam, boardCreateSchema, taskCreateSchema, taskUpdateSchema, statusCreateSchema } = require('../validators/schemas');
+const {
+  idParam,
+  registerSchema,
+  loginSchema,
+  boardCreateSchema,
+  boardUpdateSchema,
+  boardListQuery,
+  boardGetQuery,
+  boardExportQuery,
+  boardImportQuery,
+  boardMetricsQuery,
+  boardDuplicateSchema,
+  boardFromTemplateSchema,
+  templateParams,
+  templateCreateSchema,
+  templateUpdateSchema,
+  boardMemberParams,
+  memberAddSchema,
+  memberUpdateSchema,
+  taskCreateSchema,
+  taskUpdateSchema,
+  taskMoveSchema,
+  recurrenceSchema,
+  taskBulkSchema,
+  boardLabelParams,
+  labelCreateSchema,
+  labelUpdateSchema,
+  webhookListQuery,
+  webhookDeliveryParams,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  webhookDeliveryQuery,
+  notificationListQuery,
+  taskListQuery,
+  searchQuery,
+  pageQuery,
+  checklistItemParams,
+  checklistItemCreateSchema,
+  checklistItemUpdateSchema,
+  taskDependencyParams,
+  dependencyCreateSchema,
+  attachmentParams,
+  taskCommentParams,
+  commentSchema,
+  boardStatusParams,
+  statusCreateSchema,
+  statusCreateWithBoardSchema,
+  statusUpdateSchema,
+  statusListQuery,
+  transitionCreateSchema,
+} = require('../validators/schemas');
+
+/**
+ * Auth (public)
+ */
+router.post('/auth/register', validate({ body: registerSchema }), authController.register);
+router.post('/auth/login', validate({ body: loginSchema }), authController.login);
+router.post('/auth/refresh', authController.refresh);
+router.post('/auth/logout', authController.logout);
+
+// Every route below requires a valid access token
+router.use(requireAuth);
+// POST routes below can be retried safely with an Idempotency-Key header
+router.use(idempotency);
 
 /**
  * Boards
  */
-router.get('/boards', boardController.getBoards);
+router.get('/boards', validate({ query: boardListQuery }), boardController.getBoards);
+router.get('/boards/:id', validate({ params: idParam, query: boardGetQuery }), boardController.getBoardById);
 router.post('/boards', validate({ body: boardCreateSchema }), boardController.createBoard);
-router.put('/boards/:id', validate({ params: idParam, body: boardCreateSchema }), boardController.updateBoard);
+router.put('/boards/:id', validate({ params: idParam, body: boardUpdateSchema }), boardController.updateBoard);
 router.delete('/boards/:id', validate({ params: idParam }), boardController.deleteBoard);
+router.post('/boards/:id/restore', validate({ params: idParam }), boardController.restoreBoard);
+
+/**
+ * Board export / import
+ */
+router.get('/boards/:id/export', validate({ params: idParam, query: boardExportQuery }), boardTransferController.exportBoard);
+router.post('/boards/import', validate({ query: boardImportQuery }), boardTransferController.importBoard);
+
+/**
+ * Board duplication and templates
+ */
+router.post('/boards/:id/duplicate', validate({ params: idParam, body: boardDuplicateSchema }), boardController.duplicateBoard);
+router.post('/boards/from-template/:templateId', validate({ params: templateParams, body: boardFromTemplateSchema }), boardController.createBoardFromTemplate);
+router.get('/templates', validate({ query: pageQuery }), templateController.getTemplates);
+router.post('/templates', validate({ body: templateCreateSchema }), templateController.createTemplate);
+router.get('/templates/:id', validate({ params: idParam }), templateController.getTemplateById);
+router.put('/templates/:id', validate({ params: idParam, body: templateUpdateSchema }), templateController.updateTemplate);
+router.delete('/templates/:id', validate({ params: idParam }), templateController.deleteTemplate);
+
+/**
+ * Real-time board events (Server-Sent Events)
+ */
+router.get('/boards/:id/events', validate({ params: idParam }), eventController.streamBoardEvents);
+
+/**
+ * Board metrics (cumulative flow, lead / cycle time, throughput)
+ */
+router.get('/boards/:id/metrics', validate({ params: idParam, query: boardMetricsQuery }), metricsController.getBoardMetrics);
+
+/**
+ * Board members
+ */
+router.get('/boards/:id/members', validate({ params: idParam }), memberController.getMembers);
+router.post('/boards/:id/members', validate({ params: idParam, body: memberAddSchema }), memberController.addMember);
+router.put('/boards/:id/members/:userId', validate({ params: boardMemberParams, body: memberUpdateSchema }), memberController.updateMember);
+router.delete('/boards/:id/members/:userId', validate({ params: boardMemberParams }), memberController.removeMember);
+
+/**
+ * Board labels
+ */
+router.get('/boards/:id/labels', validate({ params: idParam }), labelController.getLabels);
+router.post('/boards/:id/labels', validate({ params: idParam, body: labelCreateSchema }), labelController.createLabel);
+router.put('/boards/:id/labels/:labelId', validate({ params: boardLabelParams, body: labelUpdateSchema }), labelController.updateLabel);
+router.delete('/boards/:id/labels/:labelId', validate({ params: boardLabelParams }), labelController.deleteLabel);
+
+/**
+ * Board workflow (statuses scoped to a board)
+ */
+router.get('/boards/:id/statuses', validate({ params: idParam }), statusController.getBoardStatuses);
+router.post('/boards/:id/statuses', validate({ params: idParam, body: statusCreateSchema }), statusController.createStatus);
+router.put('/boards/:id/statuses/:statusId', validate({ params: boardStatusParams, body: statusUpdateSchema }), statusController.updateStatus);
+router.delete('/boards/:id/statuses/:statusId', validate({ params: boardStatusParams }), statusController.deleteStatus);
+
+/**
+ * Overdue tasks of a board
+ */
+router.get('/boards/:id/overdue', validate({ params: idParam, query: pageQuery }), taskController.getOverdueTasks);
 
 /**
  * Tasks
  */
+router.get('/tasks', validate({ query: taskListQuery }), taskController.getTasks);
+router.get('/tasks/:id', validate({ params: idParam }), taskController.getTaskById);
 router.post('/tasks', validate({ body: taskCreateSchema }), taskController.createTask);
+router.post('/tasks/bulk', validate({ body: taskBulkSchema }), taskController.bulkTasks);
 router.put('/tasks/:id', validate({ params: idParam, body: taskUpdateSchema }), taskController.updateTask);
+router.put('/tasks/:id/move', validate({ params: idParam, body: taskMoveSchema }), taskController.moveTask);
 router.delete('/tasks/:id', validate({ params: idParam }), taskController.deleteTask);
+router.post('/tasks/:id/restore', validate({ params: idParam }), taskController.restoreTask);
+router.get('/tasks/:id/activity', validate({ params: idParam, query: pageQuery }), taskController.getTaskActivity);
+router.get('/tasks/:id/subtasks', validate({ params: idParam }), taskController.getSubtasks);
+
+/**
+ * Task recurrence (series of a recurring task)
+ */
+router.get('/tasks/:id/recurrence', validate({ params: idParam }), recurrenceController.getRecurrence);
+router.put('/tasks/:id/recurrence', validate({ params: idParam, body: recurrenceSchema }), recurrenceController.setRecurrence);
+router.delete('/tasks/:id/recurrence', validate({ params: idParam }), recurrenceController.stopRecurrence);
+
+/**
+ * Task checklists
+ */
+router.get('/tasks/:id/checklist', validate({ params: idParam }), checklistController.getChecklist);
+router.post('/tasks/:id/checklist', validate({ params: idParam, body: checklistItemCreateSchema }), checklistController.createChecklistItem);
+router.put('/tasks/:id/checklist/:itemId', validate({ params: checklistItemParams, body: checklistItemUpdateSchema }), checklistController.updateChecklistItem);
+router.delete('/tasks/:id/checklist/:itemId', validate({ params: checklistItemParams }), checklistController.deleteChecklistItem);
+
+/**
+ * Task dependencies (blocks / blocked-by)
+ */
+router.get('/tasks/:id/dependencies', validate({ params: idParam }), dependencyController.getDependencies);
+router.post('/tasks/:id/dependencies', validate({ params: idParam, body: dependencyCreateSchema }), dependencyController.createDependency);
+router.delete('/tasks/:id/dependencies/:blockerId', validate({ params: taskDependencyParams }), dependencyController.deleteDependency);
+
+/**
+ * Task attachments (multipart upload, streamed download)
+ */
+router.get('/tasks/:id/attachments', validate({ params: idParam }), attachmentController.getAttachments);
+router.post('/tasks/:id/attachments', validate({ params: idParam }), attachmentController.uploadAttachment);
+router.get('/tasks/:id/attachments/:attachmentId', validate({ params: attachmentParams }), attachmentController.downloadAttachment);
+router.delete('/tasks/:id/attachments/:attachmentId', validate({ params: attachmentParams }), attachmentController.deleteAttachment);
+
+/**
+ * Task comments
+ */
+router.get('/tasks/:id/comments', validate({ params: idParam, query: pageQuery }), commentController.getComments);
+router.post('/tasks/:id/comments', validate({ params: idParam, body: commentSchema }), commentController.createComment);
+router.put('/tasks/:id/comments/:commentId', validate({ params: taskCommentParams, body: commentSchema }), commentController.updateComment);
+router.delete('/tasks/:id/comments/:commentId', validate({ params: taskCommentParams }), commentController.deleteComment);
+
+/**
+ * Trash (soft-deleted boards and tasks)
+ */
+router.get('/trash', trashController.getTrash);
+
+/**
+ * Webhooks (board OWNERs)
+ */
+router.get('/webhooks', validate({ query: webhookListQuery }), webhookController.getWebhooks);
+router.post('/webhooks', validate({ body: webhookCreateSchema }), webhookController.createWebhook);
+router.get('/webhooks/:id', validate({ params: idParam }), webhookController.getWebhookById);
+router.put('/webhooks/:id', validate({ params: idParam, body: webhookUpdateSchema }), webhookController.updateWebhook);
+router.delete('/webhooks/:id', validate({ params: idParam }), webhookController.deleteWebhook);
+router.get('/webhooks/:id/deliveries', validate({ params: idParam, query: webhookDeliveryQuery }), webhookController.getDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', validate({ params: webhookDeliveryParams }), webhookController.redeliver);
+
+/**
+ * Notifications (the caller's own)
+ */
+router.get('/notifications', validate({ query: notificationListQuery }), notificationController.getNotifications);
+router.post('/notifications/read-all', notificationController.markAllRead);
+router.post('/notifications/:id/read', validate({ params: idParam }), notificationController.markRead);
+
+/**
+ * Full-text search
+ */
+router.get('/search', validate({ query: searchQuery }), searchController.search);
+
+/**
+ * Status transitions (per-board workflow graph)
+ */
+router.get('/statuses/transitions', validate({ query: statusListQuery }), statusController.getTransitions);
+router.post('/statuses/transitions', validate({ body: transitionCreateSchema }), statusController.createTransition);
+router.delete('/statuses/transitions/:id', validate({ params: idParam }), statusController.deleteTransition);
 
 /**
  * Statuses
  */
-router.get('/statuses', statusController.getStatuses);
-router.post('/statuses', validate({ body: statusCreateSchema }), statusController.createStatus);
-router.put('/statuses/:id', validate({ params: idParam, body: statusCreateSchema }), statusController.updateStatus);
+router.get('/statuses', validate({ query: statusListQuery }), statusController.getStatuses);
+router.post('/statuses', validate({ body: statusCreateWithBoardSchema }), statusController.createStatus);
+router.put('/statuses/:id', validate({ params: idParam, body: statusUpdateSchema }), statusController.updateStatus);
 router.delete('/statuses/:id', validate({ params: idParam }), statusController.deleteStatus);
 
 module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * scripts/smtp_sink.js
+ *
+ * Local stand-in for an SMTP server, for trying out and testing email reminders:
+ *   npm run smtp-sink
+ * then start the API with SMTP_HOST=localhost SMTP_PORT=2525.
+ *
+ * Accepts every message, never delivers it, and logs its envelope and content.
+ * Self-contained on purpose: it only implements the commands utils/mailer.js sends.
+ *
+ * Environment:
+ * - SMTP_SINK_PORT (default 2525)
+ */
+
+const net = require('net');
+
+const PORT = parseInt(process.env.SMTP_SINK_PORT || '2525', 10);
+
+const server = net.createServer((socket) => {
+  socket.setEncoding('utf8');
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  let envelope = { from: null, to: [] };
+  let data = null;
+  let buffer = '';
+
+  reply('220 localhost smtp-sink ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          console.log(`${new Date().toISOString()} mail from=${envelope.from} to=${envelope.to.join(',')}`);
+          console.log(data.join('\n'));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: message accepted');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(10).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(8).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, () => {
+  console.log(`SMTP sink listening on localhost:${PORT}`);
+});
@@ -0,0 +1,59 @@
+/**
+ * scripts/webhook_receiver.js
+ *
+ * Local stand-in for a webhook consumer, for trying out and testing webhooks:
+ *   WEBHOOK_SECRET=<secret from POST /api/webhooks> npm run webhook-receiver
+ * then create a webhook with url http://localhost:4100/ and trigger some board or task changes
+ * (the API must run with WEBHOOK_ALLOWED_HOSTS=localhost to accept that url).
+ *
+ * Every request is logged with its event type, delivery id and signature check result.
+ * Self-contained on purpose: the signature check below is what a real consumer implements.
+ *
+ * Environment:
+ * - WEBHOOK_RECEIVER_PORT (default 4100)
+ * - WEBHOOK_SECRET (optional; without it signatures are not checked)
+ * - WEBHOOK_RECEIVER_STATUS (default 200; e.g. 500 to exercise retries)
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT || '4100', 10);
+const SECRET = process.env.WEBHOOK_SECRET;
+const RESPONSE_STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS || '200', 10);
+
+/**
+ * Check X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">, in constant time.
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const expected = Buffer.from(`sha256=${digest}`);
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'];
+
+    let check = 'not checked';
+    if (SECRET) {
+      check = verifySignature(SECRET, timestamp, body, signature) ? 'valid' : 'INVALID';
+    }
+
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} `
+      + `delivery=${req.headers['x-webhook-delivery']} signature=${check}`);
+    console.log(body);
+
+    res.writeHead(RESPONSE_STATUS, { 'Content-Type': 'text/plain' });
+    res.end(RESPONSE_STATUS < 300 ? 'ok' : 'simulated failure');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/ (responding ${RESPONSE_STATUS})`);
+});
@@ -17,6 +17,14 @@ const YAML = require('yamljs');
 
 const Sentry = require('@sentry/node');
 const logger = require('./utils/logger');
+const {
+  HttpError, ForbiddenError, NotFoundError, toProblem, sendProblem,
+} = require('./utils/errors');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleWebhookDelivery } = require('./jobs/deliverWebhooks');
+const { scheduleIdempotencyKeyPurge } = require('./jobs/purgeIdempotencyKeys');
+const { scheduleDueReminders } = require('./jobs/sendDueReminders');
+const { scheduleRecurringTasks } = require('./jobs/generateRecurringTasks');
 
 const app = express();
 
@@ -41,22 +49,33 @@ app.use(cors({
     if (allowed.indexOf(origin) !== -1) {
       return callback(null, true);
     }
-    return callback(new Error('Not allowed by CORS'));
+    return callback(new ForbiddenError('Not allowed by CORS', { code: 'CORS_ORIGIN_NOT_ALLOWED' }));
   },
   optionsSuccessStatus: 200,
   methods: ['GET','POST','PUT','DELETE','OPTIONS'],
+  // Versions for optimistic concurrency (If-Match on PUT); marker on replayed Idempotency-Key responses
+  exposedHeaders: ['ETag', 'Idempotent-Replayed'],
 }));
 
 // Rate limiter - basic global limiter; tune for production
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200, // limit each IP to 200 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX || '200', 10), // requests per IP per windowMs
   standardHeaders: true,
   legacyHeaders: false,
+  handler: (req, res) => sendProblem(req, res, new HttpError(429, 'Too many requests, please try again later', {
+    code: 'RATE_LIMITED',
+  })),
 });
 app.use(limiter);
 
-// Parsers with size limits
+// Parsers with size limits; board imports (JSON export or CSV) get a larger allowance
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+app.use(
+  '/api/boards/import',
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+);
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
@@ -88,7 +107,7 @@ app.use('/api', router);
 
 // 404 for unknown API endpoints
 app.use((req, res) => {
-  res.status(404).json({ error: 'Not Found' });
+  sendProblem(req, res, new NotFoundError('Not Found', { code: 'ROUTE_NOT_FOUND' }));
 });
 
 // Sentry error handler (captures errors) - only if SENTRY_DSN is present
@@ -96,23 +115,41 @@ if (process.env.SENTRY_DSN) {
   app.use(Sentry.Handlers.errorHandler());
 }
 
-// Error handling middleware
+// Error handling middleware: every error is sent as application/problem+json (see utils/errors.js)
 app.use((err, req, res, next) => {
-  // Log the error
-  logger.error(err);
-  if (process.env.SENTRY_DSN) {
-    try {
-      Sentry.captureException(err);
-    } catch (e) {
-      logger.error('Sentry capture failed', e);
+  const problem = toProblem(err, req);
+  // Client errors are expected; only log and report server errors
+  if (problem.status >= 500) {
+    logger.error(err);
+    if (process.env.SENTRY_DSN) {
+      try {
+        Sentry.captureException(err);
+      } catch (e) {
+        logger.error('Sentry capture failed', e);
+      }
     }
   }
-  const status = err.status || 500;
-  const message = (process.env.NODE_ENV === 'production') ? (err.message || 'Internal Server Error') : err.message || 'Internal Server Error';
-  res.status(status).json({ error: message });
+  if (res.headersSent) return next(err);
+  res.status(problem.status).type('application/problem+json').json(problem);
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
+// Exported for tests (supertest); listening and background jobs only when run directly
+module.exports = app;
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT}`);
+  });
+
+  // Hard-delete trash older than TRASH_RETENTION_DAYS
+  scheduleTrashPurge();
+  // Send queued webhook deliveries and retry failed ones
+  scheduleWebhookDelivery();
+  // Drop stored Idempotency-Key responses once they expire
+  scheduleIdempotencyKeyPurge();
+  // Notify assignees (or board owners) about tasks that are due soon or overdue
+  scheduleDueReminders();
+  // Create the next occurrence of recurring tasks whose latest occurrence is past due
+  scheduleRecurringTasks();
+}
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { purgeTrash, TRASH_RETENTION_DAYS } = require('../jobs/purgeTrash');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: upload `content` to a task as `filename`.
+ */
+function upload(user, taskId, content, filename, contentType = 'text/plain') {
+  return request(app)
+    .post(`/api/tasks/${taskId}/attachments`)
+    .set(user.auth)
+    .attach('file', Buffer.from(content), { filename, contentType });
+}
+
+/**
+ * Helper: number of files in the attachments directory.
+ */
+function storedFiles() {
+  return fs.readdirSync(process.env.ATTACHMENTS_DIR).filter((name) => !name.startsWith('.')).length;
+}
+
+describe('/api/tasks/:id/attachments', () => {
+  it('uploads, lists, downloads and deletes files', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    const filesBefore = storedFiles();
+
+    const uploaded = await upload(owner, task.id, 'hello world', 'notes.txt');
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body).toMatchObject({ filename: 'notes.txt', mime: 'text/plain', size: 11 });
+    expect(uploaded.body).not.toHaveProperty('storageKey');
+    expect(storedFiles()).toBe(filesBefore + 1);
+
+    const list = await request(app).get(`/api/tasks/${task.id}/attachments`).set(owner.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((a) => a.id)).toEqual([uploaded.body.id]);
+
+    const download = await request(app).get(`/api/tasks/${task.id}/attachments/${uploaded.body.id}`).set(owner.auth).buffer(true);
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toBe('attachment; filename="notes.txt"');
+    expect(download.text).toBe('hello world');
+
+    const removed = await request(app).delete(`/api/tasks/${task.id}/attachments/${uploaded.body.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect(storedFiles()).toBe(filesBefore);
+    expect((await request(app).get(`/api/tasks/${task.id}/attachments/${uploaded.body.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('rejects uploads that are too large, of the wrong type or without a file', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    const filesBefore = storedFiles();
+
+    const tooLarge = await upload(owner, task.id, Buffer.alloc(70 * 1024), 'big.txt');
+    const wrongType = await upload(owner, task.id, '<script></script>', 'page.html', 'text/html');
+    const noFile = await request(app).post(`/api/tasks/${task.id}/attachments`).set(owner.auth).field('note', 'no file');
+    const notMultipart = await request(app).post(`/api/tasks/${task.id}/attachments`).set(owner.auth).send({ file: 'x' });
+
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.body.code).toBe('ATTACHMENT_TOO_LARGE');
+    expect(wrongType.status).toBe(415);
+    expect(wrongType.body.code).toBe('ATTACHMENT_TYPE_NOT_ALLOWED');
+    expect(noFile.status).toBe(400);
+    expect(notMultipart.status).toBe(415);
+    expect(storedFiles()).toBe(filesBefore);
+    expect((await request(app).get(`/api/tasks/${task.id}/attachments`).set(owner.auth)).body.data).toEqual([]);
+  });
+
+  it('ignores Idempotency-Key on uploads, whose streamed bodies cannot be compared', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const first = await upload(owner, task.id, 'first', 'first.txt').set('Idempotency-Key', 'upload-1');
+    const second = await upload(owner, task.id, 'second', 'second.txt').set('Idempotency-Key', 'upload-1');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.body.filename).toBe('second.txt');
+  });
+
+  it('removes the files of purged tasks', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    await upload(owner, task.id, 'bye', 'bye.txt');
+    await request(app).delete(`/api/tasks/${task.id}`).set(owner.auth);
+    const filesBefore = storedFiles();
+
+    const result = await purgeTrash(new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * DAY));
+
+    expect(result.files).toBe(1);
+    expect(storedFiles()).toBe(filesBefore - 1);
+  });
+
+  it('returns 404 for attachments of other tasks and tasks the caller cannot see, and 403 to VIEWERs', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const task = await createTask(owner, board.id);
+    const other = await createTask(owner, board.id);
+    const uploaded = await upload(owner, other.id, 'elsewhere', 'other.txt');
+
+    expect((await request(app).get(`/api/tasks/${task.id}/attachments/${uploaded.body.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).delete(`/api/tasks/${task.id}/attachments/${uploaded.body.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${other.id}/attachments`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${other.id}/attachments/${uploaded.body.id}`).set(viewer.auth)).status).toBe(200);
+    expect((await upload(viewer, other.id, 'no', 'no.txt')).status).toBe(403);
+  });
+});
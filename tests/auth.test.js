@@ -0,0 +1,144 @@
+const {
+  app, request, createUser, PASSWORD,
+} = require('./helpers');
+
+/**
+ * Helper: the refresh token cookie set by a response, as a Cookie header value.
+ */
+function refreshCookie(res) {
+  return res.headers['set-cookie'].map((c) => c.split(';')[0]).join('; ');
+}
+
+describe('POST /api/auth/register', () => {
+  it('creates a user and returns an access token with a refresh cookie', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'Ada@Example.com', password: PASSWORD, name: 'Ada' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'ada@example.com', name: 'Ada' });
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+    expect(typeof res.body.accessToken).toBe('string');
+    expect(res.headers['set-cookie'].join(';')).toMatch(/HttpOnly/);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const user = await createUser('taken');
+
+    const res = await request(app).post('/api/auth/register').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_EXISTS');
+  });
+
+  it('reports every invalid field as a problem document', async () => {
+    const res = await request(app).post('/api/auth/register').send({ email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors.map((e) => e.field).sort()).toEqual(['email', 'password']);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('logs in with the right password', async () => {
+    const user = await createUser('login');
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+    expect(typeof res.body.accessToken).toBe('string');
+  });
+
+  it('rejects a wrong password and an unknown email alike', async () => {
+    const user = await createUser('login');
+
+    const wrong = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    const unknown = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: PASSWORD });
+
+    expect(wrong.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(wrong.body.detail).toBe(unknown.body.detail);
+  });
+
+  it('requires an email and a password', async () => {
+    const res = await request(app).post('/api/auth/login').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field).sort()).toEqual(['email', 'password']);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token and revokes the session when an old one is reused', async () => {
+    const user = await createUser('refresh');
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    const first = refreshCookie(login);
+
+    const refreshed = await request(app).post('/api/auth/refresh').set('Cookie', first);
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.user.id).toBe(user.id);
+    const second = refreshCookie(refreshed);
+    expect(second).not.toBe(first);
+
+    const reused = await request(app).post('/api/auth/refresh').set('Cookie', first);
+    expect(reused.status).toBe(401);
+
+    // The whole login was revoked, including the token issued by the rotation
+    const afterReuse = await request(app).post('/api/auth/refresh').set('Cookie', second);
+    expect(afterReuse.status).toBe(401);
+  });
+
+  it('requires the refresh token cookie', async () => {
+    const res = await request(app).post('/api/auth/refresh');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the refresh token', async () => {
+    const user = await createUser('logout');
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    const cookie = refreshCookie(login);
+
+    const res = await request(app).post('/api/auth/logout').set('Cookie', cookie);
+    expect(res.status).toBe(200);
+
+    const refreshed = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    expect(refreshed.status).toBe(401);
+  });
+
+  it('succeeds without a session', async () => {
+    const res = await request(app).post('/api/auth/logout');
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('protected routes', () => {
+  it('require an access token', async () => {
+    const res = await request(app).get('/api/boards');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+
+  it('reject an invalid access token', async () => {
+    const res = await request(app).get('/api/boards').set('Authorization', 'Bearer not-a-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+
+  it('answer unknown endpoints with 404', async () => {
+    const user = await createUser('lost');
+
+    const res = await request(app).get('/api/nothing-here').set(user.auth);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,285 @@
+const {
+  app, request, prisma, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { toHttpError } = require('../utils/errors');
+
+describe('POST /api/boards', () => {
+  it('creates a board with the default workflow and the caller as OWNER', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).post('/api/boards').set(owner.auth).send({ name: '  Roadmap  ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe('Roadmap');
+    expect(res.body.statuses.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE']);
+    expect(res.headers.etag).toBe(`"${res.body.version}"`);
+
+    const members = await request(app).get(`/api/boards/${res.body.id}/members`).set(owner.auth);
+    expect(members.body).toEqual([expect.objectContaining({ userId: owner.id, role: 'OWNER' })]);
+  });
+
+  it('rejects a name already used by a live board', async () => {
+    const owner = await createUser('owner');
+    await createBoard(owner, 'Taken');
+
+    const res = await request(app).post('/api/boards').set(owner.auth).send({ name: 'Taken' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_EXISTS');
+  });
+
+  it('enforces unique live board names in the database, for concurrent creates', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Raced');
+
+    await expect(prisma.board.create({ data: { name: 'Raced' } })).rejects.toMatchObject({ code: 'P2002' });
+    await prisma.board.update({ where: { id: board.id }, data: { deletedAt: new Date() } });
+    await expect(prisma.board.create({ data: { name: 'Raced' } })).resolves.toMatchObject({ name: 'Raced' });
+  });
+
+  it('reports database conflicts without naming columns or indexes', async () => {
+    const owner = await createUser('owner');
+    await createBoard(owner, 'Clash');
+
+    const duplicate = await prisma.board.create({ data: { name: 'Clash' } }).catch((err) => err);
+    const missing = await prisma.board.update({ where: { id: -1 }, data: { name: 'Gone' } }).catch((err) => err);
+
+    expect(toHttpError(duplicate)).toMatchObject({ status: 409, message: 'A record with these values already exists' });
+    expect(toHttpError(missing)).toMatchObject({ status: 404, message: 'Record not found' });
+  });
+
+  it('requires a name', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).post('/api/boards').set(owner.auth).send({ name: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'body', field: 'name' });
+  });
+});
+
+describe('GET /api/boards', () => {
+  it("lists only the caller's boards, newest first, with task counts", async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const older = await createBoard(owner, 'Older');
+    const newer = await createBoard(owner, 'Newer');
+    await createBoard(stranger, 'Not mine');
+    await createTask(owner, newer.id);
+
+    const res = await request(app).get('/api/boards').set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((b) => b.id)).toEqual([newer.id, older.id]);
+    expect(res.body.data[0].taskCounts).toMatchObject({ total: 1 });
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('paginates with a cursor', async () => {
+    const owner = await createUser('owner');
+    await createBoard(owner, 'One');
+    await createBoard(owner, 'Two');
+    await createBoard(owner, 'Three');
+
+    const first = await request(app).get('/api/boards?limit=2&include=none').set(owner.auth);
+    expect(first.body.data).toHaveLength(2);
+    expect(first.body.nextCursor).not.toBeNull();
+
+    const second = await request(app).get(`/api/boards?limit=2&include=none&cursor=${first.body.nextCursor}`).set(owner.auth);
+    expect(second.body.data.map((b) => b.name)).toEqual(['One']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('rejects an unknown include option', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).get('/api/boards?include=everything').set(owner.auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'query', field: 'include' });
+  });
+});
+
+describe('GET /api/boards/:id', () => {
+  it('returns the board with its statuses and live tasks', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Write tests' });
+
+    const res = await request(app).get(`/api/boards/${board.id}`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.statuses).toHaveLength(3);
+    expect(res.body.tasks.map((t) => t.id)).toEqual([task.id]);
+  });
+
+  it('hides boards from non-members', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const res = await request(app).get(`/api/boards/${board.id}`).set(stranger.auth);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 404 for a board that does not exist and 400 for an invalid id', async () => {
+    const owner = await createUser('owner');
+
+    const missing = await request(app).get('/api/boards/999999').set(owner.auth);
+    const invalid = await request(app).get('/api/boards/abc').set(owner.auth);
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0]).toMatchObject({ location: 'params', field: 'id' });
+  });
+});
+
+describe('PUT /api/boards/:id', () => {
+  it('renames the board and bumps its version', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Before');
+
+    const res = await request(app).put(`/api/boards/${board.id}`).set(owner.auth).send({ name: 'After' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('After');
+    expect(res.body.version).toBe(board.version + 1);
+  });
+
+  it('rejects a stale If-Match with the current board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Before');
+    await request(app).put(`/api/boards/${board.id}`).set(owner.auth).send({ name: 'Changed' });
+
+    const res = await request(app)
+      .put(`/api/boards/${board.id}`)
+      .set(owner.auth)
+      .set('If-Match', `"${board.version}"`)
+      .send({ name: 'Mine' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.code).toBe('VERSION_MISMATCH');
+    expect(res.body.current.name).toBe('Changed');
+  });
+
+  it('is reserved to OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const res = await request(app).put(`/api/boards/${board.id}`).set(editor.auth).send({ name: 'Mine now' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_ROLE');
+  });
+
+  it('returns 404 for a missing board and 400 without a name', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const missing = await request(app).put('/api/boards/999999').set(owner.auth).send({ name: 'X' });
+    const invalid = await request(app).put(`/api/boards/${board.id}`).set(owner.auth).send({});
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/boards/:id and POST /api/boards/:id/restore', () => {
+  it('moves the board to the trash and hides it together with its tasks', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Doomed');
+    const task = await createTask(owner, board.id);
+
+    const res = await request(app).delete(`/api/boards/${board.id}`).set(owner.auth);
+    expect(res.status).toBe(200);
+
+    const list = await request(app).get('/api/boards').set(owner.auth);
+    expect(list.body.data.map((b) => b.id)).not.toContain(board.id);
+    expect((await request(app).get(`/api/boards/${board.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/boards/${board.id}/statuses`).set(owner.auth)).status).toBe(404);
+
+    const trash = await request(app).get('/api/trash').set(owner.auth);
+    expect(trash.body.boards.map((b) => b.id)).toEqual([board.id]);
+
+    // The name is free again while the board is in the trash
+    expect((await request(app).post('/api/boards').set(owner.auth).send({ name: 'Doomed' })).status).toBe(201);
+  });
+
+  it('restores the board with the tasks it had', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Comeback');
+    const task = await createTask(owner, board.id);
+    await request(app).delete(`/api/boards/${board.id}`).set(owner.auth);
+
+    const res = await request(app).post(`/api/boards/${board.id}/restore`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeNull();
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).status).toBe(200);
+    const trash = await request(app).get('/api/trash').set(owner.auth);
+    expect(trash.body.boards).toEqual([]);
+  });
+
+  it('refuses to restore a live board or one whose name was taken meanwhile', async () => {
+    const owner = await createUser('owner');
+    const live = await createBoard(owner, 'Alive');
+    const trashed = await createBoard(owner, 'Twin');
+    await request(app).delete(`/api/boards/${trashed.id}`).set(owner.auth);
+    await createBoard(owner, 'Twin');
+
+    const notTrashed = await request(app).post(`/api/boards/${live.id}/restore`).set(owner.auth);
+    const nameTaken = await request(app).post(`/api/boards/${trashed.id}/restore`).set(owner.auth);
+
+    expect(notTrashed.status).toBe(409);
+    expect(notTrashed.body.code).toBe('NOT_IN_TRASH');
+    expect(nameTaken.status).toBe(409);
+    expect(nameTaken.body.code).toBe('ALREADY_EXISTS');
+  });
+
+  it('is reserved to OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const res = await request(app).delete(`/api/boards/${board.id}`).set(editor.auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 for a missing board', async () => {
+    const owner = await createUser('owner');
+
+    expect((await request(app).delete('/api/boards/999999').set(owner.auth)).status).toBe(404);
+    expect((await request(app).post('/api/boards/999999/restore').set(owner.auth)).status).toBe(404);
+  });
+});
+
+describe('GET /api/boards/:id/overdue', () => {
+  it('lists live tasks past their due date that are not done', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const overdue = await createTask(owner, board.id, { title: 'Late', dueDate: '2020-01-01T00:00:00.000Z' });
+    await createTask(owner, board.id, { title: 'Later', dueDate: '2999-01-01T00:00:00.000Z' });
+    await createTask(owner, board.id, { title: 'Late but done', dueDate: '2020-01-01T00:00:00.000Z', statusName: 'DONE' });
+
+    const res = await request(app).get(`/api/boards/${board.id}/overdue`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((t) => t.id)).toEqual([overdue.id]);
+  });
+
+  it('returns 404 for a board the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const res = await request(app).get(`/api/boards/${board.id}/overdue`).set(stranger.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,57 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+describe('/api/tasks/:id/checklist', () => {
+  it('adds, ticks and removes items, keeping the task progress in step', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const first = await request(app).post(`/api/tasks/${task.id}/checklist`).set(owner.auth).send({ text: 'Draft' });
+    const second = await request(app).post(`/api/tasks/${task.id}/checklist`).set(owner.auth).send({ text: 'Review', done: true });
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ text: 'Draft', done: false });
+
+    const ticked = await request(app).put(`/api/tasks/${task.id}/checklist/${first.body.id}`).set(owner.auth).send({ done: true });
+    expect(ticked.status).toBe(200);
+    expect(ticked.body.done).toBe(true);
+
+    const list = await request(app).get(`/api/tasks/${task.id}/checklist`).set(owner.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((i) => i.text)).toEqual(['Draft', 'Review']);
+    expect(list.body.progress).toEqual({ total: 2, done: 2 });
+
+    const removed = await request(app).delete(`/api/tasks/${task.id}/checklist/${second.body.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    const detail = await request(app).get(`/api/tasks/${task.id}`).set(owner.auth);
+    expect(detail.body.progress.checklist).toEqual({ total: 1, done: 1 });
+  });
+
+  it('validates items', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    const item = await request(app).post(`/api/tasks/${task.id}/checklist`).set(owner.auth).send({ text: 'Draft' });
+
+    expect((await request(app).post(`/api/tasks/${task.id}/checklist`).set(owner.auth).send({ text: '' })).status).toBe(400);
+    expect((await request(app).put(`/api/tasks/${task.id}/checklist/${item.body.id}`).set(owner.auth).send({})).status).toBe(400);
+  });
+
+  it('returns 404 for items of other tasks and tasks the caller cannot see, and 403 to VIEWERs', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const task = await createTask(owner, board.id);
+    const other = await createTask(owner, board.id);
+    const item = await request(app).post(`/api/tasks/${other.id}/checklist`).set(owner.auth).send({ text: 'Elsewhere' });
+
+    expect((await request(app).put(`/api/tasks/${task.id}/checklist/${item.body.id}`).set(owner.auth).send({ done: true })).status).toBe(404);
+    expect((await request(app).delete(`/api/tasks/${task.id}/checklist/${item.body.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${task.id}/checklist`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${task.id}/checklist`).set(viewer.auth)).status).toBe(200);
+    expect((await request(app).post(`/api/tasks/${task.id}/checklist`).set(viewer.auth).send({ text: 'No' })).status).toBe(403);
+  });
+});
@@ -0,0 +1,93 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+describe('task comments', () => {
+  it('posts comments and lists them oldest first with pagination', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const first = await request(app).post(`/api/tasks/${task.id}/comments`).set(owner.auth).send({ body: '  First  ' });
+    await request(app).post(`/api/tasks/${task.id}/comments`).set(owner.auth).send({ body: 'Second' });
+
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ body: 'First', author: { id: owner.id } });
+
+    const page = await request(app).get(`/api/tasks/${task.id}/comments?limit=1`).set(owner.auth);
+    expect(page.status).toBe(200);
+    expect(page.body.data.map((c) => c.body)).toEqual(['First']);
+    const next = await request(app).get(`/api/tasks/${task.id}/comments?limit=1&cursor=${page.body.nextCursor}`).set(owner.auth);
+    expect(next.body.data.map((c) => c.body)).toEqual(['Second']);
+  });
+
+  it('requires a body', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const res = await request(app).post(`/api/tasks/${task.id}/comments`).set(owner.auth).send({ body: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('body');
+  });
+
+  it('lets only the author edit a comment', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    const task = await createTask(owner, board.id);
+    const comment = await request(app).post(`/api/tasks/${task.id}/comments`).set(editor.auth).send({ body: 'Mine' });
+
+    const byAuthor = await request(app).put(`/api/tasks/${task.id}/comments/${comment.body.id}`).set(editor.auth).send({ body: 'Edited' });
+    const byOwner = await request(app).put(`/api/tasks/${task.id}/comments/${comment.body.id}`).set(owner.auth).send({ body: 'Hijacked' });
+
+    expect(byAuthor.status).toBe(200);
+    expect(byAuthor.body.body).toBe('Edited');
+    expect(byOwner.status).toBe(403);
+  });
+
+  it('lets the author or a board OWNER delete a comment', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    const task = await createTask(owner, board.id);
+    const ownerComment = await request(app).post(`/api/tasks/${task.id}/comments`).set(owner.auth).send({ body: 'Owner' });
+    const editorComment = await request(app).post(`/api/tasks/${task.id}/comments`).set(editor.auth).send({ body: 'Editor' });
+
+    const forbidden = await request(app).delete(`/api/tasks/${task.id}/comments/${ownerComment.body.id}`).set(editor.auth);
+    const moderated = await request(app).delete(`/api/tasks/${task.id}/comments/${editorComment.body.id}`).set(owner.auth);
+
+    expect(forbidden.status).toBe(403);
+    expect(moderated.status).toBe(200);
+    const list = await request(app).get(`/api/tasks/${task.id}/comments`).set(owner.auth);
+    expect(list.body.data.map((c) => c.body)).toEqual(['Owner']);
+  });
+
+  it('returns 404 for comments of other tasks and tasks the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    const other = await createTask(owner, board.id);
+    const comment = await request(app).post(`/api/tasks/${other.id}/comments`).set(owner.auth).send({ body: 'Elsewhere' });
+
+    expect((await request(app).put(`/api/tasks/${task.id}/comments/${comment.body.id}`).set(owner.auth).send({ body: 'x' })).status).toBe(404);
+    expect((await request(app).delete(`/api/tasks/${task.id}/comments/${comment.body.id}`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${task.id}/comments`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get('/api/tasks/999999/comments').set(owner.auth)).status).toBe(404);
+  });
+
+  it('lets VIEWERs read but not post', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const task = await createTask(owner, board.id);
+
+    expect((await request(app).get(`/api/tasks/${task.id}/comments`).set(viewer.auth)).status).toBe(200);
+    expect((await request(app).post(`/api/tasks/${task.id}/comments`).set(viewer.auth).send({ body: 'Hi' })).status).toBe(403);
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+describe('/api/tasks/:id/dependencies', () => {
+  it('links tasks both ways and unlinks them', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const blocker = await createTask(owner, board.id, { title: 'Blocker' });
+    const blocked = await createTask(owner, board.id, { title: 'Blocked' });
+
+    const created = await request(app).post(`/api/tasks/${blocked.id}/dependencies`).set(owner.auth).send({ blockerId: blocker.id });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ blockerId: blocker.id, blockedId: blocked.id, blocker: { title: 'Blocker' } });
+
+    const blockedSide = await request(app).get(`/api/tasks/${blocked.id}/dependencies`).set(owner.auth);
+    const blockerSide = await request(app).get(`/api/tasks/${blocker.id}/dependencies`).set(owner.auth);
+    expect(blockedSide.body.blockedBy.map((t) => t.id)).toEqual([blocker.id]);
+    expect(blockerSide.body).toMatchObject({ blockedBy: [], blocks: [{ id: blocked.id }] });
+
+    const removed = await request(app).delete(`/api/tasks/${blocked.id}/dependencies/${blocker.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect((await request(app).get(`/api/tasks/${blocked.id}/dependencies`).set(owner.auth)).body.blockedBy).toEqual([]);
+    expect((await request(app).delete(`/api/tasks/${blocked.id}/dependencies/${blocker.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('keeps a blocked task out of done statuses until its blockers are done', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const blocker = await createTask(owner, board.id);
+    const blocked = await createTask(owner, board.id);
+    await request(app).post(`/api/tasks/${blocked.id}/dependencies`).set(owner.auth).send({ blockerId: blocker.id });
+
+    const refused = await request(app).put(`/api/tasks/${blocked.id}`).set(owner.auth).send({ statusName: 'DONE' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.code).toBe('OPEN_BLOCKERS');
+    expect(refused.body.blockers.map((t) => t.id)).toEqual([blocker.id]);
+
+    await request(app).put(`/api/tasks/${blocker.id}`).set(owner.auth).send({ statusName: 'DONE' });
+    expect((await request(app).put(`/api/tasks/${blocked.id}`).set(owner.auth).send({ statusName: 'DONE' })).status).toBe(200);
+  });
+
+  it('rejects self links, duplicates, cycles and tasks of other boards', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const a = await createTask(owner, board.id);
+    const b = await createTask(owner, board.id);
+    const c = await createTask(owner, board.id);
+    const elsewhere = await createTask(owner, other.id);
+    await request(app).post(`/api/tasks/${b.id}/dependencies`).set(owner.auth).send({ blockerId: a.id });
+    await request(app).post(`/api/tasks/${c.id}/dependencies`).set(owner.auth).send({ blockerId: b.id });
+
+    const self = await request(app).post(`/api/tasks/${a.id}/dependencies`).set(owner.auth).send({ blockerId: a.id });
+    const duplicate = await request(app).post(`/api/tasks/${b.id}/dependencies`).set(owner.auth).send({ blockerId: a.id });
+    const cycle = await request(app).post(`/api/tasks/${a.id}/dependencies`).set(owner.auth).send({ blockerId: c.id });
+    const crossBoard = await request(app).post(`/api/tasks/${a.id}/dependencies`).set(owner.auth).send({ blockerId: elsewhere.id });
+    const missing = await request(app).post(`/api/tasks/${a.id}/dependencies`).set(owner.auth).send({ blockerId: 999999 });
+    const invalid = await request(app).post(`/api/tasks/${a.id}/dependencies`).set(owner.auth).send({});
+
+    expect(self.status).toBe(400);
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe('ALREADY_EXISTS');
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.code).toBe('DEPENDENCY_CYCLE');
+    expect(crossBoard.status).toBe(400);
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('returns 404 for tasks the caller cannot see and 403 to VIEWERs', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const a = await createTask(owner, board.id);
+    const b = await createTask(owner, board.id);
+
+    expect((await request(app).get(`/api/tasks/${a.id}/dependencies`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${a.id}/dependencies`).set(viewer.auth)).status).toBe(200);
+    expect((await request(app).post(`/api/tasks/${a.id}/dependencies`).set(viewer.auth).send({ blockerId: b.id })).status).toBe(403);
+  });
+});
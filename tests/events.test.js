@@ -0,0 +1,158 @@
+const http = require('http');
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+/**
+ * Helper: open a board's event stream on a real socket (supertest buffers the whole body).
+ * Resolves with { events, waitFor(type), ended, close() } once the `ready` event has arrived;
+ * `ended` resolves when the server ends the stream.
+ */
+function openStream(server, user, boardId) {
+  const { port } = server.address();
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: `/api/boards/${boardId}/events`, headers: user.auth }, (res) => {
+      if (res.statusCode !== 200) {
+        reject(new Error(`Event stream returned ${res.statusCode}`));
+        res.resume();
+        return;
+      }
+      res.setEncoding('utf8');
+      const ended = new Promise((done) => { res.on('end', done); });
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end = buffer.indexOf('\n\n');
+        while (end !== -1) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.+)$/m.exec(frame);
+          const data = /^data: (.+)$/m.exec(frame);
+          if (type) events.push({ type: type[1], data: JSON.parse(data[1]) });
+          end = buffer.indexOf('\n\n');
+        }
+        waiters.splice(0).forEach((check) => check());
+      });
+
+      const stream = {
+        events,
+        waitFor(type) {
+          return new Promise((done) => {
+            const check = () => {
+              const event = events.find((e) => e.type === type);
+              if (event) done(event);
+              else waiters.push(check);
+            };
+            check();
+          });
+        },
+        ended,
+        close() {
+          req.destroy();
+        },
+      };
+      stream.waitFor('ready').then(() => resolve(stream));
+    });
+    req.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') reject(err);
+    });
+  });
+}
+
+describe('GET /api/boards/:id/events', () => {
+  let server;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  it('streams the changes made to the board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const stream = await openStream(server, owner, board.id);
+
+    try {
+      expect(stream.events[0]).toEqual({ type: 'ready', data: { boardId: board.id } });
+
+      const task = await createTask(owner, board.id, { title: 'Live' });
+      const created = await stream.waitFor('task.created');
+      expect(created.data).toMatchObject({ type: 'task.created', boardId: board.id, data: { id: task.id, title: 'Live' } });
+
+      await request(app).delete(`/api/tasks/${task.id}`).set(owner.auth);
+      const deleted = await stream.waitFor('task.deleted');
+      expect(deleted.data.data.id).toBe(task.id);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('ends the stream of a member who is removed, and keeps the others open', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const ownerStream = await openStream(server, owner, board.id);
+    const viewerStream = await openStream(server, viewer, board.id);
+
+    try {
+      await request(app).delete(`/api/boards/${board.id}/members/${viewer.id}`).set(owner.auth);
+      await viewerStream.ended;
+      expect(viewerStream.events.map((e) => e.type)).toEqual(['ready', 'member.removed']);
+
+      await createTask(owner, board.id, { title: 'After removal' });
+      await ownerStream.waitFor('task.created');
+      expect(viewerStream.events.map((e) => e.type)).not.toContain('task.created');
+    } finally {
+      ownerStream.close();
+      viewerStream.close();
+    }
+  });
+
+  it('announces the tasks unassigned from a removed member', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    const task = await createTask(owner, board.id, { assigneeId: editor.id });
+    const stream = await openStream(server, owner, board.id);
+
+    try {
+      await request(app).delete(`/api/boards/${board.id}/members/${editor.id}`).set(owner.auth);
+      const updated = await stream.waitFor('task.updated');
+      expect(updated.data.data).toMatchObject({ id: task.id, assigneeId: null, version: task.version + 1 });
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('ends the streams of a board that is moved to the trash', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const stream = await openStream(server, owner, board.id);
+
+    try {
+      await request(app).delete(`/api/boards/${board.id}`).set(owner.auth);
+      await stream.ended;
+      expect(stream.events.map((e) => e.type)).toEqual(['ready', 'board.deleted']);
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('returns 404 to non-members', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const res = await request(app).get(`/api/boards/${board.id}/events`).set(stranger.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
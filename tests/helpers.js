@@ -0,0 +1,84 @@
+/**
+ * tests/helpers.js
+ *
+ * Shared helpers for the integration tests: the app under test, a clean database per test file,
+ * and shortcuts for the setup most tests need (users, boards, members, tasks).
+ * Requests go through the real routes, so the data they create is exactly what clients would get.
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { prisma } = require('../utils/prisma');
+
+const PASSWORD = 'correct-horse-battery';
+
+let userCount = 0;
+
+/**
+ * Empty every table (the migrations history excepted) and restart the id sequences.
+ */
+async function resetDatabase() {
+  const tables = await prisma.$queryRaw`
+    SELECT tablename::text AS tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> '_prisma_migrations'`;
+  const list = tables.map((t) => `"${t.tablename}"`).join(', ');
+  await prisma.$executeRawUnsafe(`TRUNCATE ${list} RESTART IDENTITY CASCADE`);
+}
+
+/**
+ * Helper: fail with the response body when a setup request does not get the expected status.
+ */
+function expectStatus(res, status) {
+  if (res.status !== status) {
+    throw new Error(`${res.req.method} ${res.req.path} returned ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+}
+
+/**
+ * Register a user. Returns the public user plus `token` and `auth`, the header to send with requests.
+ */
+async function createUser(name = 'user') {
+  userCount += 1;
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}${userCount}@example.com`, password: PASSWORD, name });
+  const { user, accessToken } = expectStatus(res, 201);
+  return { ...user, token: accessToken, auth: { Authorization: `Bearer ${accessToken}` } };
+}
+
+/**
+ * Create a board owned by `owner` (with the default TODO / IN_PROGRESS / DONE statuses).
+ */
+async function createBoard(owner, name = `Board ${Date.now()}-${Math.random()}`) {
+  const res = await request(app).post('/api/boards').set(owner.auth).send({ name });
+  return expectStatus(res, 201);
+}
+
+/**
+ * Add `user` to a board with `role`.
+ */
+async function addMember(owner, boardId, user, role) {
+  const res = await request(app).post(`/api/boards/${boardId}/members`).set(owner.auth).send({ email: user.email, role });
+  return expectStatus(res, 201);
+}
+
+/**
+ * Create a task on a board.
+ */
+async function createTask(user, boardId, fields = {}) {
+  const res = await request(app).post('/api/tasks').set(user.auth).send({ title: 'Task', boardId, ...fields });
+  return expectStatus(res, 201);
+}
+
+module.exports = {
+  app,
+  request,
+  prisma,
+  PASSWORD,
+  resetDatabase,
+  expectStatus,
+  createUser,
+  createBoard,
+  addMember,
+  createTask,
+};
@@ -0,0 +1,88 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+/**
+ * Helper: create a label on a board.
+ */
+async function createLabel(user, boardId, fields) {
+  const res = await request(app).post(`/api/boards/${boardId}/labels`).set(user.auth).send(fields);
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+describe('board labels', () => {
+  it('creates labels and lists them alphabetically', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    await createLabel(owner, board.id, { name: 'urgent', color: '#ff0000' });
+    await createLabel(owner, board.id, { name: 'bug' });
+
+    const res = await request(app).get(`/api/boards/${board.id}/labels`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((l) => [l.name, l.color])).toEqual([['bug', null], ['urgent', '#ff0000']]);
+  });
+
+  it('rejects duplicate names and invalid colors', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    await createLabel(owner, board.id, { name: 'bug' });
+
+    const duplicate = await request(app).post(`/api/boards/${board.id}/labels`).set(owner.auth).send({ name: 'bug' });
+    const invalid = await request(app).post(`/api/boards/${board.id}/labels`).set(owner.auth).send({ name: 'red', color: 'red' });
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe('ALREADY_EXISTS');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].field).toBe('color');
+  });
+
+  it('updates a label', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const label = await createLabel(owner, board.id, { name: 'bug' });
+    await createLabel(owner, board.id, { name: 'feature' });
+
+    const renamed = await request(app).put(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth).send({ name: 'defect', color: '#00ff00' });
+    const taken = await request(app).put(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth).send({ name: 'feature' });
+    const empty = await request(app).put(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth).send({});
+
+    expect(renamed.status).toBe(200);
+    expect(renamed.body).toMatchObject({ name: 'defect', color: '#00ff00' });
+    expect(taken.status).toBe(409);
+    expect(empty.status).toBe(400);
+  });
+
+  it('removes a deleted label from its tasks', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const label = await createLabel(owner, board.id, { name: 'bug' });
+    const task = await createTask(owner, board.id, { labelIds: [label.id] });
+
+    const res = await request(app).delete(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).body.labels).toEqual([]);
+  });
+
+  it('returns 404 for labels of other boards', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const label = await createLabel(owner, other.id, { name: 'bug' });
+
+    expect((await request(app).put(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth).send({ name: 'x' })).status).toBe(404);
+    expect((await request(app).delete(`/api/boards/${board.id}/labels/${label.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('lets VIEWERs read labels but not manage them', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+
+    expect((await request(app).get(`/api/boards/${board.id}/labels`).set(viewer.auth)).status).toBe(200);
+    expect((await request(app).post(`/api/boards/${board.id}/labels`).set(viewer.auth).send({ name: 'bug' })).status).toBe(403);
+  });
+});
@@ -0,0 +1,90 @@
+const net = require('net');
+const { createSmtpTransport, formatMessage } = require('../utils/mailer');
+
+/**
+ * Helper: a minimal SMTP server on a free port. `onCommand(line, socket)` handles every line
+ * (outside DATA); the message sent with DATA is collected in `messages`.
+ */
+async function smtpServer(onCommand) {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end = buffer.indexOf('\r\n');
+      while (end !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (line === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else {
+          onCommand(line, socket);
+        }
+        end = buffer.indexOf('\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+  return { server, messages, port: server.address().port };
+}
+
+describe('utils/mailer', () => {
+  it('keeps header values on one line and encodes non-ASCII text', () => {
+    const message = formatMessage({
+      from: 'Task Manager <no-reply@localhost>',
+      to: 'Eve\r\nBcc: victim@example.com <eve@example.com>',
+      subject: 'Overdue: x\r\nBcc: someone@example.com',
+      text: 'Body',
+    });
+    const headers = message.split('\r\n\r\n')[0].split('\r\n');
+
+    expect(headers.filter((h) => /^bcc:/i.test(h))).toEqual([]);
+    expect(headers).toContain('To: "Eve Bcc: victim@example.com" <eve@example.com>');
+    expect(headers).toContain('Subject: Overdue: x Bcc: someone@example.com');
+
+    const encoded = formatMessage({ from: 'a@localhost', to: 'Zoë <zoe@example.com>', subject: 'Due soon: café', text: '' });
+    expect(encoded).toContain(`To: =?UTF-8?B?${Buffer.from('Zoë').toString('base64')}?= <zoe@example.com>\r\n`);
+    expect(encoded).toContain(`Subject: =?UTF-8?B?${Buffer.from('Due soon: café').toString('base64')}?=\r\n`);
+  });
+
+  it('sends a message over SMTP', async () => {
+    const { server, messages, port } = await smtpServer((line, socket) => {
+      socket.write(line === 'QUIT' ? '221 bye\r\n' : '250 ok\r\n');
+    });
+    try {
+      await createSmtpTransport({ host: '127.0.0.1', port }).send({
+        from: 'no-reply@localhost', to: 'Ann <ann@example.com>', subject: 'Hello', text: 'Hi\n.dot',
+      });
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toContain('Subject: Hello');
+      expect(messages[0]).toMatch(/\r\n\r\nHi\r\n\.\.dot$/);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects when the server closes the connection mid-conversation', async () => {
+    const { server, port } = await smtpServer((line, socket) => {
+      if (line.startsWith('RCPT')) socket.end();
+      else socket.write('250 ok\r\n');
+    });
+    try {
+      await expect(createSmtpTransport({ host: '127.0.0.1', port }).send({
+        from: 'no-reply@localhost', to: 'ann@example.com', subject: 'Hello', text: 'Hi',
+      })).rejects.toThrow(/closed unexpectedly/);
+    } finally {
+      server.close();
+    }
+  });
+});
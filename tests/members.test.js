@@ -0,0 +1,173 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+describe('GET /api/boards/:id/members', () => {
+  it('lists the members of the board to any member', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+
+    const res = await request(app).get(`/api/boards/${board.id}/members`).set(viewer.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((m) => [m.userId, m.role])).toEqual(expect.arrayContaining([[owner.id, 'OWNER'], [viewer.id, 'VIEWER']]));
+    expect(res.body[0].user).not.toHaveProperty('passwordHash');
+  });
+
+  it('returns 404 to non-members', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    expect((await request(app).get(`/api/boards/${board.id}/members`).set(stranger.auth)).status).toBe(404);
+  });
+});
+
+describe('POST /api/boards/:id/members', () => {
+  it('adds a registered user by email, as EDITOR by default', async () => {
+    const owner = await createUser('owner');
+    const invitee = await createUser('invitee');
+    const board = await createBoard(owner);
+
+    const res = await request(app).post(`/api/boards/${board.id}/members`).set(owner.auth).send({ email: invitee.email.toUpperCase() });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ userId: invitee.id, role: 'EDITOR' });
+    expect((await request(app).get(`/api/boards/${board.id}`).set(invitee.auth)).status).toBe(200);
+  });
+
+  it('rejects existing members, unknown users and invalid roles', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const duplicate = await request(app).post(`/api/boards/${board.id}/members`).set(owner.auth).send({ email: editor.email });
+    const unknown = await request(app).post(`/api/boards/${board.id}/members`).set(owner.auth).send({ email: 'nobody@example.com' });
+    const invalid = await request(app).post(`/api/boards/${board.id}/members`).set(owner.auth).send({ email: editor.email, role: 'ADMIN' });
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe('ALREADY_EXISTS');
+    expect(unknown.status).toBe(404);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].field).toBe('role');
+  });
+
+  it('is reserved to OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const invitee = await createUser('invitee');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const res = await request(app).post(`/api/boards/${board.id}/members`).set(editor.auth).send({ email: invitee.email });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/boards/:id/members/:userId', () => {
+  it("changes a member's role", async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const res = await request(app).put(`/api/boards/${board.id}/members/${editor.id}`).set(owner.auth).send({ role: 'VIEWER' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.role).toBe('VIEWER');
+    expect((await request(app).post('/api/tasks').set(editor.auth).send({ title: 'T', boardId: board.id })).status).toBe(403);
+  });
+
+  it('keeps at least one OWNER', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).put(`/api/boards/${board.id}/members/${owner.id}`).set(owner.auth).send({ role: 'EDITOR' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('LAST_OWNER');
+  });
+
+  it('returns 404 for non-members and 400 without a role', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const missing = await request(app).put(`/api/boards/${board.id}/members/${stranger.id}`).set(owner.auth).send({ role: 'VIEWER' });
+    const invalid = await request(app).put(`/api/boards/${board.id}/members/${stranger.id}`).set(owner.auth).send({});
+
+    expect(missing.status).toBe(404);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/boards/:id/members/:userId', () => {
+  it('lets OWNERs remove members and members leave', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    await addMember(owner, board.id, viewer, 'VIEWER');
+
+    const removed = await request(app).delete(`/api/boards/${board.id}/members/${editor.id}`).set(owner.auth);
+    const left = await request(app).delete(`/api/boards/${board.id}/members/${viewer.id}`).set(viewer.auth);
+
+    expect(removed.status).toBe(200);
+    expect(left.status).toBe(200);
+    expect((await request(app).get(`/api/boards/${board.id}`).set(editor.auth)).status).toBe(404);
+    const members = await request(app).get(`/api/boards/${board.id}/members`).set(owner.auth);
+    expect(members.body.map((m) => m.userId)).toEqual([owner.id]);
+  });
+
+  it("unassigns the removed member from the board's tasks only", async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    await addMember(owner, other.id, editor, 'EDITOR');
+    const task = await createTask(owner, board.id, { assigneeId: editor.id });
+    const elsewhere = await createTask(owner, other.id, { assigneeId: editor.id });
+
+    await request(app).delete(`/api/boards/${board.id}/members/${editor.id}`).set(owner.auth);
+
+    const unassigned = await request(app).get(`/api/tasks/${task.id}`).set(owner.auth);
+    expect(unassigned.body).toMatchObject({ assigneeId: null, version: task.version + 1 });
+    expect((await request(app).get(`/api/tasks/${elsewhere.id}`).set(owner.auth)).body.assigneeId).toBe(editor.id);
+
+    const activity = await request(app).get(`/api/tasks/${task.id}/activity`).set(owner.auth);
+    expect(activity.body.data.map((a) => a.action)).toEqual(['CREATED', 'UPDATED']);
+    expect(activity.body.data[1]).toMatchObject({
+      actor: { id: owner.id },
+      changes: { assigneeId: { from: editor.id, to: null } },
+    });
+  });
+
+  it('does not let non-OWNERs remove others or the last OWNER leave', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const forbidden = await request(app).delete(`/api/boards/${board.id}/members/${owner.id}`).set(editor.auth);
+    const lastOwner = await request(app).delete(`/api/boards/${board.id}/members/${owner.id}`).set(owner.auth);
+
+    expect(forbidden.status).toBe(403);
+    expect(lastOwner.status).toBe(409);
+  });
+
+  it('returns 404 for non-members', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const res = await request(app).delete(`/api/boards/${board.id}/members/${stranger.id}`).set(owner.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  app, request, createUser, createBoard, createTask,
+} = require('./helpers');
+
+describe('GET /api/boards/:id/metrics', () => {
+  it('reports the current distribution, completions and flow of the board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const [todo, inProgress, done] = board.statuses;
+    const finished = await createTask(owner, board.id);
+    await createTask(owner, board.id);
+    await request(app).put(`/api/tasks/${finished.id}/move`).set(owner.auth).send({ statusId: inProgress.id });
+    await request(app).put(`/api/tasks/${finished.id}/move`).set(owner.auth).send({ statusId: done.id });
+
+    const res = await request(app).get(`/api/boards/${board.id}/metrics?granularity=week`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.boardId).toBe(board.id);
+    expect(res.body.granularity).toBe('week');
+    expect(res.body.statuses.map((s) => s.id)).toEqual([todo.id, inProgress.id, done.id]);
+    expect(res.body.current).toEqual({ counts: [1, 0, 1], noStatus: 0 });
+    expect(res.body.cumulativeFlow[res.body.cumulativeFlow.length - 1]).toMatchObject({ counts: [1, 0, 1] });
+    expect(res.body.throughput.reduce((sum, w) => sum + w.completed, 0)).toBe(1);
+    expect(res.body.leadTime).toMatchObject({ count: 1 });
+    expect(res.body.cycleTime).toMatchObject({ count: 1 });
+  });
+
+  it('rejects an empty or too long range and unknown granularities', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const reversed = await request(app).get(`/api/boards/${board.id}/metrics?from=2026-02-01&to=2026-01-01`).set(owner.auth);
+    const tooLong = await request(app).get(`/api/boards/${board.id}/metrics?from=2020-01-01&to=2026-01-01`).set(owner.auth);
+    const granularity = await request(app).get(`/api/boards/${board.id}/metrics?granularity=hour`).set(owner.auth);
+
+    expect(reversed.status).toBe(400);
+    expect(tooLong.status).toBe(400);
+    expect(granularity.status).toBe(400);
+  });
+
+  it('returns 404 for boards the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    expect((await request(app).get(`/api/boards/${board.id}/metrics`).set(stranger.auth)).status).toBe(404);
+  });
+});
@@ -0,0 +1,99 @@
+const {
+  app, request, prisma, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { processDueReminders } = require('../jobs/sendDueReminders');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('due reminders and /api/notifications', () => {
+  let owner;
+  let assignee;
+  let overdue;
+
+  beforeAll(async () => {
+    owner = await createUser('owner');
+    assignee = await createUser('assignee');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, assignee, 'EDITOR');
+    overdue = await createTask(owner, board.id, { title: 'Late', dueDate: new Date(Date.now() - HOUR).toISOString() });
+    await createTask(owner, board.id, {
+      title: 'Soon', assigneeId: assignee.id, dueDate: new Date(Date.now() + HOUR).toISOString(),
+    });
+    await createTask(owner, board.id, { title: 'Far away', dueDate: new Date(Date.now() + 100 * HOUR).toISOString() });
+  });
+
+  it('fires each reminder once', async () => {
+    expect(await processDueReminders()).toMatchObject({ fired: 2 });
+    expect(await processDueReminders()).toMatchObject({ fired: 0 });
+  });
+
+  it('notifies the assignee, or the OWNERs of unassigned tasks', async () => {
+    const ownerList = await request(app).get('/api/notifications').set(owner.auth);
+    const assigneeList = await request(app).get('/api/notifications').set(assignee.auth);
+
+    expect(ownerList.status).toBe(200);
+    expect(ownerList.body.data.map((n) => [n.type, n.title])).toEqual([['TASK_OVERDUE', 'Late']]);
+    expect(ownerList.body.unreadCount).toBe(1);
+    expect(assigneeList.body.data.map((n) => [n.type, n.title])).toEqual([['TASK_DUE_SOON', 'Soon']]);
+  });
+
+  it('marks one notification as read, and only the caller\'s own', async () => {
+    const list = await request(app).get('/api/notifications').set(owner.auth);
+    const [notification] = list.body.data;
+    expect(notification.taskId).toBe(overdue.id);
+
+    const someoneElse = await request(app).post(`/api/notifications/${notification.id}/read`).set(assignee.auth);
+    const read = await request(app).post(`/api/notifications/${notification.id}/read`).set(owner.auth);
+
+    expect(someoneElse.status).toBe(404);
+    expect(read.status).toBe(200);
+    expect(read.body.readAt).not.toBeNull();
+
+    const unread = await request(app).get('/api/notifications?unread=true').set(owner.auth);
+    expect(unread.body).toMatchObject({ data: [], unreadCount: 0 });
+  });
+
+  it('marks all notifications as read', async () => {
+    const res = await request(app).post('/api/notifications/read-all').set(assignee.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ updated: 1 });
+    expect((await request(app).get('/api/notifications').set(assignee.auth)).body.unreadCount).toBe(0);
+  });
+
+  it('returns 404 for missing notifications and 400 for invalid queries', async () => {
+    expect((await request(app).post('/api/notifications/999999/read').set(owner.auth)).status).toBe(404);
+    expect((await request(app).get('/api/notifications?unread=maybe').set(owner.auth)).status).toBe(400);
+  });
+});
+
+describe('due reminders job', () => {
+  afterEach(async () => {
+    await prisma.$executeRawUnsafe('DROP TRIGGER IF EXISTS "reject_reminder" ON "TaskReminder"');
+    await prisma.$executeRawUnsafe('DROP FUNCTION IF EXISTS reject_reminder()');
+  });
+
+  it('keeps firing the other reminders when one keeps failing', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const broken = await createTask(owner, board.id, { title: 'Broken', dueDate: new Date(Date.now() - 2 * HOUR).toISOString() });
+    await createTask(owner, board.id, { title: 'Fine', dueDate: new Date(Date.now() - HOUR).toISOString() });
+
+    // The earliest due reminder fails on every run, as a row with a dangling reference would
+    await prisma.$executeRawUnsafe(`
+      CREATE FUNCTION reject_reminder() RETURNS trigger AS $$
+      BEGIN
+        IF NEW."taskId" = ${broken.id} THEN RAISE EXCEPTION 'broken reminder'; END IF;
+        RETURN NEW;
+      END $$ LANGUAGE plpgsql`);
+    await prisma.$executeRawUnsafe(`
+      CREATE TRIGGER "reject_reminder" BEFORE INSERT ON "TaskReminder"
+      FOR EACH ROW EXECUTE FUNCTION reject_reminder()`);
+
+    expect(await processDueReminders()).toMatchObject({ fired: 1, failed: 1 });
+    expect(await processDueReminders()).toMatchObject({ fired: 0, failed: 1 });
+
+    const list = await request(app).get('/api/notifications').set(owner.auth);
+    expect(list.body.data.map((n) => n.title)).toEqual(['Fine']);
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { generateRecurringTasks } = require('../jobs/generateRecurringTasks');
+
+describe('/api/tasks/:id/recurrence', () => {
+  it('makes a task recurring, changes the rule and stops the series', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { dueDate: '2030-01-07T09:00:00.000Z' });
+
+    const created = await request(app).put(`/api/tasks/${task.id}/recurrence`).set(owner.auth).send({ rule: 'freq=weekly;byday=th,mo' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ rule: 'FREQ=WEEKLY;BYDAY=MO,TH', stoppedAt: null });
+
+    const changed = await request(app).put(`/api/tasks/${task.id}/recurrence`).set(owner.auth).send({ rule: 'FREQ=DAILY' });
+    expect(changed.status).toBe(200);
+    expect(changed.body).toMatchObject({ id: created.body.id, rule: 'FREQ=DAILY' });
+
+    const read = await request(app).get(`/api/tasks/${task.id}/recurrence`).set(owner.auth);
+    expect(read.body.rule).toBe('FREQ=DAILY');
+
+    const stopped = await request(app).delete(`/api/tasks/${task.id}/recurrence`).set(owner.auth);
+    expect(stopped.status).toBe(200);
+    expect(stopped.body.stoppedAt).not.toBeNull();
+  });
+
+  it('generates the next occurrence when the current one is done', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Standup', dueDate: '2030-01-07T09:00:00.000Z', recurrence: 'FREQ=DAILY' });
+
+    await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusName: 'DONE' });
+
+    const series = await request(app).get(`/api/tasks?seriesId=${task.seriesId}&sortBy=id&order=asc`).set(owner.auth);
+    expect(series.body.data.map((t) => [t.title, t.dueDate])).toEqual([
+      ['Standup', '2030-01-07T09:00:00.000Z'],
+      ['Standup', '2030-01-08T09:00:00.000Z'],
+    ]);
+    expect(series.body.data[1].status.name).toBe('TODO');
+  });
+
+  it('generates occurrences past their due date from the job', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Report', dueDate: '2030-01-07T09:00:00.000Z', recurrence: 'FREQ=WEEKLY' });
+
+    expect(await generateRecurringTasks(new Date('2030-01-06T00:00:00.000Z'))).toBe(0);
+    expect(await generateRecurringTasks(new Date('2030-01-08T00:00:00.000Z'))).toBe(1);
+
+    const series = await request(app).get(`/api/tasks?seriesId=${task.seriesId}&sortBy=id&order=asc`).set(owner.auth);
+    expect(series.body.data.map((t) => t.dueDate)).toEqual(['2030-01-07T09:00:00.000Z', '2030-01-14T09:00:00.000Z']);
+  });
+
+  it('rejects invalid rules and tasks without a due date', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const invalid = await request(app).put(`/api/tasks/${task.id}/recurrence`).set(owner.auth).send({ rule: 'FREQ=HOURLY' });
+    const noDueDate = await request(app).put(`/api/tasks/${task.id}/recurrence`).set(owner.auth).send({ rule: 'FREQ=DAILY' });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].field).toBe('rule');
+    expect(noDueDate.status).toBe(400);
+  });
+
+  it('returns 404 for tasks that are not recurring or not visible, and 403 to VIEWERs', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const plain = await createTask(owner, board.id);
+    const recurring = await createTask(owner, board.id, { dueDate: '2030-01-07T09:00:00.000Z', recurrence: 'FREQ=DAILY' });
+
+    expect((await request(app).get(`/api/tasks/${plain.id}/recurrence`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).delete(`/api/tasks/${plain.id}/recurrence`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${recurring.id}/recurrence`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${recurring.id}/recurrence`).set(viewer.auth)).status).toBe(200);
+    expect((await request(app).delete(`/api/tasks/${recurring.id}/recurrence`).set(viewer.auth)).status).toBe(403);
+  });
+});
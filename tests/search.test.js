@@ -0,0 +1,69 @@
+const {
+  app, request, createUser, createBoard, createTask,
+} = require('./helpers');
+
+describe('GET /api/search', () => {
+  let owner;
+  let board;
+  let invoice;
+
+  beforeAll(async () => {
+    owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    board = await createBoard(owner, 'Billing');
+    const other = await createBoard(owner, 'Invoices archive');
+    const foreign = await createBoard(stranger, 'Foreign');
+    invoice = await createTask(owner, board.id, { title: 'Send R&D invoices', description: 'Monthly invoices for clients' });
+    await createTask(owner, board.id, { title: 'Pay rent', description: 'Landlord' });
+    await createTask(owner, other.id, { title: 'Archive invoice', statusName: 'DONE' });
+    await createTask(stranger, foreign.id, { title: 'Their invoice' });
+  });
+
+  it('finds tasks and boards of the caller, grouped by board with highlights', async () => {
+    const res = await request(app).get('/api/search?q=invoice').set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.query).toBe('invoice');
+    expect(res.body.total).toBe(2);
+    const titles = res.body.data.flatMap((g) => g.tasks.map((t) => t.title));
+    expect(titles.sort()).toEqual(['Archive invoice', 'Send R&D invoices']);
+
+    const billing = res.body.data.find((g) => g.board.id === board.id);
+    const [hit] = billing.tasks;
+    expect(hit.id).toBe(invoice.id);
+    expect(hit.highlights.title).toBe('Send R&amp;D <mark>invoices</mark>');
+    expect(hit.highlights.description).toContain('Monthly <mark>invoices</mark>');
+
+    const archive = res.body.data.find((g) => g.board.name === 'Invoices archive');
+    expect(archive.board.highlight).toBe('<mark>Invoices</mark> archive');
+  });
+
+  it('narrows the search to a board and a status', async () => {
+    const inBoard = await request(app).get(`/api/search?q=invoice&boardId=${board.id}`).set(owner.auth);
+    const inStatus = await request(app).get(`/api/search?q=invoice&statusId=${board.statuses[0].id}`).set(owner.auth);
+
+    expect(inBoard.body.data.map((g) => g.board.id)).toEqual([board.id]);
+    expect(inStatus.body.total).toBe(1);
+    expect(inStatus.body.data.map((g) => g.board.id)).toEqual([board.id]);
+  });
+
+  it('counts every matching task in total, beyond the limit', async () => {
+    const res = await request(app).get('/api/search?q=invoice&limit=1').set(owner.auth);
+
+    expect(res.body.total).toBe(2);
+    expect(res.body.data.flatMap((g) => g.tasks)).toHaveLength(1);
+  });
+
+  it('supports excluded words', async () => {
+    const res = await request(app).get('/api/search?q=invoice -archive').set(owner.auth);
+
+    expect(res.body.data.flatMap((g) => g.tasks.map((t) => t.id))).toEqual([invoice.id]);
+  });
+
+  it('requires a query', async () => {
+    const res = await request(app).get('/api/search?q=').set(owner.auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'query', field: 'q' });
+  });
+});
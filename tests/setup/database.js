@@ -0,0 +1,13 @@
+/**
+ * tests/setup/database.js
+ *
+ * Runs around every test file: each file starts from an empty database, and its Prisma client
+ * (one per file, as Jest gives each file its own module registry) is disconnected at the end.
+ */
+
+const { resetDatabase } = require('../helpers');
+const { prisma } = require('../../utils/prisma');
+
+beforeAll(resetDatabase);
+
+afterAll(() => prisma.$disconnect());
@@ -0,0 +1,16 @@
+/**
+ * tests/setup/globalTeardown.js
+ *
+ * Stops the PostgreSQL server started by globalSetup.js and removes the files uploaded during the run.
+ */
+
+const fs = require('fs');
+
+module.exports = async () => {
+  if (globalThis.__POSTGRES__) {
+    await globalThis.__POSTGRES__.stop();
+  }
+  if (globalThis.__UPLOADS_DIR__) {
+    fs.rmSync(globalThis.__UPLOADS_DIR__, { recursive: true, force: true });
+  }
+};
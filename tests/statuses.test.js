@@ -0,0 +1,422 @@
+const {
+  app, request, prisma, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+/**
+ * Helper: a board's statuses as [name, position] pairs, in column order.
+ */
+async function columns(user, boardId) {
+  const res = await request(app).get(`/api/boards/${boardId}/statuses`).set(user.auth);
+  return res.body.map((s) => [s.name, s.position]);
+}
+
+/**
+ * Helper: a board whose transitions make IN_PROGRESS mandatory (TODO -> IN_PROGRESS -> DONE).
+ * Returns the board with its statuses as { todo, inProgress, done }.
+ */
+async function workflowBoard(owner) {
+  const board = await createBoard(owner);
+  const [todo, inProgress, done] = board.statuses;
+  for (const [from, to] of [[todo, inProgress], [inProgress, done]]) {
+    await request(app).post('/api/statuses/transitions').set(owner.auth).send({ fromStatusId: from.id, toStatusId: to.id });
+  }
+  return { board, todo, inProgress, done };
+}
+
+describe('GET /api/boards/:id/statuses', () => {
+  it("lists the board's statuses in column order", async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).get(`/api/boards/${board.id}/statuses`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((s) => [s.name, s.position, s.isDone])).toEqual([
+      ['TODO', 0, false], ['IN_PROGRESS', 1, false], ['DONE', 2, true],
+    ]);
+  });
+
+  it('returns 404 for a board the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+
+    const res = await request(app).get(`/api/boards/${board.id}/statuses`).set(stranger.auth);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/boards/:id/statuses', () => {
+  it('appends a status as the last column', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app)
+      .post(`/api/boards/${board.id}/statuses`)
+      .set(owner.auth)
+      .send({ name: 'REVIEW', color: '#ff8800', wipLimit: 2 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'REVIEW', position: 3, color: '#ff8800', wipLimit: 2 });
+    expect(res.headers.etag).toBe(`"${res.body.version}"`);
+  });
+
+  it('inserts a status at a position and shifts the columns after it', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).post(`/api/boards/${board.id}/statuses`).set(owner.auth).send({ name: 'BACKLOG', position: 0 });
+
+    expect(res.status).toBe(201);
+    expect(await columns(owner, board.id)).toEqual([['BACKLOG', 0], ['TODO', 1], ['IN_PROGRESS', 2], ['DONE', 3]]);
+  });
+
+  it('rejects a name already used on the board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).post(`/api/boards/${board.id}/statuses`).set(owner.auth).send({ name: 'TODO' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_EXISTS');
+  });
+
+  it('validates the body', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app)
+      .post(`/api/boards/${board.id}/statuses`)
+      .set(owner.auth)
+      .send({ name: 'REVIEW', color: 'orange', wipLimit: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field).sort()).toEqual(['color', 'wipLimit']);
+  });
+
+  it('is reserved to OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const res = await request(app).post(`/api/boards/${board.id}/statuses`).set(editor.auth).send({ name: 'REVIEW' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/boards/:id/statuses/:statusId', () => {
+  it('renames and moves a status', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const done = board.statuses[2];
+
+    const res = await request(app)
+      .put(`/api/boards/${board.id}/statuses/${done.id}`)
+      .set(owner.auth)
+      .send({ name: 'SHIPPED', position: 0 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ name: 'SHIPPED', position: 0 });
+    expect(await columns(owner, board.id)).toEqual([['SHIPPED', 0], ['TODO', 1], ['IN_PROGRESS', 2]]);
+  });
+
+  it('rejects a stale version with the current status', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const todo = board.statuses[0];
+    await request(app).put(`/api/boards/${board.id}/statuses/${todo.id}`).set(owner.auth).send({ color: '#000000' });
+
+    const res = await request(app)
+      .put(`/api/boards/${board.id}/statuses/${todo.id}`)
+      .set(owner.auth)
+      .send({ name: 'NEXT', version: todo.version });
+
+    expect(res.status).toBe(412);
+    expect(res.body.current).toMatchObject({ id: todo.id, name: 'TODO', color: '#000000' });
+  });
+
+  it('returns 404 for a status of another board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+
+    const res = await request(app)
+      .put(`/api/boards/${board.id}/statuses/${other.statuses[0].id}`)
+      .set(owner.auth)
+      .send({ name: 'MINE' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('requires at least one field', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).put(`/api/boards/${board.id}/statuses/${board.statuses[0].id}`).set(owner.auth).send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/boards/:id/statuses/:statusId', () => {
+  it("unlinks the status's tasks, drops its transitions and closes the gap in the columns", async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const [todo, inProgress, done] = board.statuses;
+    const moved = await createTask(owner, board.id, { statusId: inProgress.id });
+    const untouched = await createTask(owner, board.id, { statusId: todo.id });
+    await request(app).post('/api/statuses/transitions').set(owner.auth).send({ fromStatusId: todo.id, toStatusId: inProgress.id });
+    await request(app).post('/api/statuses/transitions').set(owner.auth).send({ fromStatusId: inProgress.id, toStatusId: done.id });
+    const kept = await request(app).post('/api/statuses/transitions').set(owner.auth).send({ fromStatusId: todo.id, toStatusId: done.id });
+
+    const res = await request(app).delete(`/api/boards/${board.id}/statuses/${inProgress.id}`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(await columns(owner, board.id)).toEqual([['TODO', 0], ['DONE', 1]]);
+
+    const unlinked = await request(app).get(`/api/tasks/${moved.id}`).set(owner.auth);
+    expect(unlinked.status).toBe(200);
+    expect(unlinked.body.statusId).toBeNull();
+    expect(unlinked.body.version).toBe(moved.version + 1);
+    expect((await request(app).get(`/api/tasks/${untouched.id}`).set(owner.auth)).body.statusId).toBe(todo.id);
+
+    const transitions = await request(app).get(`/api/statuses/transitions?boardId=${board.id}`).set(owner.auth);
+    expect(transitions.body.map((t) => t.id)).toEqual([kept.body.id]);
+
+    // The unlinking is part of the board's status history
+    const history = await prisma.taskStatusChange.findMany({ where: { taskId: moved.id }, orderBy: { id: 'asc' } });
+    expect(history[history.length - 1]).toMatchObject({ toStatusId: null });
+  });
+
+  it('leaves other boards alone', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const task = await createTask(owner, other.id, { statusName: 'TODO' });
+
+    await request(app).delete(`/api/boards/${board.id}/statuses/${board.statuses[0].id}`).set(owner.auth);
+
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).body.statusId).toBe(other.statuses[0].id);
+    expect(await columns(owner, other.id)).toEqual([['TODO', 0], ['IN_PROGRESS', 1], ['DONE', 2]]);
+  });
+
+  it('returns 404 for a missing status and 403 for non-OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+
+    const missing = await request(app).delete(`/api/boards/${board.id}/statuses/999999`).set(owner.auth);
+    const forbidden = await request(app).delete(`/api/boards/${board.id}/statuses/${board.statuses[0].id}`).set(editor.auth);
+
+    expect(missing.status).toBe(404);
+    expect(forbidden.status).toBe(403);
+  });
+});
+
+describe('/api/statuses', () => {
+  it('lists the statuses of every board of the caller, or of one board', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const first = await createBoard(owner);
+    const second = await createBoard(owner);
+    await createBoard(stranger);
+
+    const all = await request(app).get('/api/statuses').set(owner.auth);
+    const one = await request(app).get(`/api/statuses?boardId=${second.id}`).set(owner.auth);
+
+    expect(all.status).toBe(200);
+    expect(all.body.map((s) => s.boardId)).toEqual([first.id, first.id, first.id, second.id, second.id, second.id]);
+    expect(one.body.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE']);
+  });
+
+  it('creates, updates and deletes a status with the board in the body', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const created = await request(app).post('/api/statuses').set(owner.auth).send({ boardId: board.id, name: 'QA' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ boardId: board.id, position: 3 });
+
+    const updated = await request(app)
+      .put(`/api/statuses/${created.body.id}`)
+      .set(owner.auth)
+      .set('If-Match', created.headers.etag)
+      .send({ isDone: true });
+    expect(updated.status).toBe(200);
+    expect(updated.body.isDone).toBe(true);
+
+    const deleted = await request(app).delete(`/api/statuses/${created.body.id}`).set(owner.auth);
+    expect(deleted.status).toBe(200);
+    expect((await request(app).put(`/api/statuses/${created.body.id}`).set(owner.auth).send({ name: 'X' })).status).toBe(404);
+    expect((await request(app).delete(`/api/statuses/${created.body.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('requires the board on create', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).post('/api/statuses').set(owner.auth).send({ name: 'QA' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('boardId');
+  });
+});
+
+describe('/api/statuses/transitions', () => {
+  it('restricts status changes to the configured transitions', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const [todo, inProgress, done] = board.statuses;
+    const task = await createTask(owner, board.id);
+
+    const created = await request(app)
+      .post('/api/statuses/transitions')
+      .set(owner.auth)
+      .send({ fromStatusId: todo.id, toStatusId: inProgress.id });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ from: { id: todo.id }, to: { id: inProgress.id } });
+
+    const skipped = await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: done.id });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.code).toBe('TRANSITION_NOT_ALLOWED');
+    expect(skipped.body.allowed).toEqual([{ id: inProgress.id, name: 'IN_PROGRESS' }]);
+
+    const list = await request(app).get(`/api/statuses/transitions?boardId=${board.id}`).set(owner.auth);
+    expect(list.body.map((t) => t.id)).toEqual([created.body.id]);
+
+    const removed = await request(app).delete(`/api/statuses/transitions/${created.body.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+    expect((await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: done.id })).status).toBe(200);
+  });
+
+  it('does not let a task skip a status by unlinking it first', async () => {
+    const owner = await createUser('owner');
+    const {
+      board, todo, inProgress, done,
+    } = await workflowBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const unlinked = await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: null });
+    expect(unlinked.status).toBe(409);
+    expect(unlinked.body).toMatchObject({
+      code: 'TRANSITION_NOT_ALLOWED',
+      from: { id: todo.id, name: 'TODO' },
+      to: null,
+      allowed: [{ id: inProgress.id, name: 'IN_PROGRESS' }],
+    });
+
+    // A task left without a status (e.g. when its status was deleted) may only re-enter the first one
+    await prisma.task.update({ where: { id: task.id }, data: { statusId: null } });
+    const skipped = await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: done.id });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body).toMatchObject({
+      from: null,
+      to: { id: done.id, name: 'DONE' },
+      allowed: [{ id: todo.id, name: 'TODO' }],
+    });
+    expect((await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: todo.id })).status).toBe(200);
+  });
+
+  it('applies the transitions to task moves', async () => {
+    const owner = await createUser('owner');
+    const {
+      board, todo, inProgress, done,
+    } = await workflowBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const skipped = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ statusId: done.id });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body).toMatchObject({
+      code: 'TRANSITION_NOT_ALLOWED',
+      from: { id: todo.id, name: 'TODO' },
+      to: { id: done.id, name: 'DONE' },
+      allowed: [{ id: inProgress.id, name: 'IN_PROGRESS' }],
+    });
+
+    const unlinked = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ statusId: null });
+    expect(unlinked.status).toBe(409);
+    expect(unlinked.body.to).toBeNull();
+
+    const moved = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ statusId: inProgress.id });
+    expect(moved.status).toBe(200);
+    expect(moved.body.statusId).toBe(inProgress.id);
+  });
+
+  it('only lets tasks enter the first status when created or moved in from another board', async () => {
+    const owner = await createUser('owner');
+    const { board, todo, done } = await workflowBoard(owner);
+    const other = await createBoard(owner);
+
+    const created = await request(app).post('/api/tasks').set(owner.auth).send({ title: 'Task', boardId: board.id, statusId: done.id });
+    expect(created.status).toBe(409);
+    expect(created.body).toMatchObject({ from: null, to: { id: done.id }, allowed: [{ id: todo.id, name: 'TODO' }] });
+    expect((await createTask(owner, board.id)).statusId).toBe(todo.id);
+
+    const outside = await createTask(owner, other.id, { statusName: 'DONE' });
+    const movedIn = await request(app)
+      .put(`/api/tasks/${outside.id}/move`)
+      .set(owner.auth)
+      .send({ boardId: board.id, statusId: done.id });
+    expect(movedIn.status).toBe(409);
+    expect(movedIn.body).toMatchObject({ from: null, allowed: [{ id: todo.id }] });
+
+    const sameName = await request(app).put(`/api/tasks/${outside.id}`).set(owner.auth).send({ boardId: board.id });
+    expect(sameName.status).toBe(409);
+    expect((await request(app).put(`/api/tasks/${outside.id}`).set(owner.auth).send({ boardId: board.id, statusId: todo.id })).status).toBe(200);
+  });
+
+  it('rejects duplicate, looping and cross-board transitions', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const [todo, inProgress] = board.statuses;
+    const body = { fromStatusId: todo.id, toStatusId: inProgress.id };
+    await request(app).post('/api/statuses/transitions').set(owner.auth).send(body);
+
+    const duplicate = await request(app).post('/api/statuses/transitions').set(owner.auth).send(body);
+    const loop = await request(app).post('/api/statuses/transitions').set(owner.auth).send({ fromStatusId: todo.id, toStatusId: todo.id });
+    const crossBoard = await request(app)
+      .post('/api/statuses/transitions')
+      .set(owner.auth)
+      .send({ fromStatusId: todo.id, toStatusId: other.statuses[1].id });
+
+    expect(duplicate.status).toBe(409);
+    expect(loop.status).toBe(400);
+    expect(crossBoard.status).toBe(400);
+  });
+
+  it('returns 404 for unknown statuses and transitions', async () => {
+    const owner = await createUser('owner');
+
+    const unknownStatus = await request(app)
+      .post('/api/statuses/transitions')
+      .set(owner.auth)
+      .send({ fromStatusId: 999998, toStatusId: 999999 });
+    const unknownTransition = await request(app).delete('/api/statuses/transitions/999999').set(owner.auth);
+
+    expect(unknownStatus.status).toBe(404);
+    expect(unknownTransition.status).toBe(404);
+  });
+
+  it('reveals nothing about statuses of boards the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const strangerBoard = await createBoard(stranger);
+    const [todo, inProgress] = board.statuses;
+    const send = (user, fromStatusId, toStatusId) => request(app)
+      .post('/api/statuses/transitions')
+      .set(user.auth)
+      .send({ fromStatusId, toStatusId });
+
+    // Someone else's statuses: same answer whether they exist or share a board
+    expect((await send(stranger, todo.id, inProgress.id)).status).toBe(404);
+    expect((await send(stranger, todo.id, 999999)).status).toBe(404);
+    expect((await send(stranger, 999999, inProgress.id)).status).toBe(404);
+    // A status of the caller's board towards one of someone else's board
+    expect((await send(owner, todo.id, strangerBoard.statuses[1].id)).status).toBe(404);
+  });
+});
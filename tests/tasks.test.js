@@ -0,0 +1,375 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+/**
+ * Helper: ids of a board's tasks in a status column, top to bottom.
+ */
+async function column(user, boardId, statusId) {
+  const res = await request(app).get(`/api/tasks?boardId=${boardId}&statusId=${statusId}&sortBy=rank&order=asc`).set(user.auth);
+  return res.body.data.map((t) => t.id);
+}
+
+describe('POST /api/tasks', () => {
+  it('creates a task in the first column by default', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app)
+      .post('/api/tasks')
+      .set(owner.auth)
+      .send({ title: 'Plan sprint', boardId: board.id, priority: 'HIGH' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ title: 'Plan sprint', boardId: board.id, statusId: board.statuses[0].id, priority: 'HIGH' });
+    expect(res.headers.etag).toBe(`"${res.body.version}"`);
+  });
+
+  it('accepts a status by name, an assignee who is a member and labels of the board', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    const label = await request(app).post(`/api/boards/${board.id}/labels`).set(owner.auth).send({ name: 'bug' });
+
+    const res = await request(app).post('/api/tasks').set(owner.auth).send({
+      title: 'Fix it', boardId: board.id, statusName: 'IN_PROGRESS', assigneeId: editor.id, labelIds: [label.body.id],
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.status.name).toBe('IN_PROGRESS');
+    expect(res.body.assignee.id).toBe(editor.id);
+    expect(res.body.labels.map((l) => l.name)).toEqual(['bug']);
+  });
+
+  it('rejects assignees who are not members and labels of other boards', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const foreignLabel = await request(app).post(`/api/boards/${other.id}/labels`).set(owner.auth).send({ name: 'bug' });
+
+    const assignee = await request(app).post('/api/tasks').set(owner.auth).send({ title: 'T', boardId: board.id, assigneeId: stranger.id });
+    const labels = await request(app).post('/api/tasks').set(owner.auth).send({ title: 'T', boardId: board.id, labelIds: [foreignLabel.body.id] });
+
+    expect(assignee.status).toBe(400);
+    expect(labels.status).toBe(400);
+  });
+
+  it('enforces WIP limits', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const todo = board.statuses[0];
+    await request(app).put(`/api/statuses/${todo.id}`).set(owner.auth).send({ wipLimit: 1 });
+    await createTask(owner, board.id);
+
+    const res = await request(app).post('/api/tasks').set(owner.auth).send({ title: 'One too many', boardId: board.id });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WIP_LIMIT_REACHED');
+  });
+
+  it('validates the body', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).post('/api/tasks').set(owner.auth).send({ boardId: 'one', priority: 'SOMEDAY' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field).sort()).toEqual(['boardId', 'priority', 'title']);
+  });
+
+  it('returns 404 for a board the caller cannot see and 403 for VIEWERs', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+
+    const hidden = await request(app).post('/api/tasks').set(stranger.auth).send({ title: 'T', boardId: board.id });
+    const readOnly = await request(app).post('/api/tasks').set(viewer.auth).send({ title: 'T', boardId: board.id });
+
+    expect(hidden.status).toBe(404);
+    expect(readOnly.status).toBe(403);
+  });
+});
+
+describe('GET /api/tasks', () => {
+  it('filters, sorts and paginates the tasks of the caller', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const other = await createBoard(stranger);
+    const alpha = await createTask(owner, board.id, { title: 'Alpha release' });
+    const beta = await createTask(owner, board.id, { title: 'Beta release', statusName: 'DONE' });
+    await createTask(owner, board.id, { title: 'Gamma', description: 'not matching' });
+    await createTask(stranger, other.id, { title: 'Foreign release' });
+
+    const search = await request(app).get('/api/tasks?q=RELEASE&sortBy=title&order=asc').set(owner.auth);
+    expect(search.status).toBe(200);
+    expect(search.body.data.map((t) => t.id)).toEqual([alpha.id, beta.id]);
+
+    const done = await request(app).get(`/api/tasks?boardId=${board.id}&statusName=DONE`).set(owner.auth);
+    expect(done.body.data.map((t) => t.id)).toEqual([beta.id]);
+
+    const first = await request(app).get('/api/tasks?limit=2&sortBy=id&order=asc').set(owner.auth);
+    const second = await request(app).get(`/api/tasks?limit=2&sortBy=id&order=asc&cursor=${first.body.nextCursor}`).set(owner.auth);
+    expect(first.body.data).toHaveLength(2);
+    expect(second.body.data).toHaveLength(1);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('rejects unknown sort fields', async () => {
+    const owner = await createUser('owner');
+
+    const res = await request(app).get('/api/tasks?sortBy=passwordHash').set(owner.auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ location: 'query', field: 'sortBy' });
+  });
+});
+
+describe('GET /api/tasks/:id', () => {
+  it('returns the task with its progress', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const res = await request(app).get(`/api/tasks/${task.id}`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.board.id).toBe(board.id);
+    expect(res.body.progress).toEqual({ subtasks: { total: 0, done: 0 }, checklist: { total: 0, done: 0 } });
+  });
+
+  it('returns 404 for missing tasks and tasks on boards the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    expect((await request(app).get('/api/tasks/999999').set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get('/api/tasks/0').set(owner.auth)).status).toBe(400);
+  });
+});
+
+describe('PUT /api/tasks/:id', () => {
+  it('updates fields, bumps the version and records the activity', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Draft' });
+
+    const res = await request(app)
+      .put(`/api/tasks/${task.id}`)
+      .set(owner.auth)
+      .set('If-Match', `"${task.version}"`)
+      .send({ title: 'Final', statusName: 'IN_PROGRESS', dueDate: '2030-01-01T00:00:00.000Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ title: 'Final', statusId: board.statuses[1].id, version: task.version + 1 });
+
+    const activity = await request(app).get(`/api/tasks/${task.id}/activity`).set(owner.auth);
+    expect(activity.status).toBe(200);
+    expect(activity.body.data.map((a) => a.action)).toEqual(['CREATED', 'UPDATED']);
+    expect(activity.body.data[1].actor.id).toBe(owner.id);
+  });
+
+  it('rejects a stale version with the current task', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Draft' });
+    await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ title: 'Theirs' });
+
+    const res = await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ title: 'Mine', version: task.version });
+
+    expect(res.status).toBe(412);
+    expect(res.body.current.title).toBe('Theirs');
+  });
+
+  it('returns 404 for a missing task, 403 for VIEWERs and 400 for invalid fields', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    const task = await createTask(owner, board.id);
+
+    expect((await request(app).put('/api/tasks/999999').set(owner.auth).send({ title: 'X' })).status).toBe(404);
+    expect((await request(app).put(`/api/tasks/${task.id}`).set(viewer.auth).send({ title: 'X' })).status).toBe(403);
+    expect((await request(app).put(`/api/tasks/${task.id}`).set(owner.auth).send({ statusId: 'done' })).status).toBe(400);
+  });
+});
+
+describe('PUT /api/tasks/:id/move', () => {
+  it('places the task between its new neighbours', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const todo = board.statuses[0].id;
+    const a = await createTask(owner, board.id, { title: 'A' });
+    const b = await createTask(owner, board.id, { title: 'B' });
+    const c = await createTask(owner, board.id, { title: 'C' });
+
+    const res = await request(app).put(`/api/tasks/${c.id}/move`).set(owner.auth).send({ beforeId: a.id });
+
+    expect(res.status).toBe(200);
+    expect(await column(owner, board.id, todo)).toEqual([a.id, c.id, b.id]);
+  });
+
+  it('moves the task to another column, at the bottom by default', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const [todo, inProgress] = board.statuses;
+    const busy = await createTask(owner, board.id, { statusId: inProgress.id });
+    const task = await createTask(owner, board.id);
+
+    const res = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ statusId: inProgress.id });
+
+    expect(res.status).toBe(200);
+    expect(await column(owner, board.id, inProgress.id)).toEqual([busy.id, task.id]);
+    expect(await column(owner, board.id, todo.id)).toEqual([]);
+  });
+
+  it('rejects neighbours outside the target column', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    const elsewhere = await createTask(owner, board.id, { statusName: 'DONE' });
+
+    const wrongColumn = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ afterId: elsewhere.id });
+    const missing = await request(app).put(`/api/tasks/${task.id}/move`).set(owner.auth).send({ afterId: 999999 });
+
+    expect(wrongColumn.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('POST /api/tasks/bulk', () => {
+  it('applies every operation in one go', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const first = await createTask(owner, board.id);
+    const second = await createTask(owner, board.id);
+
+    const res = await request(app).post('/api/tasks/bulk').set(owner.auth).send({
+      operations: [
+        { op: 'update', id: first.id, title: 'Renamed' },
+        { op: 'move', id: first.id, statusId: board.statuses[2].id },
+        { op: 'delete', id: second.id },
+      ],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map((r) => [r.op, r.outcome])).toEqual([['update', 'applied'], ['move', 'applied'], ['delete', 'applied']]);
+    expect(res.body.results[1].task).toMatchObject({ title: 'Renamed', statusId: board.statuses[2].id });
+    expect((await request(app).get(`/api/tasks/${second.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('rolls everything back when an operation fails', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id, { title: 'Original' });
+
+    const res = await request(app).post('/api/tasks/bulk').set(owner.auth).send({
+      operations: [
+        { op: 'update', id: task.id, title: 'Changed' },
+        { op: 'delete', id: 999999 },
+        { op: 'delete', id: task.id },
+      ],
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.failedIndex).toBe(1);
+    expect(res.body.results.map((r) => r.outcome)).toEqual(['rolled_back', 'failed', 'skipped']);
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).body.title).toBe('Original');
+  });
+
+  it('validates each operation against its route schema', async () => {
+    const owner = await createUser('owner');
+
+    const empty = await request(app).post('/api/tasks/bulk').set(owner.auth).send({ operations: [] });
+    const unknownOp = await request(app).post('/api/tasks/bulk').set(owner.auth).send({ operations: [{ op: 'archive', id: 1 }] });
+
+    expect(empty.status).toBe(400);
+    expect(unknownOp.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/tasks/:id and POST /api/tasks/:id/restore', () => {
+  it('moves the task to the trash and restores it to the bottom of its column', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const todo = board.statuses[0].id;
+    const task = await createTask(owner, board.id);
+    const other = await createTask(owner, board.id);
+
+    const deleted = await request(app).delete(`/api/tasks/${task.id}`).set(owner.auth);
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(`/api/tasks/${task.id}`).set(owner.auth)).status).toBe(404);
+    expect(await column(owner, board.id, todo)).toEqual([other.id]);
+
+    const trash = await request(app).get('/api/trash').set(owner.auth);
+    expect(trash.body.tasks.map((t) => t.id)).toEqual([task.id]);
+
+    const restored = await request(app).post(`/api/tasks/${task.id}/restore`).set(owner.auth);
+    expect(restored.status).toBe(200);
+    expect(restored.body.deletedAt).toBeNull();
+    expect(await column(owner, board.id, todo)).toEqual([other.id, task.id]);
+
+    const activity = await request(app).get(`/api/tasks/${task.id}/activity`).set(owner.auth);
+    expect(activity.body.data.map((a) => a.action)).toEqual(['CREATED', 'DELETED', 'RESTORED']);
+  });
+
+  it('refuses to restore a task that is not in the trash', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+
+    const res = await request(app).post(`/api/tasks/${task.id}/restore`).set(owner.auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('NOT_IN_TRASH');
+  });
+
+  it('returns 404 for missing tasks', async () => {
+    const owner = await createUser('owner');
+
+    expect((await request(app).delete('/api/tasks/999999').set(owner.auth)).status).toBe(404);
+    expect((await request(app).post('/api/tasks/999999/restore').set(owner.auth)).status).toBe(404);
+    expect((await request(app).get('/api/tasks/999999/activity').set(owner.auth)).status).toBe(404);
+  });
+});
+
+describe('GET /api/tasks/:id/subtasks', () => {
+  it('lists the subtasks with their progress', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const parent = await createTask(owner, board.id, { title: 'Epic' });
+    const open = await createTask(owner, board.id, { title: 'Part 1', parentId: parent.id });
+    const done = await createTask(owner, board.id, { title: 'Part 2', parentId: parent.id, statusName: 'DONE' });
+
+    const res = await request(app).get(`/api/tasks/${parent.id}/subtasks`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((t) => t.id)).toEqual([open.id, done.id]);
+    expect(res.body.progress).toEqual({ total: 2, done: 1 });
+
+    const progress = await request(app).get(`/api/tasks/${parent.id}`).set(owner.auth);
+    expect(progress.body.progress.subtasks).toEqual({ total: 2, done: 1 });
+  });
+
+  it('rejects a parent on another board', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const other = await createBoard(owner);
+    const parent = await createTask(owner, other.id);
+
+    const res = await request(app).post('/api/tasks').set(owner.auth).send({ title: 'Child', boardId: board.id, parentId: parent.id });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 404 for a missing task', async () => {
+    const owner = await createUser('owner');
+
+    expect((await request(app).get('/api/tasks/999999/subtasks').set(owner.auth)).status).toBe(404);
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  app, request, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+
+const BLUEPRINT = {
+  statuses: [{ name: 'Backlog' }, { name: 'Doing', wipLimit: 2 }, { name: 'Shipped', isDone: true }],
+  transitions: [{ from: 'Backlog', to: 'Doing' }, { from: 'Doing', to: 'Shipped' }],
+  labels: [{ name: 'bug', color: '#ff0000' }],
+  tasks: [{ title: 'Set up CI', status: 'Doing', labels: ['bug'] }],
+};
+
+describe('POST /api/boards/:id/duplicate', () => {
+  it('copies the workflow, and the tasks when asked', async () => {
+    const owner = await createUser('owner');
+    const viewer = await createUser('viewer');
+    const board = await createBoard(owner, 'Original');
+    await addMember(owner, board.id, viewer, 'VIEWER');
+    await createTask(owner, board.id, { title: 'Copied', statusName: 'DONE', assigneeId: owner.id });
+
+    const res = await request(app)
+      .post(`/api/boards/${board.id}/duplicate`)
+      .set(viewer.auth)
+      .send({ name: 'Copy', includeTasks: true, resetStatuses: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ name: 'Copy', taskCount: 1 });
+    expect(res.body.statuses.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE']);
+
+    const copy = await request(app).get(`/api/tasks?boardId=${res.body.id}`).set(viewer.auth);
+    expect(copy.body.data.map((t) => [t.title, t.status.name, t.assigneeId])).toEqual([['Copied', 'TODO', null]]);
+    const members = await request(app).get(`/api/boards/${res.body.id}/members`).set(viewer.auth);
+    expect(members.body.map((m) => [m.userId, m.role])).toEqual([[viewer.id, 'OWNER']]);
+  });
+
+  it('rejects a taken name, a missing name and boards the caller cannot see', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner, 'Unique');
+
+    expect((await request(app).post(`/api/boards/${board.id}/duplicate`).set(owner.auth).send({ name: 'Unique' })).status).toBe(409);
+    expect((await request(app).post(`/api/boards/${board.id}/duplicate`).set(owner.auth).send({})).status).toBe(400);
+    expect((await request(app).post(`/api/boards/${board.id}/duplicate`).set(stranger.auth).send({ name: 'Mine' })).status).toBe(404);
+  });
+});
+
+describe('/api/templates', () => {
+  it('creates a template from a blueprint and a board from the template', async () => {
+    const owner = await createUser('owner');
+
+    const template = await request(app).post('/api/templates').set(owner.auth).send({ name: 'Delivery', ...BLUEPRINT });
+    expect(template.status).toBe(201);
+
+    const board = await request(app).post(`/api/boards/from-template/${template.body.id}`).set(owner.auth).send({ name: 'Project X' });
+    expect(board.status).toBe(201);
+    expect(board.body.statuses.map((s) => [s.name, s.wipLimit, s.isDone])).toEqual([
+      ['Backlog', null, false], ['Doing', 2, false], ['Shipped', null, true],
+    ]);
+    expect(board.body.labels.map((l) => l.name)).toEqual(['bug']);
+
+    const tasks = await request(app).get(`/api/tasks?boardId=${board.body.id}`).set(owner.auth);
+    expect(tasks.body.data.map((t) => [t.title, t.status.name])).toEqual([['Set up CI', 'Doing']]);
+    const transitions = await request(app).get(`/api/statuses/transitions?boardId=${board.body.id}`).set(owner.auth);
+    expect(transitions.body).toHaveLength(2);
+  });
+
+  it('snapshots a board the caller can see', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    await createTask(owner, board.id, { title: 'Starter', dueDate: '2030-01-01T00:00:00.000Z' });
+
+    const res = await request(app).post('/api/templates').set(owner.auth).send({ name: 'Snapshot', boardId: board.id, includeTasks: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.statuses.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE']);
+    expect(res.body.tasks).toEqual([expect.objectContaining({ title: 'Starter', dueDate: null })]);
+  });
+
+  it('validates templates', async () => {
+    const owner = await createUser('owner');
+    await request(app).post('/api/templates').set(owner.auth).send({ name: 'Taken', ...BLUEPRINT });
+
+    const neither = await request(app).post('/api/templates').set(owner.auth).send({ name: 'Empty' });
+    const unknownStatus = await request(app).post('/api/templates').set(owner.auth).send({
+      name: 'Broken', statuses: [{ name: 'A' }], tasks: [{ title: 'T', status: 'B' }],
+    });
+    const taken = await request(app).post('/api/templates').set(owner.auth).send({ name: 'Taken', ...BLUEPRINT });
+
+    expect(neither.status).toBe(400);
+    expect(unknownStatus.status).toBe(400);
+    expect(taken.status).toBe(409);
+  });
+
+  it('lists, reads, updates and deletes the caller\'s own templates', async () => {
+    const owner = await createUser('owner');
+    const other = await createUser('other');
+    const template = await request(app).post('/api/templates').set(owner.auth).send({ name: 'Mine', ...BLUEPRINT });
+    const id = template.body.id;
+
+    const list = await request(app).get('/api/templates').set(owner.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((t) => t.id)).toEqual([id]);
+    expect((await request(app).get('/api/templates').set(other.auth)).body.data).toEqual([]);
+    expect((await request(app).get(`/api/templates/${id}`).set(owner.auth)).status).toBe(200);
+    expect((await request(app).get(`/api/templates/${id}`).set(other.auth)).status).toBe(404);
+
+    const renamed = await request(app).put(`/api/templates/${id}`).set(owner.auth).send({ name: 'Renamed', description: 'For releases' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body).toMatchObject({ name: 'Renamed', description: 'For releases' });
+    const inconsistent = await request(app).put(`/api/templates/${id}`).set(owner.auth).send({ statuses: [{ name: 'Only' }] });
+    expect(inconsistent.status).toBe(400);
+
+    expect((await request(app).delete(`/api/templates/${id}`).set(other.auth)).status).toBe(404);
+    expect((await request(app).delete(`/api/templates/${id}`).set(owner.auth)).status).toBe(200);
+    expect((await request(app).post(`/api/boards/from-template/${id}`).set(owner.auth).send({ name: 'Late' })).status).toBe(404);
+  });
+});
@@ -0,0 +1,135 @@
+const {
+  app, request, createUser, createBoard, createTask,
+} = require('./helpers');
+
+describe('GET /api/boards/:id/export', () => {
+  let owner;
+  let board;
+
+  beforeAll(async () => {
+    owner = await createUser('owner');
+    board = await createBoard(owner, 'Launch Plan');
+    await request(app).post(`/api/boards/${board.id}/labels`).set(owner.auth).send({ name: 'web' });
+    await request(app).post('/api/statuses/transitions').set(owner.auth)
+      .send({ fromStatusId: board.statuses[0].id, toStatusId: board.statuses[1].id });
+    await createTask(owner, board.id, { title: 'Write copy', description: 'Short, "punchy"' });
+    const trashed = await createTask(owner, board.id, { title: 'Trashed' });
+    await request(app).delete(`/api/tasks/${trashed.id}`).set(owner.auth);
+  });
+
+  it('exports the whole board as JSON', async () => {
+    const res = await request(app).get(`/api/boards/${board.id}/export`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain('launch-plan.json');
+    expect(res.body).toMatchObject({
+      format: 'task-manager-board',
+      board: { name: 'Launch Plan' },
+      transitions: [{ from: 'TODO', to: 'IN_PROGRESS' }],
+      labels: [{ name: 'web' }],
+    });
+    expect(res.body.statuses.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE']);
+    expect(res.body.tasks.map((t) => t.title)).toEqual(['Write copy']);
+  });
+
+  it('exports the tasks as CSV', async () => {
+    const res = await request(app).get(`/api/boards/${board.id}/export?format=csv`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.trim().split(/\r?\n/);
+    expect(lines[0]).toBe('title,description,status,priority,dueDate,labels,assignee');
+    expect(lines.slice(1)).toEqual(['Write copy,"Short, ""punchy""",TODO,,,,']);
+  });
+
+  it('rejects unknown formats and boards the caller cannot see', async () => {
+    const stranger = await createUser('stranger');
+
+    expect((await request(app).get(`/api/boards/${board.id}/export?format=xml`).set(owner.auth)).status).toBe(400);
+    expect((await request(app).get(`/api/boards/${board.id}/export`).set(stranger.auth)).status).toBe(404);
+  });
+});
+
+describe('POST /api/boards/import', () => {
+  it('imports a JSON export as a new board owned by the caller', async () => {
+    const owner = await createUser('owner');
+    const importer = await createUser('importer');
+    const board = await createBoard(owner, 'Source');
+    await createTask(owner, board.id, { title: 'Carried over', statusName: 'DONE' });
+    const exported = await request(app).get(`/api/boards/${board.id}/export`).set(owner.auth);
+
+    const res = await request(app).post('/api/boards/import?name=Copy').set(importer.auth).send(exported.body);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      board: { name: 'Copy' }, imported: 1, skipped: 0, createdStatuses: [], errors: [],
+    });
+    const copy = await request(app).get(`/api/tasks?boardId=${res.body.board.id}`).set(importer.auth);
+    expect(copy.body.data.map((t) => [t.title, t.status.name])).toEqual([['Carried over', 'DONE']]);
+  });
+
+  it('imports a CSV, creating missing statuses and skipping invalid rows', async () => {
+    const owner = await createUser('owner');
+    const csv = [
+      'title,status,priority,labels',
+      'First,In progress,HIGH,web;api',
+      ',TODO,LOW,',
+      'Second,Review,,',
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/boards/import?name=From CSV')
+      .set(owner.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ imported: 2, skipped: 1, createdStatuses: ['Review'] });
+    expect(res.body.errors).toEqual([{ row: 3, error: expect.any(String) }]);
+    expect(res.body.board.statuses.map((s) => s.name)).toEqual(['TODO', 'IN_PROGRESS', 'DONE', 'Review']);
+  });
+
+  it('reports the line a skipped CSV row starts on, after fields spanning several lines', async () => {
+    const owner = await createUser('owner');
+    const csv = 'title,description\n"Multi","line one\nline two\nline three"\n\n,No title\n';
+
+    const res = await request(app)
+      .post('/api/boards/import?name=Multi-line')
+      .set(owner.auth)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body.errors).toEqual([{ row: 6, error: expect.any(String) }]);
+  });
+
+  it('defuses formula-like cells in CSV exports and restores them on import', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner, 'Formulas');
+    await createTask(owner, board.id, { title: '=HYPERLINK("http://example.com","Click")', description: '-5 left' });
+
+    const exported = await request(app).get(`/api/boards/${board.id}/export?format=csv`).set(owner.auth);
+    expect(exported.text.split('\r\n')[1]).toBe(`"'=HYPERLINK(""http://example.com"",""Click"")",'-5 left,TODO,,,,`);
+
+    const res = await request(app)
+      .post('/api/boards/import?name=Formulas again')
+      .set(owner.auth)
+      .set('Content-Type', 'text/csv')
+      .send(exported.text);
+    const tasks = await request(app).get(`/api/tasks?boardId=${res.body.board.id}`).set(owner.auth);
+    expect(tasks.body.data.map((t) => [t.title, t.description])).toEqual([['=HYPERLINK("http://example.com","Click")', '-5 left']]);
+  });
+
+  it('rejects CSV imports without a name, taken names and malformed documents', async () => {
+    const owner = await createUser('owner');
+    await createBoard(owner, 'Taken');
+
+    const noName = await request(app).post('/api/boards/import').set(owner.auth).set('Content-Type', 'text/csv').send('title\nOne');
+    const taken = await request(app).post('/api/boards/import?name=Taken').set(owner.auth).send({ statuses: [], tasks: [] });
+    const malformed = await request(app).post('/api/boards/import?name=Broken').set(owner.auth).send([1, 2]);
+
+    expect(noName.status).toBe(400);
+    expect(taken.status).toBe(409);
+    expect(malformed.status).toBe(400);
+  });
+});
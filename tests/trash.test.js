@@ -0,0 +1,75 @@
+const {
+  app, request, prisma, resetDatabase, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { purgeTrash, TRASH_RETENTION_DAYS } = require('../jobs/purgeTrash');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('GET /api/trash', () => {
+  it('lists trashed boards to their OWNERs and trashed tasks to members', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    const doomed = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    await addMember(owner, doomed.id, editor, 'EDITOR');
+    const task = await createTask(owner, board.id);
+    await request(app).delete(`/api/tasks/${task.id}`).set(owner.auth);
+    await request(app).delete(`/api/boards/${doomed.id}`).set(owner.auth);
+
+    const ownerTrash = await request(app).get('/api/trash').set(owner.auth);
+    const editorTrash = await request(app).get('/api/trash').set(editor.auth);
+
+    expect(ownerTrash.status).toBe(200);
+    expect(ownerTrash.body.retentionDays).toBe(TRASH_RETENTION_DAYS);
+    expect(ownerTrash.body.boards.map((b) => b.id)).toEqual([doomed.id]);
+    expect(ownerTrash.body.tasks.map((t) => t.id)).toEqual([task.id]);
+    expect(new Date(ownerTrash.body.tasks[0].purgeAt).getTime())
+      .toBe(new Date(ownerTrash.body.tasks[0].deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY);
+    expect(editorTrash.body.boards).toEqual([]);
+    expect(editorTrash.body.tasks.map((t) => t.id)).toEqual([task.id]);
+  });
+
+  it('does not list tasks of trashed boards separately', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const task = await createTask(owner, board.id);
+    await request(app).delete(`/api/tasks/${task.id}`).set(owner.auth);
+    await request(app).delete(`/api/boards/${board.id}`).set(owner.auth);
+
+    const res = await request(app).get('/api/trash').set(owner.auth);
+
+    expect(res.body.boards.map((b) => b.id)).toEqual([board.id]);
+    expect(res.body.tasks).toEqual([]);
+  });
+});
+
+describe('purgeTrash', () => {
+  // The trash must only hold what this test puts there
+  beforeEach(resetDatabase);
+
+  it('deletes boards and tasks past the retention period, with everything that hangs off them', async () => {
+    const owner = await createUser('owner');
+    const kept = await createBoard(owner);
+    const doomed = await createBoard(owner);
+    const keptTask = await createTask(owner, kept.id);
+    const trashedTask = await createTask(owner, kept.id);
+    const doomedTask = await createTask(owner, doomed.id);
+    await request(app).post(`/api/tasks/${doomedTask.id}/comments`).set(owner.auth).send({ body: 'Gone soon' });
+    await request(app).delete(`/api/tasks/${trashedTask.id}`).set(owner.auth);
+    await request(app).delete(`/api/boards/${doomed.id}`).set(owner.auth);
+
+    // Nothing is old enough yet
+    expect(await purgeTrash()).toEqual({ boards: 0, tasks: 0, files: 0 });
+
+    const result = await purgeTrash(new Date(Date.now() + (TRASH_RETENTION_DAYS + 1) * DAY));
+
+    expect(result).toEqual({ boards: 1, tasks: 2, files: 0 });
+    expect(await prisma.board.findUnique({ where: { id: doomed.id } })).toBeNull();
+    expect(await prisma.status.count({ where: { boardId: doomed.id } })).toBe(0);
+    expect(await prisma.boardMember.count({ where: { boardId: doomed.id } })).toBe(0);
+    expect(await prisma.comment.count({ where: { taskId: doomedTask.id } })).toBe(0);
+    expect(await prisma.task.findMany({ select: { id: true } })).toEqual([{ id: keptTask.id }]);
+    expect((await request(app).get('/api/trash').set(owner.auth)).body).toMatchObject({ boards: [], tasks: [] });
+  });
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+const {
+  app, request, prisma, createUser, createBoard, addMember, createTask,
+} = require('./helpers');
+const { processDueDeliveries } = require('../jobs/deliverWebhooks');
+
+/**
+ * Helper: create a webhook on a board.
+ */
+async function createWebhook(owner, boardId, fields = {}) {
+  const res = await request(app).post('/api/webhooks').set(owner.auth).send({
+    boardId, url: 'https://hooks.example.com/tasks', events: ['task.created'], ...fields,
+  });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+/**
+ * Helper: poll a webhook's deliveries until there are `count` of them.
+ * Events are queued after the response is sent, so they can land a moment later.
+ */
+async function waitForDeliveries(owner, webhookId, count) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const res = await request(app).get(`/api/webhooks/${webhookId}/deliveries`).set(owner.auth);
+    if (res.body.data.length >= count) return res.body.data;
+    await new Promise((resolve) => { setTimeout(resolve, 20); });
+  }
+  throw new Error(`Webhook ${webhookId} did not get ${count} deliveries`);
+}
+
+describe('/api/webhooks', () => {
+  it('creates a webhook, returning the secret only once', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const webhook = await createWebhook(owner, board.id);
+    expect(webhook.secret).toEqual(expect.any(String));
+    expect(webhook.active).toBe(true);
+
+    const list = await request(app).get(`/api/webhooks?boardId=${board.id}`).set(owner.auth);
+    const one = await request(app).get(`/api/webhooks/${webhook.id}`).set(owner.auth);
+
+    expect(list.status).toBe(200);
+    expect(list.body.map((w) => w.id)).toEqual([webhook.id]);
+    expect(list.body[0]).not.toHaveProperty('secret');
+    expect(one.status).toBe(200);
+    expect(one.body).not.toHaveProperty('secret');
+  });
+
+  it('validates the url and the events', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+
+    const res = await request(app).post('/api/webhooks').set(owner.auth).send({
+      boardId: board.id, url: 'ftp://example.com', events: ['task.exploded'],
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.field).sort()).toEqual(['events.0', 'url']);
+  });
+
+  it('rejects urls pointing at loopback, private or link-local addresses', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const webhook = await createWebhook(owner, board.id);
+
+    for (const url of ['http://127.0.0.1:4100/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[fd00::1]/']) {
+      const res = await request(app).post('/api/webhooks').set(owner.auth).send({ boardId: board.id, url, events: ['task.created'] });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('WEBHOOK_URL_NOT_ALLOWED');
+      expect(res.body.errors.map((e) => e.field)).toEqual(['url']);
+    }
+    const updated = await request(app).put(`/api/webhooks/${webhook.id}`).set(owner.auth).send({ url: 'http://10.0.0.1/' });
+    expect(updated.status).toBe(400);
+
+    // WEBHOOK_ALLOWED_HOSTS=localhost in the test setup
+    await createWebhook(owner, board.id, { url: 'http://localhost:4100/' });
+  });
+
+  it('updates and deletes a webhook', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const webhook = await createWebhook(owner, board.id);
+
+    const updated = await request(app).put(`/api/webhooks/${webhook.id}`).set(owner.auth).send({ active: false, events: ['task.deleted'] });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ active: false, events: ['task.deleted'] });
+    expect((await request(app).put(`/api/webhooks/${webhook.id}`).set(owner.auth).send({})).status).toBe(400);
+
+    const deleted = await request(app).delete(`/api/webhooks/${webhook.id}`).set(owner.auth);
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(`/api/webhooks/${webhook.id}`).set(owner.auth)).status).toBe(404);
+  });
+
+  it('queues deliveries for subscribed events and redelivers them', async () => {
+    const owner = await createUser('owner');
+    const board = await createBoard(owner);
+    const webhook = await createWebhook(owner, board.id);
+    const task = await createTask(owner, board.id, { title: 'Hooked' });
+
+    const [delivery] = await waitForDeliveries(owner, webhook.id, 1);
+    expect(delivery).toMatchObject({ event: 'task.created', status: 'PENDING' });
+    expect(delivery.payload.data.id).toBe(task.id);
+
+    const res = await request(app).post(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`).set(owner.auth);
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ event: 'task.created', redeliveryOfId: delivery.id });
+
+    const pending = await request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=PENDING`).set(owner.auth);
+    expect(pending.body.data).toHaveLength(2);
+    const invalid = await request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=LOST`).set(owner.auth);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('returns 404 for deliveries of other webhooks and webhooks of boards the caller is not on', async () => {
+    const owner = await createUser('owner');
+    const stranger = await createUser('stranger');
+    const board = await createBoard(owner);
+    const webhook = await createWebhook(owner, board.id);
+
+    expect((await request(app).post(`/api/webhooks/${webhook.id}/deliveries/999999/redeliver`).set(owner.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/webhooks/${webhook.id}`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(stranger.auth)).status).toBe(404);
+    expect((await request(app).delete('/api/webhooks/999999').set(owner.auth)).status).toBe(404);
+  });
+
+  it('is reserved to board OWNERs', async () => {
+    const owner = await createUser('owner');
+    const editor = await createUser('editor');
+    const board = await createBoard(owner);
+    await addMember(owner, board.id, editor, 'EDITOR');
+    const webhook = await createWebhook(owner, board.id);
+
+    expect((await request(app).get('/api/webhooks').set(editor.auth)).body).toEqual([]);
+    expect((await request(app).get(`/api/webhooks/${webhook.id}`).set(editor.auth)).status).toBe(403);
+
+    const create = await request(app).post('/api/webhooks').set(editor.auth).send({
+      boardId: board.id, url: 'https://hooks.example.com/x', events: ['task.created'],
+    });
+    expect(create.status).toBe(403);
+  });
+
+  describe('deliveries', () => {
+    let server;
+    let received;
+    let port;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        received.push(req.url);
+        req.resume();
+        if (req.url === '/fail') res.writeHead(500).end('internal details');
+        else res.writeHead(204).end();
+      });
+      await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+      ({ port } = server.address());
+    });
+
+    afterAll(() => new Promise((resolve) => { server.close(resolve); }));
+
+    beforeEach(() => { received = []; });
+
+    it('sends deliveries and keeps only the status of failed ones', async () => {
+      const owner = await createUser('owner');
+      const board = await createBoard(owner);
+      const ok = await createWebhook(owner, board.id, { url: `http://localhost:${port}/ok` });
+      const failing = await createWebhook(owner, board.id, { url: `http://localhost:${port}/fail` });
+      await createTask(owner, board.id);
+      await waitForDeliveries(owner, ok.id, 1);
+      await waitForDeliveries(owner, failing.id, 1);
+
+      await processDueDeliveries(new Date(Date.now() + 1000));
+
+      expect(received.sort()).toEqual(['/fail', '/ok']);
+      const [succeeded] = (await request(app).get(`/api/webhooks/${ok.id}/deliveries`).set(owner.auth)).body.data;
+      const [failed] = (await request(app).get(`/api/webhooks/${failing.id}/deliveries`).set(owner.auth)).body.data;
+      expect(succeeded).toMatchObject({ status: 'SUCCEEDED', responseStatus: 204, error: null });
+      expect(failed).toMatchObject({ status: 'PENDING', responseStatus: 500, error: 'HTTP 500' });
+    });
+
+    it('refuses to send to a url that resolves to a private address', async () => {
+      const owner = await createUser('owner');
+      const board = await createBoard(owner);
+      const webhook = await createWebhook(owner, board.id);
+      // As if the url had been saved before the check existed
+      await prisma.webhook.update({ where: { id: webhook.id }, data: { url: `http://127.0.0.1:${port}/ok` } });
+      await createTask(owner, board.id);
+      await waitForDeliveries(owner, webhook.id, 1);
+
+      await processDueDeliveries(new Date(Date.now() + 1000));
+
+      expect(received).toEqual([]);
+      const [delivery] = (await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(owner.auth)).body.data;
+      expect(delivery).toMatchObject({ responseStatus: null, error: expect.stringMatching(/loopback, private/) });
+    });
+  });
+});
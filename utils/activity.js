@@ -0,0 +1,97 @@
+/**
+ * utils/activity.js
+ *
+ * Append-only task history: TaskActivity, and TaskStatusChange for the board metrics (utils/metrics.js).
+ * Callers pass the transaction client of the task mutation so an entry is only
+ * stored when the change itself is committed.
+ */
+
+// Scalar fields compared between the task before and after a change
+const TRACKED_FIELDS = ['title', 'description', 'assigneeId', 'dueDate', 'priority', 'parentId', 'deletedAt'];
+
+// Relations needed on both task snapshots so board/status changes can be recorded by name
+const activityInclude = {
+  board: { select: { id: true, name: true } },
+  status: { select: { id: true, name: true } },
+};
+
+/**
+ * Helper: { id, name } snapshot of a board or status (null when absent).
+ */
+function ref(record) {
+  return record ? { id: record.id, name: record.name } : null;
+}
+
+/**
+ * Helper: JSON-friendly value for comparison and storage.
+ */
+function plain(value) {
+  if (value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Field-level diff between two task rows loaded with activityInclude.
+ * Returns { field: { from, to } } for every changed field; `board` and `status`
+ * hold { id, name } snapshots so the history stays readable after renames.
+ * Pass an empty object as `before` to describe a newly created task.
+ */
+function taskChanges(before, after) {
+  const changes = {};
+  if (plain(before.boardId) !== plain(after.boardId)) {
+    changes.board = { from: ref(before.board), to: ref(after.board) };
+  }
+  if (plain(before.statusId) !== plain(after.statusId)) {
+    changes.status = { from: ref(before.status), to: ref(after.status) };
+  }
+  for (const field of TRACKED_FIELDS) {
+    const from = plain(before[field]);
+    const to = plain(after[field]);
+    if (from !== to) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Append an activity entry for a task. Updates that changed no tracked field are not recorded.
+ * `db` should be the transaction client of the mutation being recorded.
+ */
+async function recordActivity(db, { taskId, actorId, action, changes }) {
+  if (action !== 'CREATED' && Object.keys(changes).length === 0) return null;
+  return db.taskActivity.create({
+    data: { taskId, actorId, action, changes },
+  });
+}
+
+/**
+ * TaskStatusChange data for a task entering a status or a board, or null when neither changed.
+ * A task arriving on a board (created, or moved from another board) has no fromStatusId.
+ * Pass an empty object as `before` to describe a newly created task.
+ */
+function statusChange(before, after) {
+  if (before.boardId === after.boardId && before.statusId === after.statusId) return null;
+  return {
+    taskId: after.id,
+    boardId: after.boardId,
+    fromStatusId: before.boardId === after.boardId ? before.statusId : null,
+    toStatusId: after.statusId,
+  };
+}
+
+/**
+ * Record a task's status or board change (see statusChange). Nothing is stored if neither changed.
+ * `db` should be the transaction client of the mutation being recorded.
+ */
+async function recordStatusChange(db, before, after) {
+  const data = statusChange(before, after);
+  if (!data) return null;
+  return db.taskStatusChange.create({ data });
+}
+
+module.exports = {
+  activityInclude,
+  taskChanges,
+  recordActivity,
+  statusChange,
+  recordStatusChange,
+};
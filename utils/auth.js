@@ -0,0 +1,84 @@
+/**
+ * utils/auth.js
+ *
+ * Token helpers for authentication.
+ * - Access tokens: short-lived JWTs sent as `Authorization: Bearer <token>`.
+ * - Refresh tokens: opaque random strings kept in an httpOnly cookie; only their SHA-256 hash is stored.
+ *
+ * Environment:
+ * - JWT_SECRET (required in production)
+ * - ACCESS_TOKEN_TTL (default "15m", any jsonwebtoken expiresIn value)
+ * - REFRESH_TOKEN_TTL_DAYS (default 7)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-only-insecure-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+
+const REFRESH_COOKIE = 'refreshToken';
+
+/**
+ * Sign an access token for a user.
+ */
+function signAccessToken(user) {
+  return jwt.sign({ sub: String(user.id), email: user.email }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Verify an access token. Returns { id, email } or throws if invalid/expired.
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  return { id: parseInt(payload.sub, 10), email: payload.email };
+}
+
+/**
+ * Generate a new opaque refresh token (the value sent to the client).
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hash a refresh token for storage and lookup.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Expiry date for a refresh token issued now.
+ */
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Cookie options for the refresh token (also used to clear it).
+ * Scoped to /api/auth so the token is only sent to refresh/logout.
+ */
+function refreshCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+  };
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry,
+  refreshCookieOptions,
+};
@@ -0,0 +1,64 @@
+/**
+ * utils/boardAccess.js
+ *
+ * Role checks for board membership (OWNER > EDITOR > VIEWER).
+ * Non-members get a 404 so the existence of other users' boards is not revealed;
+ * members without the required role get a 403. Boards in the trash are reported as not found.
+ */
+
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+const ROLE_LEVEL = { VIEWER: 1, EDITOR: 2, OWNER: 3 };
+
+/**
+ * Ensure `userId` has at least `minRole` on the board. Returns the membership row.
+ * `notFoundMessage` lets callers report the resource they were looking up (e.g. 'Task not found').
+ * Trashed boards count as not found unless `includeDeleted` is set (trash listing and restore).
+ * `db` may be the Prisma client or a transaction client.
+ */
+async function assertBoardRole(
+  db, userId, boardId, minRole, notFoundMessage = 'Board not found', { includeDeleted = false } = {},
+) {
+  const member = await db.boardMember.findUnique({
+    where: { boardId_userId: { boardId, userId } },
+    include: { board: { select: { deletedAt: true } } },
+  });
+
+  if (!member || (member.board.deletedAt && !includeDeleted)) {
+    throw new NotFoundError(notFoundMessage);
+  }
+
+  if (ROLE_LEVEL[member.role] < ROLE_LEVEL[minRole]) {
+    throw new ForbiddenError(`This action requires the ${minRole} role on the board`, { code: 'INSUFFICIENT_ROLE' });
+  }
+
+  return member;
+}
+
+/**
+ * Load a live task and ensure `userId` has at least `minRole` on its board. Returns { task, member }.
+ * Missing and trashed tasks, and tasks on boards the user is not a member of, are reported as 'Task not found'.
+ * `include` is passed on to the task query. `db` may be the Prisma client or a transaction client.
+ */
+async function loadTaskWithRole(db, userId, taskId, minRole, { include } = {}) {
+  const task = await db.task.findUnique({ where: { id: taskId, deletedAt: null }, include });
+  if (!task) {
+    throw new NotFoundError('Task not found');
+  }
+  const member = await assertBoardRole(db, userId, task.boardId, minRole, 'Task not found');
+  return { task, member };
+}
+
+/**
+ * Prisma `where` fragment matching boards the user is a member of (trashed boards excluded).
+ */
+function memberOf(userId) {
+  return { deletedAt: null, members: { some: { userId } } };
+}
+
+module.exports = {
+  ROLE_LEVEL,
+  assertBoardRole,
+  loadTaskWithRole,
+  memberOf,
+};
@@ -0,0 +1,183 @@
+/**
+ * utils/boardCopy.js
+ *
+ * Creating boards from a blueprint, as used by board duplication and board templates, plus the board name
+ * rule shared by every route that creates a board.
+ *
+ * A blueprint references statuses and labels by name, like a JSON export:
+ *   {
+ *     statuses: [{ name, color, isDone, wipLimit }],   // in column order
+ *     transitions: [{ from, to }],                     // status names
+ *     labels: [{ name, color }],
+ *     tasks: [{ title, description, priority, dueDate, status, labels }]  // status null = first column
+ *   }
+ * Tasks keep their order within each column. Assignees, comments, activity, recurrence, subtask links,
+ * checklists and dependencies are not copied.
+ */
+
+const { rankBetween } = require('./rank');
+const { activityInclude, taskChanges, statusChange } = require('./activity');
+const { ValidationError, ConflictError } = require('./errors');
+
+// Copying a large board runs in one transaction; allow well beyond Prisma's 5s default
+const COPY_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * Reject a board name already used by a live board (trashed boards do not count).
+ * The unique index on the generated column Board.activeName still catches a concurrent create (409 via P2002).
+ * `db` may be the Prisma client or a transaction client.
+ */
+async function assertBoardNameAvailable(db, name) {
+  const existing = await db.board.findFirst({ where: { name, deletedAt: null } });
+  if (existing) {
+    throw new ConflictError('Board name already exists', { code: 'ALREADY_EXISTS' });
+  }
+}
+
+/**
+ * Blueprint of an existing board: its statuses, transitions and labels, and with `includeTasks` its live tasks.
+ * `resetStatuses` puts every task in the first column; `keepDueDates` copies due dates (off for templates).
+ * Tasks without a status land in the first column.
+ */
+async function readBlueprint(db, boardId, { includeTasks = false, resetStatuses = false, keepDueDates = false } = {}) {
+  const statuses = await db.status.findMany({
+    where: { boardId },
+    orderBy: { position: 'asc' },
+    include: { transitionsFrom: { include: { to: { select: { name: true } } } } },
+  });
+  const labels = await db.label.findMany({ where: { boardId }, orderBy: { name: 'asc' } });
+  const tasks = includeTasks
+    ? await db.task.findMany({
+      where: { boardId, deletedAt: null },
+      orderBy: [{ status: { position: 'asc' } }, { rank: 'asc' }, { id: 'asc' }],
+      include: { status: { select: { name: true } }, labels: { select: { name: true }, orderBy: { name: 'asc' } } },
+    })
+    : [];
+
+  return {
+    statuses: statuses.map((s) => ({
+      name: s.name, color: s.color, isDone: s.isDone, wipLimit: s.wipLimit,
+    })),
+    transitions: statuses.flatMap((s) => s.transitionsFrom.map((t) => ({ from: s.name, to: t.to.name }))),
+    labels: labels.map((l) => ({ name: l.name, color: l.color })),
+    tasks: tasks.map((t) => ({
+      title: t.title,
+      description: t.description,
+      priority: t.priority,
+      dueDate: keepDueDates ? t.dueDate : null,
+      status: resetStatuses || !t.status ? null : t.status.name,
+      labels: t.labels.map((l) => l.name),
+    })),
+  };
+}
+
+/**
+ * Check that a blueprint's names are unique and its references resolve. Throws a ValidationError.
+ */
+function assertValidBlueprint({
+  statuses, transitions, labels, tasks,
+}) {
+  const statusNames = new Set();
+  for (const s of statuses) {
+    if (statusNames.has(s.name)) throw new ValidationError(`Status "${s.name}" is listed twice`);
+    statusNames.add(s.name);
+  }
+  const labelNames = new Set();
+  for (const l of labels) {
+    if (labelNames.has(l.name)) throw new ValidationError(`Label "${l.name}" is listed twice`);
+    labelNames.add(l.name);
+  }
+
+  for (const t of transitions) {
+    if (!statusNames.has(t.from) || !statusNames.has(t.to)) {
+      throw new ValidationError(`Transition ${t.from} -> ${t.to} references an unknown status`);
+    }
+  }
+  tasks.forEach((task, index) => {
+    if (task.status && !statusNames.has(task.status)) {
+      throw new ValidationError(`Task ${index + 1} references unknown status "${task.status}"`);
+    }
+    const unknown = (task.labels || []).find((name) => !labelNames.has(name));
+    if (unknown) {
+      throw new ValidationError(`Task ${index + 1} references unknown label "${unknown}"`);
+    }
+  });
+}
+
+/**
+ * Create a board owned by `ownerId` from a blueprint, inside the caller's transaction.
+ * Every task gets a CREATED activity entry by the owner. The name is not checked here (see assertBoardNameAvailable).
+ * Returns the board with its statuses (in column order) and labels, and `taskCount`.
+ */
+async function createBoardFromBlueprint(tx, { name, ownerId, blueprint }) {
+  const board = await tx.board.create({
+    data: {
+      name,
+      statuses: {
+        create: blueprint.statuses.map((s, position) => ({
+          name: s.name,
+          position,
+          color: s.color || null,
+          isDone: Boolean(s.isDone),
+          wipLimit: s.wipLimit || null,
+        })),
+      },
+      labels: { create: blueprint.labels.map((l) => ({ name: l.name, color: l.color || null })) },
+      members: { create: { userId: ownerId, role: 'OWNER' } },
+    },
+    include: { statuses: { orderBy: { position: 'asc' } }, labels: { orderBy: { name: 'asc' } } },
+  });
+
+  const statusIds = new Map(board.statuses.map((s) => [s.name, s.id]));
+  const labelIds = new Map(board.labels.map((l) => [l.name, l.id]));
+  const firstStatusId = board.statuses.length > 0 ? board.statuses[0].id : null;
+
+  if (blueprint.transitions.length > 0) {
+    await tx.statusTransition.createMany({
+      data: blueprint.transitions.map((t) => ({
+        fromStatusId: statusIds.get(t.from),
+        toStatusId: statusIds.get(t.to),
+      })),
+      skipDuplicates: true,
+    });
+  }
+
+  const lastRank = new Map();
+  const activity = [];
+  const statusChanges = [];
+  for (const task of blueprint.tasks) {
+    const statusId = task.status ? statusIds.get(task.status) : firstStatusId;
+    const rank = rankBetween(lastRank.get(statusId), null);
+    lastRank.set(statusId, rank);
+
+    const row = await tx.task.create({
+      data: {
+        title: task.title,
+        description: task.description || null,
+        priority: task.priority || null,
+        dueDate: task.dueDate || null,
+        rank,
+        board: { connect: { id: board.id } },
+        status: statusId ? { connect: { id: statusId } } : undefined,
+        labels: { connect: (task.labels || []).map((l) => ({ id: labelIds.get(l) })) },
+      },
+      include: activityInclude,
+    });
+    activity.push({ taskId: row.id, actorId: ownerId, action: 'CREATED', changes: taskChanges({}, row) });
+    statusChanges.push(statusChange({}, row));
+  }
+  if (activity.length > 0) {
+    await tx.taskActivity.createMany({ data: activity });
+    await tx.taskStatusChange.createMany({ data: statusChanges });
+  }
+
+  return { ...board, taskCount: blueprint.tasks.length };
+}
+
+module.exports = {
+  COPY_TRANSACTION_TIMEOUT_MS,
+  assertBoardNameAvailable,
+  readBlueprint,
+  assertValidBlueprint,
+  createBoardFromBlueprint,
+};
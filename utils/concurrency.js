@@ -0,0 +1,86 @@
+/**
+ * utils/concurrency.js
+ *
+ * Optimistic concurrency for boards, statuses and tasks.
+ * Each row has a `version` that every update increments. Responses carry it as the ETag ("<version>");
+ * PUT requests may send it back in If-Match (or as `version` in the body) and are rejected with 412,
+ * along with the current server copy, when the row has changed since.
+ */
+
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * Helper: ETag value for a versioned row.
+ */
+function etagFor(record) {
+  return `"${record.version}"`;
+}
+
+/**
+ * Set the ETag header from a versioned row.
+ */
+function setETag(res, record) {
+  res.set('ETag', etagFor(record));
+}
+
+/**
+ * Versions the client based its change on: the If-Match tags, else the body `version`.
+ * Returns undefined when the update is unconditional (neither given, or If-Match: *).
+ * Tags that are not versions (e.g. from another server) are kept as NaN so they never match.
+ */
+function expectedVersions(req) {
+  const header = req.get('If-Match');
+  if (header !== undefined) {
+    const tags = header.split(',').map((t) => t.trim()).filter(Boolean);
+    if (tags.includes('*')) return undefined;
+    return tags.map((tag) => {
+      const match = /^(?:W\/)?"(\d+)"$/.exec(tag);
+      return match ? parseInt(match[1], 10) : NaN;
+    });
+  }
+  if (req.body && req.body.version !== undefined) return [req.body.version];
+  return undefined;
+}
+
+/**
+ * Helper: the 412 error; `current` is sent back so the client can merge.
+ */
+function preconditionFailed(current) {
+  return new PreconditionFailedError('The resource was modified by someone else; merge with `current` and retry', {
+    code: 'VERSION_MISMATCH',
+    details: { current },
+  });
+}
+
+/**
+ * Throw a 412 unless `versions` (from expectedVersions, or a single number) includes the row's version.
+ * `loadCurrent` returns the server copy to include in the error.
+ */
+async function assertVersion(versions, existing, loadCurrent) {
+  if (versions === undefined || versions === null) return;
+  if ([].concat(versions).includes(existing.version)) return;
+  throw preconditionFailed(await loadCurrent());
+}
+
+/**
+ * Run an update whose `where` pins the version that was read (`{ id, version: readVersion }`).
+ * If another request updated the row in between, Prisma reports P2025 and this throws the 412 instead.
+ */
+async function updateIfUnchanged(readVersion, runUpdate, loadCurrent) {
+  try {
+    return await runUpdate();
+  } catch (err) {
+    if (err.code !== 'P2025') throw err;
+    // P2025 is also used for failed nested connects; only a newer version means a conflict
+    const current = await loadCurrent();
+    if (current && current.version !== readVersion) throw preconditionFailed(current);
+    throw err;
+  }
+}
+
+module.exports = {
+  setETag,
+  expectedVersions,
+  assertVersion,
+  updateIfUnchanged,
+};
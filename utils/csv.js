@@ -0,0 +1,113 @@
+/**
+ * utils/csv.js
+ *
+ * Minimal RFC 4180 CSV helpers (comma separator, double-quote escaping, CRLF or LF line endings).
+ *
+ * Spreadsheets run a cell starting with =, +, -, @, tab or CR as a formula, so toCsvRow prefixes such
+ * strings with an apostrophe (which spreadsheets hide); unescapeFormula removes it again on import.
+ * Strings already starting with apostrophes before one of those characters get one more, so the
+ * round trip keeps every value.
+ */
+
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Helper: a string cell as written to the file, defused if a spreadsheet would read it as a formula.
+ */
+function escapeFormula(text) {
+  return FORMULA_PATTERN.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo the apostrophe toCsvRow adds to cells that look like formulas.
+ */
+function unescapeFormula(text) {
+  return /^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Format one CSV line from an array of values. null/undefined become empty fields;
+ * strings that look like formulas are escaped (see above);
+ * fields containing a comma, quote or line break are quoted.
+ */
+function toCsvRow(values) {
+  return values.map((value) => {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'string') text = escapeFormula(value);
+    else text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows: { line, fields } where `line` is the 1-based line the row
+ * starts on (quoted fields may span lines) and `fields` its strings.
+ * Blank lines are skipped. Throws if a quoted field is not closed.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 byte order mark (spreadsheet exports often add one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, fields: row });
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    // CRLF, LF and a lone CR each end one line
+    if (ch === '\n' || (ch === '\r' && input[i + 1] !== '\n')) line += 1;
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') {
+        i += 1;
+        line += 1;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+module.exports = {
+  toCsvRow,
+  parseCsv,
+  unescapeFormula,
+};
@@ -0,0 +1,162 @@
+/**
+ * utils/errors.js
+ *
+ * Error classes and the RFC 7807 (application/problem+json) error responses built from them.
+ * Controllers throw (or pass to next()) an HttpError subclass; the error handler in server.js
+ * turns it into { type, title, status, detail, code, instance, ...details }.
+ *
+ * `code` is stable and meant for programs; `detail` is a human-readable message and may change.
+ * Anything that is not an HttpError (including Prisma errors other than the ones mapped below)
+ * becomes a 500 whose detail is hidden in production.
+ */
+
+const http = require('http');
+
+/**
+ * Helper: default code for a status, from its reason phrase (413 -> PAYLOAD_TOO_LARGE).
+ */
+function statusCode(status) {
+  return (http.STATUS_CODES[status] || 'Error').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+class HttpError extends Error {
+  /**
+   * `details` are extra members of the problem body (e.g. { current } on a 412).
+   */
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || statusCode(status);
+    this.details = details;
+  }
+}
+
+// Request body, query or path parameters are invalid (per-field `errors` for schema failures)
+class ValidationError extends HttpError {
+  constructor(message, { code = 'VALIDATION_FAILED', errors, details } = {}) {
+    super(400, message, { code, details: errors ? { ...details, errors } : details });
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', { code = 'UNAUTHORIZED', details } = {}) {
+    super(401, message, { code, details });
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', { code = 'FORBIDDEN', details } = {}) {
+    super(403, message, { code, details });
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not Found', { code = 'NOT_FOUND', details } = {}) {
+    super(404, message, { code, details });
+  }
+}
+
+// The request clashes with the current state (duplicate name, rule violation, request in flight)
+class ConflictError extends HttpError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(409, message, { code, details });
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message, { code = 'PRECONDITION_FAILED', details } = {}) {
+    super(412, message, { code, details });
+  }
+}
+
+/**
+ * Per-field errors from a Joi ValidationError (validated with abortEarly: false).
+ * `location` is body, query or params; `field` is the dotted path within it.
+ */
+function joiFieldErrors(joiError, location) {
+  return joiError.details.map((d) => ({
+    location,
+    field: d.path.join('.'),
+    code: d.type,
+    message: d.message,
+  }));
+}
+
+/**
+ * The error as an HttpError: itself if it is one, the equivalent of a known error, or null.
+ * - Prisma P2002 (unique constraint) -> 409, P2025 (record not found) -> 404, P2003 (foreign key) -> 409,
+ *   with fixed messages: Prisma's own metadata names columns and indexes and is never passed on
+ * - body-parser and csurf errors (invalid JSON, body too large, bad CSRF token) keep their 4xx status
+ */
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  switch (err.code) {
+    case 'P2002':
+      return new ConflictError('A record with these values already exists', { code: 'ALREADY_EXISTS' });
+    case 'P2025':
+      return new NotFoundError('Record not found');
+    case 'P2003':
+      return new ConflictError('The record is referenced by, or references, a missing record', {
+        code: 'REFERENCE_CONFLICT',
+      });
+    default:
+      break;
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new HttpError(413, 'Request body is too large');
+  }
+  if (err.code === 'EBADCSRFTOKEN') {
+    return new ForbiddenError('Invalid CSRF token', { code: 'INVALID_CSRF_TOKEN' });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) return new HttpError(err.status, err.message);
+  return null;
+}
+
+/**
+ * Problem details body for an error. 500s only describe the error outside production.
+ */
+function toProblem(err, req) {
+  const known = toHttpError(err);
+  const status = known ? known.status : 500;
+
+  let detail;
+  if (known) detail = known.message;
+  else if (process.env.NODE_ENV === 'production') detail = 'An unexpected error occurred';
+  else detail = err.message || 'Internal Server Error';
+
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    code: known ? known.code : 'INTERNAL_ERROR',
+    instance: req.originalUrl,
+    ...(known && known.details),
+  };
+}
+
+/**
+ * Send an error as application/problem+json.
+ */
+function sendProblem(req, res, err) {
+  const problem = toProblem(err, req);
+  return res.status(problem.status).type('application/problem+json').json(problem);
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  joiFieldErrors,
+  toHttpError,
+  toProblem,
+  sendProblem,
+};
@@ -0,0 +1,75 @@
+/**
+ * utils/eventBus.js
+ *
+ * In-process publish/subscribe for real-time board events.
+ * Every event is published on its board's channel as { type, boardId, data, occurredAt }.
+ *
+ * Delivery goes through an adapter:
+ *   { publish(channel, event), subscribe(channel, handler) -> unsubscribe }
+ * The default adapter is a local EventEmitter, which only reaches subscribers in the same process.
+ * To run several instances, call setAdapter() at startup with one backed by a broker
+ * (Redis pub/sub, NATS, ...) that serializes events as JSON.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Adapter that delivers events to subscribers in this process.
+ */
+function createLocalAdapter() {
+  const emitter = new EventEmitter();
+  // One listener per open stream; there is no meaningful upper bound
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(channel, event) {
+      emitter.emit(channel, event);
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+}
+
+let adapter = createLocalAdapter();
+
+/**
+ * Replace the delivery adapter (call before the server starts accepting connections).
+ */
+function setAdapter(next) {
+  adapter = next;
+}
+
+/**
+ * Helper: channel carrying a board's events.
+ */
+function boardChannel(boardId) {
+  return `board:${boardId}`;
+}
+
+/**
+ * Publish an event to everyone subscribed to the board.
+ * Call after the change is committed. Delivery failures are logged and never reach the caller.
+ */
+function publishBoardEvent(boardId, type, data) {
+  const event = { type, boardId, data, occurredAt: new Date().toISOString() };
+  Promise.resolve()
+    .then(() => adapter.publish(boardChannel(boardId), event))
+    .catch((err) => logger.error(err));
+}
+
+/**
+ * Subscribe to a board's events. Returns a function that removes the subscription.
+ */
+function subscribeBoard(boardId, handler) {
+  return adapter.subscribe(boardChannel(boardId), handler);
+}
+
+module.exports = {
+  createLocalAdapter,
+  setAdapter,
+  publishBoardEvent,
+  subscribeBoard,
+};
@@ -0,0 +1,194 @@
+/**
+ * utils/mailer.js
+ *
+ * Outgoing email through a pluggable transport:
+ *   { send({ from, to, subject, text }) -> Promise }
+ * - SMTP (when SMTP_HOST is set): plain SMTP without authentication or TLS, meant for a local relay
+ *   or the stand-in from `npm run smtp-sink`
+ * - otherwise a transport that only logs the message
+ * Call setTransport() at startup to use anything else (e.g. a provider's API client).
+ *
+ * Environment:
+ * - SMTP_HOST, SMTP_PORT (default 25)
+ * - MAIL_FROM (default "Task Manager <no-reply@localhost>")
+ */
+
+const net = require('net');
+const os = require('os');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>';
+const SMTP_TIMEOUT_MS = 10000;
+
+// Longest run of UTF-8 bytes per RFC 2047 encoded-word, so each stays within 75 characters
+const ENCODED_WORD_BYTES = 45;
+
+/**
+ * Helper: header text on one line; CR and LF would start a new header.
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Helper: display name and bare address of "Name <address>" (the last <...> is the address).
+ */
+function parseMailbox(mailbox) {
+  const value = singleLine(mailbox);
+  const match = /^(.*)<([^<>]*)>$/.exec(value);
+  if (!match) return { name: '', address: value };
+  return { name: match[1].trim(), address: match[2].trim() };
+}
+
+/**
+ * Helper: bare address from "Name <address>".
+ */
+function addressOf(mailbox) {
+  return parseMailbox(mailbox).address;
+}
+
+/**
+ * Helper: header text as is when it is printable ASCII, otherwise as RFC 2047 encoded-words
+ * ("=?UTF-8?B?...?="), folded onto continuation lines.
+ */
+function encodeHeaderText(value) {
+  const text = singleLine(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Helper: "Name <address>" for a From or To header, with the name quoted or encoded as needed.
+ */
+function formatMailbox(mailbox) {
+  const { name, address } = parseMailbox(mailbox);
+  if (!name) return address;
+  const displayName = /^[\x20-\x7e]*$/.test(name)
+    ? `"${name.replace(/["\\]/g, '\\$&')}"`
+    : encodeHeaderText(name);
+  return `${displayName} <${address}>`;
+}
+
+/**
+ * Helper: RFC 5322 message with CRLF line endings and dot-stuffing for the DATA command.
+ * Header values are kept on one line and non-ASCII text is RFC 2047 encoded.
+ */
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${formatMailbox(from)}`,
+    `To: ${formatMailbox(to)}`,
+    `Subject: ${encodeHeaderText(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+/**
+ * Transport that speaks SMTP to `host:port`, one connection per message.
+ */
+function createSmtpTransport({ host, port = 25 }) {
+  return {
+    send(message) {
+      return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        socket.setEncoding('utf8');
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP timeout talking to ${host}:${port}`)));
+
+        const commands = [
+          { expect: 220 },
+          { send: `EHLO ${os.hostname()}`, expect: 250 },
+          { send: `MAIL FROM:<${addressOf(message.from)}>`, expect: 250 },
+          { send: `RCPT TO:<${addressOf(message.to)}>`, expect: 250 },
+          { send: 'DATA', expect: 354 },
+          { send: `${formatMessage(message)}.`, expect: 250 },
+          { send: 'QUIT', expect: 221 },
+        ];
+        let step = 0;
+        let buffer = '';
+        const finished = () => step === commands.length;
+
+        const next = () => {
+          step += 1;
+          if (finished()) {
+            socket.end();
+            resolve();
+            return;
+          }
+          socket.write(`${commands[step].send}\r\n`);
+        };
+
+        socket.on('data', (chunk) => {
+          buffer += chunk;
+          // A reply is complete once a line has a space after the code ("250 OK"; "250-..." continues)
+          const lines = buffer.split('\r\n');
+          const last = lines.reverse().find((l) => /^\d{3} /.test(l));
+          if (!last) return;
+          buffer = '';
+          const code = parseInt(last.slice(0, 3), 10);
+          if (code !== commands[step].expect) {
+            socket.destroy(new Error(`SMTP server replied "${last}"`));
+            return;
+          }
+          next();
+        });
+        socket.on('error', reject);
+        socket.on('close', () => {
+          // e.g. the server hung up without an error; without this the promise would never settle
+          if (!finished()) reject(new Error(`SMTP connection to ${host}:${port} closed unexpectedly`));
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Transport that logs messages instead of sending them.
+ */
+function createLogTransport() {
+  return {
+    async send({ to, subject }) {
+      logger.info(`Mail to ${to}: ${subject} (not sent; set SMTP_HOST to deliver email)`);
+    },
+  };
+}
+
+let transport = process.env.SMTP_HOST
+  ? createSmtpTransport({ host: process.env.SMTP_HOST, port: parseInt(process.env.SMTP_PORT || '25', 10) })
+  : createLogTransport();
+
+/**
+ * Replace the transport (call at startup).
+ */
+function setTransport(next) {
+  transport = next;
+}
+
+/**
+ * Send a plain-text email. Rejects if the transport fails.
+ */
+function sendMail({ to, subject, text }) {
+  return transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  formatMessage,
+  createSmtpTransport,
+  createLogTransport,
+  setTransport,
+  sendMail,
+};
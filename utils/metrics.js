@@ -0,0 +1,199 @@
+/**
+ * utils/metrics.js
+ *
+ * Board flow metrics computed from the status history (TaskStatusChange, see utils/activity.js).
+ * Used by GET /api/boards/:id/metrics.
+ *
+ * - Only live tasks currently on the board count; their history on other boards is ignored
+ * - A task is completed when it enters a done status and stays in done statuses up to the end of the range;
+ *   its completion is the start of that stretch
+ * - Lead time runs from the task's creation to its completion, cycle time from when it first left the
+ *   board's first column (a task created elsewhere on the board starts right away)
+ * - Dates are UTC; weeks start on Monday
+ * The computation is done in memory from the rows passed in, which the caller loads for one board.
+ */
+
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const PERCENTILES = [50, 85, 95];
+
+/**
+ * Resolve the requested range: `to` defaults to now and `from` to DEFAULT_RANGE_DAYS before it.
+ * Throws a ValidationError for an empty or too long range.
+ */
+function metricsRange(from, to, now = new Date()) {
+  const end = to || now;
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) {
+    throw new ValidationError('"from" must be before "to"');
+  }
+  if (end.getTime() - start.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError(`The range may span at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Helper: start (00:00 UTC) of the day or week (Monday) containing `date`.
+ */
+function bucketStart(date, granularity) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day;
+}
+
+/**
+ * Helper: successive bucket starts covering [from, to].
+ */
+function bucketStarts(from, to, granularity) {
+  const step = granularity === 'week' ? 7 : 1;
+  const starts = [];
+  for (let start = bucketStart(from, granularity); start <= to; start = new Date(start.getTime() + step * DAY_MS)) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Helper: YYYY-MM-DD of a date.
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Helper: hours between two dates, to two decimals.
+ */
+function hoursBetween(start, end) {
+  return Math.round(((end.getTime() - start.getTime()) / HOUR_MS) * 100) / 100;
+}
+
+/**
+ * Count, average and nearest-rank percentiles (p50, p85, p95) of durations in hours; null values when empty.
+ */
+function durationSummary(hours) {
+  const sorted = [...hours].sort((a, b) => a - b);
+  const summary = { count: sorted.length, averageHours: null };
+  for (const p of PERCENTILES) summary[`p${p}Hours`] = null;
+  if (sorted.length === 0) return summary;
+
+  const total = sorted.reduce((sum, h) => sum + h, 0);
+  summary.averageHours = Math.round((total / sorted.length) * 100) / 100;
+  for (const p of PERCENTILES) {
+    summary[`p${p}Hours`] = sorted[Math.ceil((p / 100) * sorted.length) - 1];
+  }
+  return summary;
+}
+
+/**
+ * Metrics of a board over [from, to].
+ * - statuses: the board's statuses in column order ({ id, name, isDone })
+ * - tasks: its live tasks ({ id, statusId, createdAt })
+ * - changes: their status changes on this board up to `to` ({ taskId, toStatusId, changedAt }), oldest first
+ * Counts per status are arrays in the order of `statuses`, with tasks without a status (or in a deleted one)
+ * counted in `noStatus`.
+ */
+function boardMetrics({
+  statuses, tasks, changes, from, to, granularity,
+}) {
+  const column = new Map(statuses.map((s, index) => [s.id, index]));
+  const doneIds = new Set(statuses.filter((s) => s.isDone).map((s) => s.id));
+  const firstStatusId = statuses.length > 0 ? statuses[0].id : null;
+
+  // Each task's history on the board; tasks recorded before the history existed start in their current status
+  const history = new Map(tasks.map((t) => [t.id, []]));
+  for (const change of changes) {
+    if (history.has(change.taskId)) history.get(change.taskId).push(change);
+  }
+  for (const task of tasks) {
+    if (history.get(task.id).length === 0 && task.createdAt <= to) {
+      history.get(task.id).push({ taskId: task.id, toStatusId: task.statusId, changedAt: task.createdAt });
+    }
+  }
+
+  const emptyCounts = () => ({ counts: statuses.map(() => 0), noStatus: 0 });
+  const add = (tally, statusId, n) => {
+    if (column.has(statusId)) tally.counts[column.get(statusId)] += n;
+    else tally.noStatus += n;
+  };
+
+  // Cumulative flow: how many tasks were in each status at the end of each bucket (or at `to` for the last one)
+  const events = [...history.values()].flat().sort((a, b) => a.changedAt - b.changedAt);
+  const statusOf = new Map();
+  const tally = emptyCounts();
+  const step = granularity === 'week' ? 7 : 1;
+  let next = 0;
+  const cumulativeFlow = bucketStarts(from, to, granularity).map((start) => {
+    const end = new Date(Math.min(start.getTime() + step * DAY_MS, to.getTime() + 1));
+    while (next < events.length && events[next].changedAt < end) {
+      const { taskId, toStatusId } = events[next];
+      if (statusOf.has(taskId)) add(tally, statusOf.get(taskId), -1);
+      add(tally, toStatusId, 1);
+      statusOf.set(taskId, toStatusId);
+      next += 1;
+    }
+    return { date: isoDate(start), counts: [...tally.counts], noStatus: tally.noStatus };
+  });
+
+  // Completions in the range, with their lead and cycle times, and time spent per status
+  const leadTimes = [];
+  const cycleTimes = [];
+  const completions = [];
+  const stints = statuses.map(() => []);
+  for (const task of tasks) {
+    const steps = history.get(task.id);
+
+    steps.forEach((change, i) => {
+      const left = steps[i + 1];
+      if (left && left.changedAt >= from && column.has(change.toStatusId)) {
+        stints[column.get(change.toStatusId)].push(hoursBetween(change.changedAt, left.changedAt));
+      }
+    });
+
+    let k = steps.length - 1;
+    if (k < 0 || !doneIds.has(steps[k].toStatusId)) continue;
+    while (k > 0 && doneIds.has(steps[k - 1].toStatusId)) k -= 1;
+    const completedAt = steps[k].changedAt;
+    if (completedAt < from) continue;
+
+    const started = steps.slice(0, k + 1).find((change) => change.toStatusId !== firstStatusId) || steps[k];
+    completions.push(completedAt);
+    leadTimes.push(hoursBetween(task.createdAt, completedAt));
+    cycleTimes.push(hoursBetween(started.changedAt, completedAt));
+  }
+
+  const weekly = new Map(bucketStarts(from, to, 'week').map((start) => [isoDate(start), 0]));
+  for (const completedAt of completions) {
+    const week = isoDate(bucketStart(completedAt, 'week'));
+    weekly.set(week, weekly.get(week) + 1);
+  }
+
+  const current = emptyCounts();
+  for (const task of tasks) add(current, task.statusId, 1);
+
+  return {
+    from,
+    to,
+    granularity,
+    statuses: statuses.map((s) => ({ id: s.id, name: s.name, isDone: s.isDone })),
+    current,
+    cumulativeFlow,
+    leadTime: durationSummary(leadTimes),
+    cycleTime: durationSummary(cycleTimes),
+    throughput: [...weekly].map(([weekStart, completed]) => ({ weekStart, completed })),
+    timeInStatus: statuses.map((s, index) => ({ statusId: s.id, ...durationSummary(stints[index]) })),
+  };
+}
+
+module.exports = {
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  metricsRange,
+  boardMetrics,
+};
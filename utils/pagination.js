@@ -0,0 +1,37 @@
+/**
+ * utils/pagination.js
+ *
+ * Helpers for cursor-based pagination with Prisma.
+ * The cursor is the id of the last row of the previous page; one extra row is
+ * fetched to know whether another page exists.
+ */
+
+/**
+ * Build the `take` / `cursor` / `skip` arguments for a Prisma findMany call.
+ */
+function cursorArgs({ cursor, limit }) {
+  const args = { take: limit + 1 };
+  if (cursor) {
+    args.cursor = { id: cursor };
+    args.skip = 1;
+  }
+  return args;
+}
+
+/**
+ * Trim the extra row fetched by cursorArgs and compute the next cursor.
+ * Returns { data, nextCursor } where nextCursor is null on the last page.
+ */
+function toPage(rows, limit) {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    data,
+    nextCursor: hasMore ? data[data.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  cursorArgs,
+  toPage,
+};
@@ -0,0 +1,44 @@
+/**
+ * utils/prisma.js
+ *
+ * The Prisma client shared by the controllers, middleware and jobs, so the process keeps a single
+ * connection pool. Modules import `prisma` from here instead of creating their own PrismaClient.
+ *
+ * `prisma` forwards every property to the current client, so a client set with setPrismaClient()
+ * (e.g. one pointed at a test database, or extended with logging) is picked up by modules that imported
+ * `prisma` before the swap. Without a call to setPrismaClient() a default client is created on first use,
+ * configured from DATABASE_URL as usual.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+let client = null;
+
+/**
+ * Helper: the current client, created on first use.
+ */
+function currentClient() {
+  if (!client) client = new PrismaClient();
+  return client;
+}
+
+const prisma = new Proxy({}, {
+  get(target, prop) {
+    const current = currentClient();
+    const value = current[prop];
+    // Methods such as $transaction and $disconnect rely on `this` being the client
+    return typeof value === 'function' ? value.bind(current) : value;
+  },
+});
+
+/**
+ * Replace the shared client (call before serving requests or running jobs).
+ */
+function setPrismaClient(next) {
+  client = next;
+}
+
+module.exports = {
+  prisma,
+  setPrismaClient,
+};
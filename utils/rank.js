@@ -0,0 +1,57 @@
+/**
+ * utils/rank.js
+ *
+ * Fractional ranking for manual task ordering.
+ * A rank is a base-36 string ([0-9a-z]) read as the fraction digits of a number in (0, 1),
+ * so ranks compare correctly as plain strings. A new rank can always be generated between
+ * two existing ones, which means moving a card only rewrites the moved row.
+ *
+ * Ranks never end in '0' (the smallest digit), otherwise there would be no room before them.
+ * Based on the midpoint algorithm used by the `fractional-indexing` package.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Midpoint between two rank strings.
+ * `a` may be '' (lower bound of the column), `b` may be null (upper bound).
+ */
+function midpoint(a, b) {
+  if (b !== null && a >= b) {
+    throw new Error(`Invalid rank range: ${a} >= ${b}`);
+  }
+
+  if (b !== null) {
+    // Skip the shared prefix (a is treated as padded with zeros)
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n += 1;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Consecutive first digits
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Rank for an item placed between `before` and `after` (either may be null/undefined).
+ * rankBetween(null, null) gives the rank for the first item of an empty column.
+ */
+function rankBetween(before, after) {
+  return midpoint(before || '', after || null);
+}
+
+module.exports = {
+  rankBetween,
+};
@@ -0,0 +1,244 @@
+/**
+ * utils/recurrence.js
+ *
+ * Recurring tasks: recurrence rules and generation of the next occurrence of a series (TaskSeries).
+ *
+ * Rules are a subset of iCalendar RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,TH" or "FREQ=MONTHLY;BYMONTHDAY=1,-1":
+ * - FREQ: DAILY, WEEKLY or MONTHLY (required)
+ * - INTERVAL: every n days/weeks/months, counted from the series' startsAt (default 1)
+ * - BYDAY: weekdays for WEEKLY (MO..SU; default the weekday of startsAt)
+ * - BYMONTHDAY: days of the month for MONTHLY (1..31, or -1 for the last day; default the day of startsAt).
+ *   Months without the day are skipped
+ * - UNTIL: last possible date (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ * Dates are computed in UTC and keep the time of day of startsAt.
+ *
+ * The next occurrence is generated when the latest one moves to a done status (controllers/taskController.js)
+ * or once its due date has passed (jobs/generateRecurringTasks.js), whichever comes first.
+ */
+
+const { rankBetween } = require('./rank');
+const {
+  activityInclude, taskChanges, recordActivity, recordStatusChange,
+} = require('./activity');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Months searched for a matching MONTHLY date before giving up (e.g. BYMONTHDAY=30 every 12 months from February)
+const MAX_MONTHS_SEARCHED = 120;
+
+/**
+ * Helper: parse an UNTIL value (date, or UTC date-time).
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+  const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  return date.getUTCDate() === +d ? date : null;
+}
+
+/**
+ * Parse a rule into { freq, interval, byDay, byMonthDay, until }.
+ * Accepts an optional "RRULE:" prefix and any case. Throws an Error describing the first problem.
+ */
+function parseRule(text) {
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, until: null };
+  const body = String(text).trim().toUpperCase().replace(/^RRULE:/, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          throw new Error(`INTERVAL must be an integer from 1 to ${MAX_INTERVAL}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = [...new Set(value.split(','))];
+        if (rule.byDay.some((d) => !WEEKDAYS.includes(d))) throw new Error('BYDAY must list weekdays (MO..SU)');
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = [...new Set(value.split(',').map(Number))];
+        if (rule.byMonthDay.some((d) => !Number.isInteger(d) || d === 0 || d < -31 || d > 31)) {
+          throw new Error('BYMONTHDAY must list days from 1 to 31 (or -1 to -31 counting from the end)');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        if (!rule.until) throw new Error('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.byDay && rule.freq !== 'WEEKLY') throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  return rule;
+}
+
+/**
+ * Canonical text of a rule (fixed part order, weekdays in week order), as stored on TaskSeries.
+ * Throws like parseRule.
+ */
+function normalizeRule(text) {
+  const rule = parseRule(text);
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${WEEKDAYS.filter((d) => rule.byDay.includes(d)).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${[...rule.byMonthDay].sort((a, b) => a - b).join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * Helper: days since the epoch (UTC) of a date.
+ */
+function dayNumber(date) {
+  return Math.floor(date.getTime() / DAY_MS);
+}
+
+/**
+ * Helper: Monday-based week number of a day number (1970-01-01 was a Thursday).
+ */
+function weekNumber(day) {
+  return Math.floor((day + 3) / 7);
+}
+
+/**
+ * First date of the rule strictly after `after`, or null if there is none (UNTIL reached).
+ * `startsAt` anchors INTERVAL and provides the defaults and the time of day.
+ */
+function nextOccurrence(ruleText, startsAt, after) {
+  const rule = parseRule(ruleText);
+  const startDay = dayNumber(startsAt);
+  const timeOfDay = startsAt.getTime() - startDay * DAY_MS;
+  const at = (day) => new Date(day * DAY_MS + timeOfDay);
+  const firstDay = Math.max(startDay, dayNumber(after));
+
+  let next = null;
+  if (rule.freq === 'DAILY') {
+    const offset = (firstDay - startDay) % rule.interval;
+    let day = offset === 0 ? firstDay : firstDay + rule.interval - offset;
+    if (at(day) <= after) day += rule.interval;
+    next = at(day);
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = (rule.byDay || [WEEKDAYS[startsAt.getUTCDay()]]).map((d) => WEEKDAYS.indexOf(d));
+    // Within (interval + 1) weeks every allowed weekday of a matching week has come up
+    for (let day = firstDay; day <= firstDay + 7 * (rule.interval + 1) && !next; day += 1) {
+      const inWeek = (weekNumber(day) - weekNumber(startDay)) % rule.interval === 0;
+      if (inWeek && weekdays.includes((day + 4) % 7) && at(day) > after) next = at(day);
+    }
+  } else {
+    const monthDays = rule.byMonthDay || [startsAt.getUTCDate()];
+    const startMonth = startsAt.getUTCFullYear() * 12 + startsAt.getUTCMonth();
+    const firstMonth = Math.max(startMonth, after.getUTCFullYear() * 12 + after.getUTCMonth());
+    for (let month = firstMonth; month < firstMonth + MAX_MONTHS_SEARCHED && !next; month += 1) {
+      if ((month - startMonth) % rule.interval === 0) {
+        const year = Math.floor(month / 12);
+        const daysInMonth = new Date(Date.UTC(year, (month % 12) + 1, 0)).getUTCDate();
+        const days = monthDays
+          .map((d) => (d < 0 ? daysInMonth + 1 + d : d))
+          .filter((d) => d >= 1 && d <= daysInMonth)
+          .sort((a, b) => a - b);
+        for (const d of days) {
+          const candidate = at(dayNumber(new Date(Date.UTC(year, month % 12, d))));
+          if (candidate > after) {
+            next = candidate;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+}
+
+/**
+ * Generate the occurrence that follows `task` in its series, inside the caller's transaction.
+ * The new task goes to the bottom of the board's first status with the same title, description, priority,
+ * labels and assignee (if still a board member); WIP limits do not apply. Its due date is the rule's first
+ * date after the later of `task.dueDate` and `now`.
+ * `task` needs its labels. `include` is added to the returned task (activityInclude is always loaded).
+ * Returns the new task, or null when the task is not recurring, the series is stopped, the rule has no
+ * further dates (the series is then stopped) or the successor already exists.
+ */
+async function createNextOccurrence(tx, task, { actorId = null, include = {}, now = new Date() } = {}) {
+  if (!task.seriesId) return null;
+  const series = await tx.taskSeries.findUnique({ where: { id: task.seriesId } });
+  if (!series || series.stoppedAt) return null;
+
+  const after = task.dueDate && task.dueDate > now ? task.dueDate : now;
+  const dueDate = nextOccurrence(series.rule, series.startsAt, after);
+  if (!dueDate) {
+    await tx.taskSeries.update({ where: { id: series.id }, data: { stoppedAt: now } });
+    return null;
+  }
+
+  const status = await tx.status.findFirst({ where: { boardId: task.boardId }, orderBy: { position: 'asc' } });
+  const statusId = status ? status.id : null;
+  const last = await tx.task.findFirst({
+    where: { boardId: task.boardId, statusId, deletedAt: null },
+    orderBy: { rank: 'desc' },
+    select: { rank: true },
+  });
+
+  let { assigneeId } = task;
+  if (assigneeId !== null) {
+    const member = await tx.boardMember.findUnique({
+      where: { boardId_userId: { boardId: task.boardId, userId: assigneeId } },
+    });
+    if (!member) assigneeId = null;
+  }
+
+  // skipDuplicates: a concurrent run that already generated the successor wins without aborting the transaction
+  const { count } = await tx.task.createMany({
+    data: [{
+      boardId: task.boardId,
+      statusId,
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      assigneeId,
+      dueDate,
+      rank: rankBetween(last ? last.rank : null, null),
+      seriesId: series.id,
+      previousOccurrenceId: task.id,
+    }],
+    skipDuplicates: true,
+  });
+  if (count === 0) return null;
+
+  const created = await tx.task.update({
+    where: { previousOccurrenceId: task.id },
+    data: { labels: { connect: task.labels.map((l) => ({ id: l.id })) } },
+    include: { ...activityInclude, ...include },
+  });
+
+  await recordActivity(tx, {
+    taskId: created.id,
+    actorId,
+    action: 'CREATED',
+    changes: taskChanges({}, created),
+  });
+  await recordStatusChange(tx, {}, created);
+
+  return created;
+}
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  nextOccurrence,
+  createNextOccurrence,
+};
@@ -0,0 +1,105 @@
+/**
+ * utils/storage.js
+ *
+ * File storage for task attachments through a pluggable driver:
+ *   { put(key, stream) -> Promise, get(key) -> Promise<Readable>, remove(key) -> Promise }
+ * - put() stores the stream's bytes under a new key and leaves nothing behind when it rejects
+ * - get() rejects with code 'ENOENT' when nothing is stored under the key
+ * - remove() resolves when the key is gone, also if it never existed
+ * Keys are generated by the server (letters, digits, '.', '_' and '-'), never taken from clients.
+ * The default driver keeps one file per key on the local disk; call setDriver() at startup to use
+ * anything else (e.g. an S3-compatible bucket).
+ *
+ * Environment:
+ * - ATTACHMENTS_DIR (default "uploads" in the working directory)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger');
+
+const KEY_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Driver that stores each key as a file directly under `root` (created on first write).
+ */
+function createLocalDiskDriver({ root }) {
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key) || key.startsWith('.')) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    async put(key, stream) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(root, { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(file, { flags: 'wx' }));
+      } catch (err) {
+        await fs.promises.rm(file, { force: true });
+        throw err;
+      }
+    },
+    async get(key) {
+      const file = fileFor(key);
+      // Fails with ENOENT up front, before the caller starts a response
+      const handle = await fs.promises.open(file, 'r');
+      return handle.createReadStream();
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+let driver = createLocalDiskDriver({ root: path.resolve(process.env.ATTACHMENTS_DIR || 'uploads') });
+
+/**
+ * Replace the driver (call at startup).
+ */
+function setDriver(next) {
+  driver = next;
+}
+
+/**
+ * Store a stream under `key`.
+ */
+function putFile(key, stream) {
+  return driver.put(key, stream);
+}
+
+/**
+ * Readable stream of the file stored under `key`.
+ */
+function getFile(key) {
+  return driver.get(key);
+}
+
+/**
+ * Remove the files stored under `keys`. Failures are logged, never thrown, so callers can run this after
+ * the rows pointing at the files are gone; a file left behind is only wasted space.
+ * Returns the number of keys removed.
+ */
+async function removeFiles(keys) {
+  let removed = 0;
+  for (const key of keys) {
+    try {
+      await driver.remove(key);
+      removed += 1;
+    } catch (err) {
+      logger.error(`Could not remove stored file ${key}: ${err.message}`);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  createLocalDiskDriver,
+  setDriver,
+  putFile,
+  getFile,
+  removeFiles,
+};
@@ -0,0 +1,109 @@
+/**
+ * utils/taskLinks.js
+ *
+ * Links between tasks of a board: subtasks (Task.parentId) and dependencies (TaskDependency,
+ * "blocker blocks blocked"). Shared by the task and dependency controllers.
+ *
+ * - Subtasks are one level deep: a subtask cannot have subtasks, and its parent is on the same board.
+ * - Dependencies link tasks of the same board and never form a cycle.
+ * - A task cannot enter a done status while it has open blockers (live tasks not in a done status).
+ * - When a task changes board its parent link, its subtasks and its dependencies are let go, like its labels.
+ * `db` may be the Prisma client or a transaction client.
+ */
+
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+/**
+ * Check that `parentId` can become the parent of a task on `boardId`.
+ * `taskId` is the task getting the parent (omit it for a task being created).
+ */
+async function assertValidParent(db, parentId, boardId, taskId) {
+  if (parentId === taskId) {
+    throw new ValidationError('A task cannot be its own parent');
+  }
+  const parent = await db.task.findUnique({ where: { id: parentId, deletedAt: null } });
+  if (!parent) {
+    throw new NotFoundError('Parent task not found');
+  }
+  if (parent.boardId !== boardId) {
+    throw new ValidationError("Parent task must be on the task's board");
+  }
+  if (parent.parentId !== null) {
+    throw new ValidationError('A subtask cannot have subtasks of its own');
+  }
+  if (taskId) {
+    // Trashed subtasks count too: restoring them must not create a second level
+    const subtasks = await db.task.count({ where: { parentId: taskId } });
+    if (subtasks > 0) {
+      throw new ValidationError('A task with subtasks cannot become a subtask');
+    }
+  }
+}
+
+/**
+ * Reject a task entering `status` (a done one) while any of its blockers is still open.
+ * Throws a ConflictError (OPEN_BLOCKERS) whose `details` list the open blockers.
+ */
+async function assertNoOpenBlockers(db, taskId, status) {
+  if (!status || !status.isDone) return;
+
+  const blockers = await db.task.findMany({
+    where: {
+      blocks: { some: { blockedId: taskId } },
+      deletedAt: null,
+      OR: [{ statusId: null }, { status: { isDone: false } }],
+    },
+    select: { id: true, title: true },
+    orderBy: { id: 'asc' },
+  });
+  if (blockers.length === 0) return;
+
+  throw new ConflictError(`Task is blocked by ${blockers.length} open task(s)`, {
+    code: 'OPEN_BLOCKERS',
+    details: { blockers },
+  });
+}
+
+/**
+ * Reject a new "blockerId blocks blockedId" link that would close a cycle, i.e. when blockedId
+ * already blocks blockerId directly or through other tasks (trashed ones included, as they can be restored).
+ * Throws a ConflictError (DEPENDENCY_CYCLE).
+ */
+async function assertNoDependencyCycle(db, blockerId, blockedId) {
+  const seen = new Set([blockedId]);
+  let frontier = [blockedId];
+
+  // Walk the tasks blockedId blocks, one level per query
+  while (frontier.length > 0) {
+    const links = await db.taskDependency.findMany({
+      where: { blockerId: { in: frontier } },
+      select: { blockedId: true },
+    });
+    frontier = [];
+    for (const { blockedId: id } of links) {
+      if (id === blockerId) {
+        throw new ConflictError('The dependency would create a cycle', { code: 'DEPENDENCY_CYCLE' });
+      }
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+}
+
+/**
+ * Let go of a task's subtasks and dependencies when it moves to another board, inside the caller's transaction.
+ * The task's own parent link is cleared by the caller as part of its update.
+ */
+async function unlinkForBoardChange(tx, taskId) {
+  await tx.task.updateMany({ where: { parentId: taskId }, data: { parentId: null, version: { increment: 1 } } });
+  await tx.taskDependency.deleteMany({ where: { OR: [{ blockerId: taskId }, { blockedId: taskId }] } });
+}
+
+module.exports = {
+  assertValidParent,
+  assertNoOpenBlockers,
+  assertNoDependencyCycle,
+  unlinkForBoardChange,
+};
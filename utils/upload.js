@@ -0,0 +1,134 @@
+/**
+ * utils/upload.js
+ *
+ * Receiving a file from a multipart/form-data request and streaming it into storage (utils/storage.js),
+ * without buffering it in memory. Used by the attachment routes.
+ *
+ * - The request must carry exactly one file, in the "file" field; other fields are ignored
+ * - The file's declared type must be allowed (415) and its size within the limit (413); a file rejected
+ *   part-way is removed from storage, and the rest of the request body is discarded
+ * - The SHA-256 checksum and the size are computed while the bytes go through
+ *
+ * Environment:
+ * - ATTACHMENT_MAX_BYTES (default 10485760, i.e. 10 MB)
+ * - ATTACHMENT_ALLOWED_TYPES (comma-separated MIME types, "type/*" allowed; default images, PDF, plain text,
+ *   CSV, JSON and ZIP)
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const busboy = require('busboy');
+const { putFile, removeFiles } = require('./storage');
+const { HttpError, ValidationError } = require('./errors');
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || '10485760', 10);
+const ATTACHMENT_ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES
+  || 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,application/json,application/zip')
+  .split(',')
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+const FILE_FIELD = 'file';
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Whether files of `mime` may be uploaded.
+ */
+function isAllowedType(mime) {
+  const type = mime.toLowerCase();
+  return ATTACHMENT_ALLOWED_TYPES.some((allowed) => (allowed.endsWith('/*')
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed));
+}
+
+/**
+ * Read the single file of a multipart request into storage under `key`.
+ * Resolves to { filename, mime, size, checksum } once the file is stored; rejects with an HttpError
+ * (400, 413 or 415) for a request that breaks the rules above.
+ */
+function receiveFile(req, key) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1 }, defParamCharset: 'utf8' });
+    } catch (err) {
+      reject(new HttpError(415, `Expected a multipart/form-data body with a "${FILE_FIELD}" field`));
+      return;
+    }
+
+    let meter = null;
+    let stored = null;
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      // Stop parsing and discard the rest of the body so the response can go out now
+      req.unpipe(parser);
+      req.resume();
+      // A file still being written is cut short (and removed by storage); a finished one is removed here
+      if (meter) meter.destroy();
+      if (stored) stored.then(() => removeFiles([key]), () => {});
+      reject(err);
+    };
+
+    parser.on('file', (field, file, info) => {
+      if (field !== FILE_FIELD || stored) {
+        file.resume();
+        fail(new ValidationError(`Send exactly one file, in the "${FILE_FIELD}" field`));
+        return;
+      }
+      const mime = info.mimeType;
+      if (!isAllowedType(mime)) {
+        file.resume();
+        fail(new HttpError(415, `Files of type ${mime} are not accepted`, {
+          code: 'ATTACHMENT_TYPE_NOT_ALLOWED',
+          details: { allowedTypes: ATTACHMENT_ALLOWED_TYPES },
+        }));
+        return;
+      }
+
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      meter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (size > ATTACHMENT_MAX_BYTES) {
+            callback(new HttpError(413, `Files may be at most ${ATTACHMENT_MAX_BYTES} bytes`, {
+              code: 'ATTACHMENT_TOO_LARGE',
+              details: { maxBytes: ATTACHMENT_MAX_BYTES },
+            }));
+            return;
+          }
+          hash.update(chunk);
+          callback(null, chunk);
+        },
+      });
+      // An aborted request errors the file stream; pass that on so the partial file is removed
+      file.on('error', (err) => meter.destroy(err));
+
+      const filename = (info.filename || '').trim().slice(0, MAX_FILENAME_LENGTH) || 'attachment';
+      stored = putFile(key, file.pipe(meter)).then(() => ({
+        filename, mime, size, checksum: hash.digest('hex'),
+      }));
+      stored.catch(fail);
+    });
+    parser.on('filesLimit', () => fail(new ValidationError(`Send exactly one file, in the "${FILE_FIELD}" field`)));
+    parser.on('error', (err) => fail(new ValidationError(`Malformed multipart body: ${err.message}`)));
+    parser.on('close', () => {
+      if (failed) return;
+      if (!stored) {
+        fail(new ValidationError(`Send exactly one file, in the "${FILE_FIELD}" field`));
+        return;
+      }
+      stored.then(resolve, fail);
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_ALLOWED_TYPES,
+  isAllowedType,
+  receiveFile,
+};
@@ -0,0 +1,169 @@
+/**
+ * utils/webhooks.js
+ *
+ * Outgoing webhooks: event types, payload signing and the delivery queue.
+ * Controllers call enqueueWebhookEvent() after a change is committed; jobs/deliverWebhooks.js
+ * sends the queued deliveries and retries failures.
+ *
+ * Each delivery is POSTed as JSON { id, type, boardId, data, occurredAt } with headers:
+ * - X-Webhook-Event: event type
+ * - X-Webhook-Delivery: delivery id (redeliveries get a new id; `id` in the body is kept)
+ * - X-Webhook-Timestamp: unix seconds when the request was signed
+ * - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+ *
+ * Webhook urls may not point at loopback, private, link-local or unique-local addresses: the host is
+ * checked when a webhook is created or updated, and resolved again right before each delivery.
+ *
+ * Environment:
+ * - WEBHOOK_ALLOWED_HOSTS (optional, comma-separated host names exempt from the address check,
+ *   e.g. "localhost" for npm run webhook-receiver)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { prisma } = require('./prisma');
+const logger = require('./logger');
+const { ValidationError } = require('./errors');
+
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean));
+
+// Addresses webhooks may not be sent to (IPv4-mapped IPv6 addresses are matched against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique-local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const WEBHOOK_EVENTS = [
+  'board.updated',
+  'board.deleted',
+  'board.restored',
+  'status.created',
+  'status.updated',
+  'status.deleted',
+  'task.created',
+  'task.updated',
+  'task.moved',
+  // Sent alongside task.updated/task.moved when the status changes: { task, from, to }
+  'task.status_changed',
+  'task.deleted',
+  'task.restored',
+  // Sent by jobs/sendDueReminders.js once per due date: the task's id, boardId, statusId, assigneeId, title, dueDate
+  'task.due_soon',
+  'task.overdue',
+];
+
+/**
+ * Generate a webhook secret.
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature header value for a raw body sent at `timestamp` (unix seconds).
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Resolve the host of a webhook url to the addresses a delivery may connect to: [{ address, family }].
+ * Throws a ValidationError (code WEBHOOK_URL_NOT_ALLOWED) if any of its addresses is loopback, private,
+ * link-local or unique-local, unless the host is in WEBHOOK_ALLOWED_HOSTS; DNS errors are passed on.
+ */
+async function resolveWebhookAddresses(url) {
+  // IPv6 literals keep their brackets in URL#hostname
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  const blocked = addresses.some(({ address, family }) => (
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  ));
+  if (blocked && !ALLOWED_HOSTS.has(host)) {
+    throw new ValidationError('Webhook url must not point at a loopback, private or link-local address', {
+      code: 'WEBHOOK_URL_NOT_ALLOWED',
+    });
+  }
+  return addresses;
+}
+
+/**
+ * Check a webhook url about to be saved; throws a 400 with a `url` field error if it is not allowed.
+ * Hosts that do not resolve (yet) are accepted: every delivery checks the address again.
+ */
+async function assertWebhookUrlAllowed(url) {
+  try {
+    await resolveWebhookAddresses(url);
+  } catch (err) {
+    if (err.code !== 'WEBHOOK_URL_NOT_ALLOWED') return;
+    throw new ValidationError(err.message, {
+      code: err.code,
+      errors: [{
+        location: 'body', field: 'url', code: 'url.notAllowed', message: err.message,
+      }],
+    });
+  }
+}
+
+/**
+ * Queue a delivery of the event for every active webhook of the board subscribed to `type`.
+ * Call after the change is committed. Failures are logged and never reach the caller.
+ */
+function enqueueWebhookEvent(boardId, type, data) {
+  const occurredAt = new Date().toISOString();
+
+  Promise.resolve()
+    .then(async () => {
+      const webhooks = await prisma.webhook.findMany({
+        where: { boardId, active: true, events: { has: type } },
+        select: { id: true },
+      });
+      if (webhooks.length === 0) return;
+
+      await prisma.webhookDelivery.createMany({
+        data: webhooks.map((w) => ({
+          webhookId: w.id,
+          event: type,
+          payload: {
+            id: crypto.randomUUID(),
+            type,
+            boardId,
+            data: JSON.parse(JSON.stringify(data)),
+            occurredAt,
+          },
+        })),
+      });
+    })
+    .catch((err) => logger.error(err));
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  resolveWebhookAddresses,
+  assertWebhookUrlAllowed,
+  enqueueWebhookEvent,
+};
@@ -0,0 +1,81 @@
+/**
+ * utils/workflow.js
+ *
+ * Board workflow defaults and rules shared by the board, status and task controllers.
+ */
+
+const { ConflictError } = require('./errors');
+
+// Columns created for every new board, in order
+const DEFAULT_STATUSES = [
+  { name: 'TODO' },
+  { name: 'IN_PROGRESS' },
+  { name: 'DONE', isDone: true },
+];
+
+/**
+ * Nested-create payload for a new board's default statuses.
+ */
+function defaultStatusesData() {
+  return DEFAULT_STATUSES.map((s, position) => ({ ...s, position }));
+}
+
+/**
+ * Lookup key for matching status names loosely: case-insensitive, with spaces and hyphens
+ * treated as underscores ("In progress" and "in-progress" both match IN_PROGRESS).
+ */
+function statusKey(name) {
+  return String(name).trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Reject a status change that the board's transition graph does not allow.
+ * `task` is the task's current { boardId, statusId } (null for a new task); `boardId` and `toStatus`
+ * are where it goes (`toStatus` null for "no status"). Boards without any StatusTransition rows are
+ * unrestricted. On a board with a graph a task always has a status: one that arrives without a status
+ * (new, unlinked or from another board) may only enter the board's first status, and one already
+ * on the board may only follow a listed transition.
+ * Throws a ConflictError (TRANSITION_NOT_ALLOWED) whose `details` list the legal next statuses.
+ * `db` may be the Prisma client or a transaction client.
+ */
+async function assertTransitionAllowed(db, task, boardId, toStatus) {
+  const fromStatusId = task && task.boardId === boardId ? task.statusId : null;
+  const toStatusId = toStatus ? toStatus.id : null;
+  if (task && task.boardId === boardId && fromStatusId === toStatusId) return;
+
+  const configured = await db.statusTransition.count({ where: { from: { boardId } } });
+  if (configured === 0) return;
+
+  let from = null;
+  let allowed;
+  if (fromStatusId === null) {
+    const first = await db.status.findFirst({ where: { boardId }, orderBy: { position: 'asc' } });
+    allowed = [first];
+  } else {
+    from = await db.status.findUnique({ where: { id: fromStatusId } });
+    const transitions = await db.statusTransition.findMany({
+      where: { fromStatusId },
+      include: { to: true },
+      orderBy: { to: { position: 'asc' } },
+    });
+    allowed = transitions.map((t) => t.to);
+  }
+  if (toStatus && allowed.some((s) => s.id === toStatus.id)) return;
+
+  const label = (s) => (s ? `"${s.name}"` : 'no status');
+  throw new ConflictError(`Transition from ${label(from)} to ${label(toStatus)} is not allowed`, {
+    code: 'TRANSITION_NOT_ALLOWED',
+    details: {
+      from: from && { id: from.id, name: from.name },
+      to: toStatus && { id: toStatus.id, name: toStatus.name },
+      allowed: allowed.map((s) => ({ id: s.id, name: s.name })),
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  defaultStatusesData,
+  statusKey,
+  assertTransitionAllowed,
+};
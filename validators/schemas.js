@@ -1,13 +1,52 @@
 const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { normalizeRule } = require('../utils/recurrence');
 
 const idParam = Joi.object({
   id: Joi.number().integer().positive().required(),
 });
 
+const registerSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: Joi.string().min(8).max(128).required(),
+  name: Joi.string().trim().max(100).optional(),
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: Joi.string().required(),
+});
+
 const boardCreateSchema = Joi.object({
   name: Joi.string().trim().min(1).required(),
 });
 
+// Optimistic concurrency: the version the change is based on (alternative to If-Match)
+const versionField = Joi.number().integer().positive().optional();
+
+const boardUpdateSchema = boardCreateSchema.keys({
+  version: versionField,
+});
+
+const TASK_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Assignee, due date, priority and labels; null clears them on update
+const taskDetailFields = {
+  assigneeId: Joi.number().integer().positive().allow(null).optional(),
+  dueDate: Joi.date().iso().allow(null).optional(),
+  priority: Joi.string().valid(...TASK_PRIORITIES).allow(null).optional(),
+  labelIds: Joi.array().items(Joi.number().integer().positive()).unique().max(20).allow(null).optional(),
+};
+
+// Recurrence rule (RRULE subset, see utils/recurrence.js), stored in its normalized form
+const recurrenceRule = Joi.string().trim().max(200).custom((value, helpers) => {
+  try {
+    return normalizeRule(value);
+  } catch (err) {
+    return helpers.message(`{{#label}} is invalid: ${err.message}`);
+  }
+});
+
 const taskCreateSchema = Joi.object({
   title: Joi.string().trim().min(1).required(),
   description: Joi.string().allow(null, '').optional(),
@@ -15,24 +54,432 @@ const taskCreateSchema = Joi.object({
   // Accept either statusId or statusName (both optional)
   statusId: Joi.number().integer().positive().optional(),
   statusName: Joi.string().trim().optional(),
+  ...taskDetailFields,
+  // Makes the task the first occurrence of a series; requires dueDate
+  recurrence: recurrenceRule.optional(),
+  // Makes the task a subtask of another task on the same board
+  parentId: Joi.number().integer().positive().optional(),
 });
 
 const taskUpdateSchema = Joi.object({
   title: Joi.string().trim().min(1).optional(),
-  description: Joi.allow(null, Joi.string()).optional(),
+  description: Joi.string().allow(null, '').optional(),
+  boardId: Joi.number().integer().positive().optional(),
+  statusId: Joi.number().integer().positive().allow(null).optional(),
+  statusName: Joi.string().trim().allow(null).optional(),
+  ...taskDetailFields,
+  // null detaches a subtask from its parent
+  parentId: Joi.number().integer().positive().allow(null).optional(),
+  version: versionField,
+});
+
+const recurrenceSchema = Joi.object({
+  rule: recurrenceRule.required(),
+});
+
+const boardLabelParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  labelId: Joi.number().integer().positive().required(),
+});
+
+const labelCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).optional(),
+});
+
+const labelUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).optional(),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).optional(),
+}).min(1);
+
+const webhookListQuery = Joi.object({
+  boardId: Joi.number().integer().positive().optional(),
+});
+
+const webhookDeliveryParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  deliveryId: Joi.number().integer().positive().required(),
+});
+
+const webhookFields = {
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique(),
+  // Generated when omitted on create
+  secret: Joi.string().min(16).max(200),
+  active: Joi.boolean(),
+};
+
+const webhookCreateSchema = Joi.object({
+  boardId: Joi.number().integer().positive().required(),
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required(),
+  secret: webhookFields.secret.optional(),
+  active: webhookFields.active.optional(),
+});
+
+const webhookUpdateSchema = Joi.object({
+  url: webhookFields.url.optional(),
+  events: webhookFields.events.optional(),
+  secret: webhookFields.secret.optional(),
+  active: webhookFields.active.optional(),
+}).min(1);
+
+const BOARD_ROLES = ['OWNER', 'EDITOR', 'VIEWER'];
+
+const boardMemberParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  userId: Joi.number().integer().positive().required(),
+});
+
+const memberAddSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  role: Joi.string().valid(...BOARD_ROLES).default('EDITOR'),
+});
+
+const memberUpdateSchema = Joi.object({
+  role: Joi.string().valid(...BOARD_ROLES).required(),
+});
+
+// What to embed with each board: full task arrays, per-status task counts, or nothing
+const BOARD_INCLUDE_OPTIONS = ['tasks', 'counts', 'none'];
+
+const boardListQuery = Joi.object({
+  include: Joi.string().valid(...BOARD_INCLUDE_OPTIONS).default('counts'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.number().integer().positive().optional(),
+});
+
+const boardGetQuery = Joi.object({
+  include: Joi.string().valid(...BOARD_INCLUDE_OPTIONS).default('tasks'),
+});
+
+// GET /api/boards/:id/metrics: from/to default to the last 30 days (see utils/metrics.js)
+const METRICS_GRANULARITIES = ['day', 'week'];
+
+const boardMetricsQuery = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  granularity: Joi.string().valid(...METRICS_GRANULARITIES).default('day'),
+});
+
+const BOARD_TRANSFER_FORMATS = ['json', 'csv'];
+
+const boardExportQuery = Joi.object({
+  format: Joi.string().valid(...BOARD_TRANSFER_FORMATS).default('json'),
+});
+
+// format defaults to the request Content-Type; name overrides the board name (required for CSV)
+const boardImportQuery = Joi.object({
+  format: Joi.string().valid(...BOARD_TRANSFER_FORMATS).optional(),
+  name: Joi.string().trim().min(1).max(200).optional(),
+});
+
+const MAX_IMPORT_TASKS = 5000;
+
+// Top level of a JSON board export; tasks are validated one by one with importTaskSchema
+const boardImportSchema = Joi.object({
+  format: Joi.string().valid('task-manager-board').optional(),
+  version: Joi.number().integer().valid(1).optional(),
+  board: Joi.object({
+    name: Joi.string().trim().min(1).max(200).optional(),
+  }).unknown(true).optional(),
+  statuses: Joi.array().max(50).items(Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    position: Joi.number().integer().min(0).optional(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).optional(),
+    isDone: Joi.boolean().optional(),
+    wipLimit: Joi.number().integer().positive().allow(null).optional(),
+  }).unknown(true)).optional(),
+  transitions: Joi.array().items(Joi.object({
+    from: Joi.string().trim().min(1).required(),
+    to: Joi.string().trim().min(1).required(),
+  })).optional(),
+  labels: Joi.array().max(200).items(Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).optional(),
+  }).unknown(true)).optional(),
+  tasks: Joi.array().max(MAX_IMPORT_TASKS).items(Joi.any()).default([]),
+}).unknown(true);
+
+// One imported task (a JSON tasks[] item or a CSV row); empty strings count as missing
+const importTaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(500).required(),
+  description: Joi.string().allow('', null).optional(),
+  status: Joi.string().trim().allow('', null).optional(),
+  priority: Joi.string().trim().uppercase().valid(...TASK_PRIORITIES).allow('', null).optional(),
+  dueDate: Joi.date().iso().allow('', null).optional(),
+  labels: Joi.array().max(20).items(Joi.string().trim().min(1).max(50)).optional(),
+}).unknown(true);
+
+// POST /api/boards/:id/duplicate
+const boardDuplicateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  // Copy the live tasks too (without assignees or comments)
+  includeTasks: Joi.boolean().default(false),
+  // Put every copied task in the first column
+  resetStatuses: Joi.boolean().default(false),
+});
+
+// POST /api/boards/from-template/:templateId
+const boardFromTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+});
+
+const templateParams = Joi.object({
+  templateId: Joi.number().integer().positive().required(),
+});
+
+const MAX_TEMPLATE_TASKS = 500;
+
+// Board parts of a template; statuses, labels and task statuses are referenced by name (see utils/boardCopy.js)
+const templateBlueprintFields = {
+  statuses: Joi.array().min(1).max(50).items(Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).default(null),
+    isDone: Joi.boolean().default(false),
+    wipLimit: Joi.number().integer().positive().allow(null).default(null),
+  })),
+  transitions: Joi.array().max(500).items(Joi.object({
+    from: Joi.string().trim().min(1).required(),
+    to: Joi.string().trim().min(1).required(),
+  })),
+  labels: Joi.array().max(200).items(Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).default(null),
+  })),
+  tasks: Joi.array().max(MAX_TEMPLATE_TASKS).items(Joi.object({
+    title: Joi.string().trim().min(1).max(500).required(),
+    description: Joi.string().allow(null, '').default(null),
+    priority: Joi.string().valid(...TASK_PRIORITIES).allow(null).default(null),
+    // null = first column
+    status: Joi.string().trim().min(1).allow(null).default(null),
+    labels: Joi.array().max(20).items(Joi.string().trim().min(1).max(50)).unique().default([]),
+  })),
+};
+
+const templateFields = {
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(2000).allow(null, ''),
+};
+
+// Either snapshot a board (boardId, optionally with its tasks) or describe the board parts explicitly
+const templateCreateSchema = Joi.object({
+  name: templateFields.name.required(),
+  description: templateFields.description.optional(),
+  boardId: Joi.number().integer().positive(),
+  includeTasks: Joi.boolean().optional(),
+  ...templateBlueprintFields,
+}).xor('boardId', 'statuses')
+  .with('includeTasks', 'boardId')
+  .without('boardId', ['transitions', 'labels', 'tasks']);
+
+const templateUpdateSchema = Joi.object({
+  name: templateFields.name.optional(),
+  description: templateFields.description.optional(),
+  ...templateBlueprintFields,
+}).min(1);
+
+// beforeId/afterId: neighbours directly above/below the task in the target column
+const taskMoveSchema = Joi.object({
+  boardId: Joi.number().integer().positive().optional(),
+  statusId: Joi.number().integer().positive().allow(null).optional(),
+  beforeId: Joi.number().integer().positive().optional(),
+  afterId: Joi.number().integer().positive().optional(),
+  version: versionField,
+});
+
+// POST /api/tasks/bulk: each operation is validated against the schema of its single-task route
+const BULK_OPERATION_KEYS = {
+  op: Joi.string().valid('update', 'move', 'delete').required(),
+  id: Joi.number().integer().positive().required(),
+};
+
+const taskBulkSchema = Joi.object({
+  operations: Joi.array().min(1).max(100).required().items(
+    Joi.alternatives().conditional('.op', {
+      switch: [
+        { is: 'update', then: taskUpdateSchema.keys(BULK_OPERATION_KEYS) },
+        { is: 'move', then: taskMoveSchema.keys(BULK_OPERATION_KEYS) },
+      ],
+      otherwise: Joi.object(BULK_OPERATION_KEYS),
+    }),
+  ),
+});
+
+// Sortable fields for GET /api/tasks (whitelist, passed straight to Prisma orderBy)
+const TASK_SORT_FIELDS = ['id', 'title', 'rank', 'createdAt', 'updatedAt'];
+
+const taskListQuery = Joi.object({
+  boardId: Joi.number().integer().positive().optional(),
+  statusId: Joi.number().integer().positive().optional(),
+  statusName: Joi.string().trim().min(1).optional(),
+  // Occurrences of a recurring task
+  seriesId: Joi.number().integer().positive().optional(),
+  // Case-insensitive match on title or description
+  q: Joi.string().trim().min(1).max(200).optional(),
+  createdFrom: Joi.date().iso().optional(),
+  createdTo: Joi.date().iso().optional(),
+  updatedFrom: Joi.date().iso().optional(),
+  updatedTo: Joi.date().iso().optional(),
+  sortBy: Joi.string().valid(...TASK_SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.number().integer().positive().optional(),
+});
+
+// GET /api/search: q uses web search syntax ("quoted phrase", or, -exclude)
+const searchQuery = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
   boardId: Joi.number().integer().positive().optional(),
-  statusId: Joi.allow(null, Joi.number().integer().positive()).optional(),
-  statusName: Joi.allow(null, Joi.string().trim()).optional(),
+  statusId: Joi.number().integer().positive().optional(),
+  // Max number of matching tasks (boards are grouped from these)
+  limit: Joi.number().integer().min(1).max(100).default(50),
 });
 
+// Cursor pagination for nested task lists (comments, activity)
+const pageQuery = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.number().integer().positive().optional(),
+});
+
+const webhookDeliveryQuery = pageQuery.keys({
+  status: Joi.string().valid('PENDING', 'SUCCEEDED', 'FAILED').optional(),
+});
+
+const notificationListQuery = pageQuery.keys({
+  // Only notifications that have not been read yet
+  unread: Joi.boolean().default(false),
+});
+
+const checklistItemParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  itemId: Joi.number().integer().positive().required(),
+});
+
+const checklistItemCreateSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(500).required(),
+  done: Joi.boolean().default(false),
+});
+
+const checklistItemUpdateSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(500).optional(),
+  done: Joi.boolean().optional(),
+}).min(1);
+
+const attachmentParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  attachmentId: Joi.number().integer().positive().required(),
+});
+
+const taskDependencyParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  blockerId: Joi.number().integer().positive().required(),
+});
+
+// POST /api/tasks/:id/dependencies: the task in the path is blocked by blockerId
+const dependencyCreateSchema = Joi.object({
+  blockerId: Joi.number().integer().positive().required(),
+});
+
+const taskCommentParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  commentId: Joi.number().integer().positive().required(),
+});
+
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required(),
+});
+
+const boardStatusParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  statusId: Joi.number().integer().positive().required(),
+});
+
+const statusFields = {
+  position: Joi.number().integer().min(0).optional(),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow(null).optional(),
+  isDone: Joi.boolean().optional(),
+  wipLimit: Joi.number().integer().positive().allow(null).optional(),
+};
+
+// POST /api/boards/:id/statuses (board comes from the path)
 const statusCreateSchema = Joi.object({
   name: Joi.string().trim().min(1).required(),
+  ...statusFields,
+});
+
+// POST /api/statuses (board comes from the body)
+const statusCreateWithBoardSchema = statusCreateSchema.keys({
+  boardId: Joi.number().integer().positive().required(),
+});
+
+const statusUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).optional(),
+  ...statusFields,
+  version: versionField,
+}).min(1);
+
+const statusListQuery = Joi.object({
+  boardId: Joi.number().integer().positive().optional(),
+});
+
+const transitionCreateSchema = Joi.object({
+  fromStatusId: Joi.number().integer().positive().required(),
+  toStatusId: Joi.number().integer().positive().required(),
 });
 
 module.exports = {
   idParam,
+  registerSchema,
+  loginSchema,
   boardCreateSchema,
+  boardUpdateSchema,
+  boardListQuery,
+  boardGetQuery,
+  boardExportQuery,
+  boardImportQuery,
+  boardMetricsQuery,
+  MAX_IMPORT_TASKS,
+  boardImportSchema,
+  importTaskSchema,
+  boardDuplicateSchema,
+  boardFromTemplateSchema,
+  templateParams,
+  MAX_TEMPLATE_TASKS,
+  templateCreateSchema,
+  templateUpdateSchema,
+  boardMemberParams,
+  memberAddSchema,
+  memberUpdateSchema,
   taskCreateSchema,
   taskUpdateSchema,
+  taskMoveSchema,
+  recurrenceSchema,
+  taskBulkSchema,
+  boardLabelParams,
+  labelCreateSchema,
+  labelUpdateSchema,
+  webhookListQuery,
+  webhookDeliveryParams,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  taskListQuery,
+  searchQuery,
+  pageQuery,
+  webhookDeliveryQuery,
+  notificationListQuery,
+  checklistItemParams,
+  checklistItemCreateSchema,
+  checklistItemUpdateSchema,
+  taskDependencyParams,
+  dependencyCreateSchema,
+  attachmentParams,
+  taskCommentParams,
+  commentSchema,
+  boardStatusParams,
   statusCreateSchema,
+  statusCreateWithBoardSchema,
+  statusUpdateSchema,
+  statusListQuery,
+  transitionCreateSchema,
 };
@@ -1,4 +1,7 @@
-const Joi = require('joi');
+const { ValidationError, joiFieldErrors } = require('../utils/errors');
+
+// abortEarly: false so every invalid field is reported, not just the first
+const VALIDATE_OPTIONS = { stripUnknown: true, convert: true, abortEarly: false };
 
 /**
  * Middleware factory that validates request parts (body, params, query) against provided Joi schemas.
@@ -7,6 +10,7 @@ const Joi = require('joi');
  *   router.post('/boards', validate({ body: boardCreateSchema }), boardController.createBoard);
  *
  * Each schema is optional; validator will only check provided parts.
+ * Failures are passed on as a ValidationError listing every invalid field in `errors`.
  */
 function validate(schemas = {}) {
   const { body: bodySchema, params: paramsSchema, query: querySchema } = schemas;
@@ -14,20 +18,20 @@ function validate(schemas = {}) {
   return (req, res, next) => {
     try {
       if (paramsSchema) {
-        const { error, value } = paramsSchema.validate(req.params, { stripUnknown: true, convert: true });
-        if (error) return res.status(400).json({ error: error.message });
+        const { error, value } = paramsSchema.validate(req.params, VALIDATE_OPTIONS);
+        if (error) return next(new ValidationError(error.message, { errors: joiFieldErrors(error, 'params') }));
         req.params = value;
       }
 
       if (querySchema) {
-        const { error, value } = querySchema.validate(req.query, { stripUnknown: true, convert: true });
-        if (error) return res.status(400).json({ error: error.message });
+        const { error, value } = querySchema.validate(req.query, VALIDATE_OPTIONS);
+        if (error) return next(new ValidationError(error.message, { errors: joiFieldErrors(error, 'query') }));
         req.query = value;
       }
 
       if (bodySchema) {
-        const { error, value } = bodySchema.validate(req.body, { stripUnknown: true, convert: true });
-        if (error) return res.status(400).json({ error: error.message });
+        const { error, value } = bodySchema.validate(req.body, VALIDATE_OPTIONS);
+        if (error) return next(new ValidationError(error.message, { errors: joiFieldErrors(error, 'body') }));
         req.body = value;
       }
 